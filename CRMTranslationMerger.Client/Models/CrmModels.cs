@@ -32,3 +32,40 @@ public class AiResponse
     public Dictionary<string, string>? ConvertedTexts { get; set; }
     public string? Error { get; set; }
 }
+
+public class LocalesResponse
+{
+    public Dictionary<string, string>? Mapping { get; set; }
+    public List<LocaleWarning>? Warnings { get; set; }
+}
+
+public class LocaleWarning
+{
+    public string? Type { get; set; }
+    public string? Language { get; set; }
+    public string? Message { get; set; }
+}
+
+public class ExcelWorkbook
+{
+    public List<string>? SheetNames { get; set; }
+    public List<ExcelSheet>? Sheets { get; set; }
+    public List<ExcelWarning>? Warnings { get; set; }
+}
+
+public class ExcelSheet
+{
+    public string? Name { get; set; }
+    public int Index { get; set; }
+    public bool Hidden { get; set; }
+    public string? StringKey { get; set; }
+    public List<string>? Headers { get; set; }
+    public List<Dictionary<string, string>>? Rows { get; set; }
+}
+
+public class ExcelWarning
+{
+    public string? Sheet { get; set; }
+    public string? Type { get; set; }
+    public string? Message { get; set; }
+}
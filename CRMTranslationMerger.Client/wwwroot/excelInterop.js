@@ -2,10 +2,18 @@
 window.excelInterop = {
     /**
      * Parse Excel file from base64 string
+     *
+     * Without options, returns the rows of the first sheet (one object per row, keyed by header).
+     * With options, returns every sheet:
+     * { sheetNames, sheets: [{ name, index, hidden, stringKey, headers, rows }], warnings }
+     *
      * @param {string} base64Data - Base64 encoded Excel file
+     * @param {object} [options] - Multi-sheet options
+     * @param {string[]} [options.sheets] - Sheet names to return (default: all)
+     * @param {Object<string, string>} [options.templates] - Sheet name → CRM template stringKey
      * @returns {Promise<string>} JSON string of parsed data
      */
-    parseExcel: function (base64Data) {
+    parseExcel: function (base64Data, options) {
         return new Promise((resolve, reject) => {
             try {
                 // Check if XLSX library is loaded
@@ -21,8 +29,13 @@ window.excelInterop = {
                     bytes[i] = binaryString.charCodeAt(i);
                 }
 
-                // Parse Excel file
-                const workbook = XLSX.read(bytes, { type: 'array' });
+                // Parse Excel file (cellStyles reads hidden row flags)
+                const workbook = XLSX.read(bytes, { type: 'array', cellStyles: !!options });
+
+                if (options) {
+                    resolve(JSON.stringify(this.parseWorkbook(workbook, options)));
+                    return;
+                }
 
                 // Get first sheet
                 const firstSheetName = workbook.SheetNames[0];
@@ -42,12 +55,145 @@ window.excelInterop = {
         });
     },
 
+    /**
+     * Read the selected sheets of a SheetJS workbook
+     * @param {object} workbook - Workbook from XLSX.read
+     * @param {object} options - See parseExcel
+     * @returns {object} { sheetNames, sheets, warnings }
+     */
+    parseWorkbook: function (workbook, options) {
+        const templates = (options && options.templates) || {};
+        const selected = options && Array.isArray(options.sheets) && options.sheets.length > 0
+            ? options.sheets
+            : workbook.SheetNames;
+        const warnings = [];
+        const sheets = [];
+
+        selected.forEach(name => {
+            const index = workbook.SheetNames.indexOf(name);
+            if (index === -1) {
+                warnings.push({ sheet: name, type: 'missing-sheet', message: `Sheet "${name}" was not found in the workbook` });
+                return;
+            }
+
+            const properties = (workbook.Workbook && workbook.Workbook.Sheets && workbook.Workbook.Sheets[index]) || {};
+            const hidden = !!properties.Hidden;
+            if (hidden) {
+                warnings.push({ sheet: name, type: 'hidden-sheet', message: `Sheet "${name}" is hidden` });
+            }
+
+            const { headers, rows } = this.readSheet(workbook.Sheets[name], name, warnings);
+            sheets.push({ name, index, hidden, stringKey: templates[name] || null, headers, rows });
+        });
+
+        Object.keys(templates)
+            .filter(name => workbook.SheetNames.indexOf(name) === -1)
+            .forEach(name => warnings.push({ sheet: name, type: 'missing-sheet', message: `Sheet "${name}" mapped to template "${templates[name]}" was not found in the workbook` }));
+
+        return { sheetNames: workbook.SheetNames.slice(), sheets, warnings };
+    },
+
+    /**
+     * Read one worksheet: header row, data rows and layout warnings
+     * @param {object} worksheet - SheetJS worksheet
+     * @param {string} name - Sheet name used in warnings
+     * @param {object[]} warnings - Receives merged cell, hidden row and empty header warnings
+     * @returns {object} { name, headers, rows }
+     */
+    readSheet: function (worksheet, name, warnings) {
+        const grid = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+        const headers = (grid[0] || []).map(value => String(value).trim());
+        const rows = XLSX.utils.sheet_to_json(worksheet, { raw: false, defval: '' });
+
+        // Merged cells: only the top-left cell carries the value
+        (worksheet['!merges'] || []).forEach(range => {
+            warnings.push({
+                sheet: name,
+                type: 'merged-cells',
+                range: XLSX.utils.encode_range(range),
+                message: `Merged cells ${XLSX.utils.encode_range(range)}: only the first cell has a value`
+            });
+        });
+
+        // Hidden rows are still imported; the translator may not have meant them to be
+        (worksheet['!rows'] || []).forEach((row, index) => {
+            if (row && row.hidden) {
+                warnings.push({
+                    sheet: name,
+                    type: 'hidden-row',
+                    row: index + 1,
+                    message: `Row ${index + 1} is hidden but will be imported`
+                });
+            }
+        });
+
+        // Columns with data but no header name
+        headers.forEach((header, column) => {
+            if (header) return;
+            const hasData = grid.slice(1).some(cells => String(cells[column] ?? '').trim() !== '');
+            warnings.push({
+                sheet: name,
+                type: 'empty-header',
+                column: XLSX.utils.encode_col(column),
+                message: hasData
+                    ? `Column ${XLSX.utils.encode_col(column)} has values but no header`
+                    : `Column ${XLSX.utils.encode_col(column)} has no header`
+            });
+        });
+
+        return { name, headers, rows };
+    },
+
+    /**
+     * Export localizedContents as a matrix workbook: one row per key, one column per language
+     * The Key column and language headers match the matrix format parseExcel reads back
+     * @param {string} localizedContentsJson - JSON of { language: { key: text } }
+     * @param {string} filename - Name of the .xlsx file to download
+     * @param {string} [sourceLanguage] - Language whose column comes first and whose key order is used
+     */
+    exportMatrix: function (localizedContentsJson, filename, sourceLanguage) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('SheetJS library not loaded. Please refresh the page.');
+        }
+
+        const localizedContents = JSON.parse(localizedContentsJson);
+        const languages = Object.keys(localizedContents);
+        if (sourceLanguage && languages.indexOf(sourceLanguage) > 0) {
+            languages.splice(languages.indexOf(sourceLanguage), 1);
+            languages.unshift(sourceLanguage);
+        }
+
+        // Keys in source order, then keys that only exist in other languages
+        const keys = [];
+        languages.forEach(language => {
+            Object.keys(localizedContents[language] || {}).forEach(key => {
+                if (keys.indexOf(key) === -1) keys.push(key);
+            });
+        });
+
+        const rows = [['Key'].concat(languages)];
+        keys.forEach(key => {
+            rows.push([key].concat(languages.map(language => {
+                const value = (localizedContents[language] || {})[key];
+                return value === undefined || value === null ? '' : String(value);
+            })));
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        worksheet['!cols'] = [{ wch: 30 }].concat(languages.map(() => ({ wch: 60 })));
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Translations');
+        XLSX.writeFile(workbook, filename);
+    },
+
     /**
      * Download file from base64 data
      * @param {string} filename - Name of the file to download
      * @param {string} base64Data - Base64 encoded file content
+     * @param {string} [mimeType] - Content type (default: application/json)
      */
-    downloadFile: function (filename, base64Data) {
+    downloadFile: function (filename, base64Data, mimeType) {
         try {
             // Convert base64 to blob
             const binaryString = atob(base64Data);
@@ -55,7 +201,7 @@ window.excelInterop = {
             for (let i = 0; i < binaryString.length; i++) {
                 bytes[i] = binaryString.charCodeAt(i);
             }
-            const blob = new Blob([bytes], { type: 'application/json' });
+            const blob = new Blob([bytes], { type: mimeType || 'application/json' });
 
             // Create download link
             const url = window.URL.createObjectURL(blob);
@@ -0,0 +1,100 @@
+/**
+ * Azure Function: CheckConsistency
+ * Lints translations across languages: missing/extra placeholders, differing
+ * conditional structure, text left identical to the source language and empty values
+ *
+ * Request: { Document } to check a CRM document's localizedContents, { Rows } to check
+ * Excel rows before conversion (LanguageCode names and tags are normalized), or
+ * { Texts: { "langCode|translationKey": text } };
+ * optional SourceLanguage (default "en") and Severities ({ code: "error" | "warning" | "info" | "off" })
+ * Response: { passed, issues, summary }
+ */
+
+const { getPlaceholderRegistry, getWorkspaceIdFromJson } = require('../shared/placeholderRegistry');
+const { parseCrmDocument, getLocalizedContents, splitTextKey } = require('../shared/crmDocument');
+const { DEFAULT_SEVERITIES, checkConsistency, rowsToContents } = require('../shared/consistencyChecker');
+const { normalizeRowLanguages } = require('../shared/locales');
+const { buildCorsHeaders, authenticateCaller } = require('../shared/callerAuth');
+
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+module.exports = async function (context, req) {
+    context.log('CheckConsistency function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    try {
+        // Origin allowlist, and credentials when AUTH_MODE is required
+        const auth = authenticateCaller(req);
+        if (auth.error) {
+            context.res.status = auth.status;
+            context.res.body = { error: auth.error };
+            return;
+        }
+
+        const { Document, Rows, Texts, SourceLanguage = 'en', Severities, WorkspaceId } = req.body || {};
+
+        let contents;
+        let workspaceId = WorkspaceId;
+
+        if (Document) {
+            let doc;
+            try {
+                doc = parseCrmDocument(Document);
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+            contents = getLocalizedContents(doc);
+            workspaceId = workspaceId ?? getWorkspaceIdFromJson(doc);
+        } else if (Array.isArray(Rows)) {
+            contents = rowsToContents(normalizeRowLanguages(Rows).rows);
+        } else if (Texts && typeof Texts === 'object') {
+            contents = {};
+            for (const [textKey, text] of Object.entries(Texts)) {
+                const { language, key } = splitTextKey(textKey);
+                contents[language] = contents[language] || {};
+                contents[language][key] = text;
+            }
+        } else {
+            context.res.status = 400;
+            context.res.body = { error: 'Document, Rows array or Texts object is required' };
+            return;
+        }
+
+        for (const [code, severity] of Object.entries(Severities || {})) {
+            if (!DEFAULT_SEVERITIES[code] || !SEVERITIES.includes(severity)) {
+                context.res.status = 400;
+                context.res.body = { error: `Invalid severity '${severity}' for '${code}'. Codes: ${Object.keys(DEFAULT_SEVERITIES).join(', ')}; severities: ${SEVERITIES.join(', ')}` };
+                return;
+            }
+        }
+
+        const report = checkConsistency(contents, {
+            sourceLanguage: SourceLanguage,
+            registry: getPlaceholderRegistry(workspaceId ?? null),
+            severities: Severities
+        });
+
+        context.log(`🔎 ${report.summary.keys} keys in ${report.summary.languages} languages: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+
+        context.res.headers['X-Consistency-Errors'] = String(report.summary.errors);
+        context.res.status = 200;
+        context.res.body = report;
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    }
+};
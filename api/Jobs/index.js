@@ -0,0 +1,388 @@
+/**
+ * Azure Function: Jobs
+ * Converts large batches as jobs that are advanced slice by slice, so results arrive
+ * while the batch is still running instead of all at once (or a timeout)
+ *
+ * POST /api/jobs: submit a job (ConvertBatch body) and convert its first slice
+ * GET  /api/jobs/{id}: status and running counts
+ * POST /api/jobs/{id}/run: convert the next slice
+ * POST /api/jobs/{id}/cancel: stop after the chunk in flight
+ * POST /api/jobs/{id}/resume: continue a cancelled or interrupted job; finished keys are kept
+ * GET  /api/jobs/{id}/results?after=N: finished keys with seq > N (format=ndjson for NDJSON)
+ * GET  /api/jobs/{id}/stream?after=N&format=sse|ndjson: each key finished after N with
+ *   running counts as Server-Sent Events or NDJSON; never converts
+ *
+ * Streaming: the Functions runtime sends a response once the handler returns, so a stream
+ * request waits until keys after N are finished (at most JOB_STREAM_WAIT_SECONDS) and
+ * returns them. EventSource reconnects after the retry delay with Last-Event-ID; NDJSON
+ * clients repeat the request with ?after= the last seq they saw. Converting stays with
+ * submit, run and resume, which the client keeps calling while it reads the stream.
+ *
+ * Security: converting works as ConvertBatch. The API key is never stored with the job;
+ * send ApiKey again on run and resume, or the App Settings key is used. A job created by
+ * an identified caller is only visible to that caller. Submitting returns a read token
+ * that reads the job (status, results, stream) with ?token=, for EventSource, which
+ * cannot send headers.
+ */
+
+const crypto = require('crypto');
+const { summarizeItems } = require('../shared/converter');
+const { buildCorsHeaders, isOriginAllowed, getHeader, authenticateCaller } = require('../shared/callerAuth');
+const { authorizeAiRequest, settleAiUsage } = require('../shared/aiAuthorization');
+const { createAuditRecord, writeAuditRecord } = require('../shared/auditLog');
+const { getJobStore, isJobId } = require('../shared/jobStore');
+const { FINISHED_STATUSES, getJobSettings, describeJob, runJob } = require('../shared/jobRunner');
+
+const ACTIONS = ['run', 'cancel', 'resume', 'results', 'stream'];
+const READ_ACTIONS = ['', 'results', 'stream'];
+
+// How often a waiting stream request looks for new keys
+const STREAM_POLL_MS = 250;
+
+// EventSource waits this long before reconnecting with Last-Event-ID
+const SSE_RETRY_MS = 1000;
+
+module.exports = async function (context, req) {
+    context.log('Jobs function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: { ...buildCorsHeaders(req), 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS' }
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    const audit = createAuditRecord(context, 'Jobs', req);
+    let summary = null;
+
+    try {
+        if (!isOriginAllowed(getHeader(req, 'origin'))) {
+            context.res.status = 403;
+            context.res.body = { error: 'Origin not allowed' };
+            return;
+        }
+
+        const id = req.params && req.params.id;
+        const action = String((req.params && req.params.action) || '').toLowerCase();
+        const store = getJobStore();
+
+        if (!id) {
+            if (req.method !== 'POST') {
+                context.res.status = 405;
+                context.res.body = { error: 'Submit jobs with POST /api/jobs' };
+                return;
+            }
+            summary = await submitJob(context, req, store, audit);
+            return;
+        }
+
+        if (action && !ACTIONS.includes(action)) {
+            context.res.status = 404;
+            context.res.body = { error: `Unknown job action '${action}'` };
+            return;
+        }
+
+        const readOnly = READ_ACTIONS.includes(action);
+        if (readOnly !== (req.method === 'GET')) {
+            context.res.status = 405;
+            context.res.body = { error: `Use ${readOnly ? 'GET' : 'POST'} for this job request` };
+            return;
+        }
+
+        audit.job = id;
+        audit.action = action || 'status';
+
+        const job = isJobId(id) ? await store.get(id) : null;
+        if (!job) {
+            context.res.status = 404;
+            context.res.body = { error: `Job ${id} not found` };
+            return;
+        }
+        audit.mode = job.options.mode;
+
+        if (readOnly && hasReadToken(job, req)) {
+            audit.caller = { id: job.caller.id, via: 'read-token' };
+        } else {
+            const auth = authenticateCaller(req, {});
+            audit.caller = { id: auth.caller.id, via: auth.caller.via };
+            if (auth.error) {
+                context.res.status = auth.status;
+                context.res.body = { error: auth.error };
+                return;
+            }
+
+            // Jobs of identified callers are private; anonymous jobs are reachable by their id
+            if (job.caller.via !== 'anonymous' && job.caller.id !== auth.caller.id) {
+                context.res.status = 404;
+                context.res.body = { error: `Job ${id} not found` };
+                return;
+            }
+        }
+
+        if (!action) {
+            context.res.status = 200;
+            context.res.body = { job: describeJob(job) };
+            return;
+        }
+
+        if (action === 'results') {
+            const records = await store.readResults(id, getAfter(req));
+            sendRecords(context, req, job, records);
+            return;
+        }
+
+        if (action === 'stream') {
+            const current = await waitForResults(store, id, getAfter(req), getJobSettings().streamWaitMs);
+            if (!current) {
+                context.res.status = 404;
+                context.res.body = { error: `Job ${id} not found` };
+                return;
+            }
+            sendEvents(context, req, current, await store.readResults(id));
+            return;
+        }
+
+        if (action === 'cancel') {
+            const cancelled = await store.update(id, current => FINISHED_STATUSES.includes(current.status)
+                ? {}
+                : { status: 'cancelled' });
+            context.log(`🛑 Job ${id} is ${cancelled.status}`);
+            context.res.status = 200;
+            context.res.body = { job: describeJob(cancelled) };
+            return;
+        }
+
+        if (action === 'resume') {
+            if (job.status === 'completed') {
+                context.res.status = 409;
+                context.res.body = { error: `Job ${id} is already completed`, job: describeJob(job) };
+                return;
+            }
+        }
+
+        if (action === 'run' && job.status === 'cancelled') {
+            context.res.status = 409;
+            context.res.body = { error: `Job ${id} is cancelled; resume it to continue`, job: describeJob(job) };
+            return;
+        }
+
+        summary = await advanceJob(context, req, store, id, action, audit);
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    } finally {
+        await writeAuditRecord(context, audit, { status: context.res.status, summary, reason: context.res.body?.error });
+    }
+};
+
+/**
+ * POST /api/jobs: validates like ConvertBatch, stores the job and converts a first slice
+ * Returns the slice summary for the audit record
+ */
+async function submitJob(context, req, store, audit) {
+    const { Texts, Mode = 'hybrid', Endpoint, Model, JsonContext, ExcelContext, WorkspaceId, Language, Provider, Glossary } = req.body || {};
+
+    if (!Texts || typeof Texts !== 'object' || Object.keys(Texts).length === 0) {
+        context.res.status = 400;
+        context.res.body = { error: 'Texts object is required' };
+        return null;
+    }
+
+    if (Glossary !== undefined && !Array.isArray(Glossary)) {
+        context.res.status = 400;
+        context.res.body = { error: 'Glossary must be an array of { Term, Language, Note } rows' };
+        return null;
+    }
+
+    const mode = Mode.toLowerCase();
+    audit.mode = mode;
+    audit.action = 'submit';
+
+    const authorized = await authorizeAiRequest(context, req, {
+        mode, provider: Provider, endpoint: Endpoint, model: Model, apiKey: req.body.ApiKey, texts: Object.keys(Texts).length
+    }, audit);
+    if (!authorized) return null;
+
+    await store.prune().catch(error => context.log.warn(`⚠️ Could not prune jobs: ${error.message}`));
+
+    const readToken = crypto.randomBytes(24).toString('base64url');
+    const job = await store.create({
+        options: { mode, provider: Provider, endpoint: Endpoint, model: Model, workspaceId: WorkspaceId, language: Language },
+        caller: { id: authorized.caller.id, via: authorized.caller.via },
+        readTokenHash: hashToken(readToken)
+    }, { texts: Texts, jsonContext: JsonContext, excelContext: ExcelContext, glossary: Glossary });
+    audit.job = job.id;
+    context.log(`🧾 Job ${job.id} submitted: ${job.counts.total} texts in ${mode} mode`);
+
+    context.res.headers['Location'] = `/api/jobs/${job.id}`;
+    const summary = await advanceJob(context, req, store, job.id, 'run', audit, authorized);
+
+    // Only the submitter learns the token; it reads this job and nothing else
+    if (context.res.body && context.res.body.job) {
+        context.res.body.readToken = readToken;
+        context.res.body.streamUrl = `/api/jobs/${job.id}/stream?token=${readToken}`;
+    }
+    return summary;
+}
+
+/**
+ * Converts one slice of a job and responds with its status
+ * Returns the slice summary for the audit record
+ */
+async function advanceJob(context, req, store, id, action, audit, submitted) {
+    let job = await store.get(id);
+    let result = { job, usage: null, processed: 0, busy: false };
+    const items = {};
+
+    // Finished jobs only replay their results, so they need no key or quota
+    const resuming = action === 'resume' && job.status === 'cancelled';
+    if (resuming || !FINISHED_STATUSES.includes(job.status)) {
+        // A slice may convert every key that is left
+        const { mode, provider, endpoint, model } = job.options;
+        const authorized = submitted || await authorizeAiRequest(context, req, {
+            mode, provider, endpoint, model, apiKey: (req.body || {}).ApiKey, texts: job.counts.total - job.counts.done
+        }, audit);
+        if (!authorized) return null;
+
+        if (resuming) {
+            await store.update(id, { status: 'queued' });
+            context.log(`▶️ Job ${id} resumed`);
+        }
+
+        result = await runJob(id, {
+            apiKey: authorized.apiKey,
+            provider: authorized.provider,
+            quota: authorized.quota,
+            onItem: (record) => {
+                items[record.key] = record;
+            }
+        }, context, store);
+        job = result.job;
+
+        await settleAiUsage(authorized, result.usage);
+    }
+
+    const summary = summarizeItems(items, job.cache);
+    summary.usage = result.usage || { aiCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    if (result.busy) {
+        context.res.status = 409;
+        context.res.body = { error: `Job ${id} is being converted by another request`, job: describeJob(job) };
+        return null;
+    }
+
+    context.res.status = job.status === 'completed' ? 200 : 202;
+    context.res.body = { job: describeJob(job), processed: result.processed };
+    return summary;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether ?token= is the read token issued when the job was submitted
+ */
+function hasReadToken(job, req) {
+    const token = req.query && req.query.token;
+    if (!token || !job.readTokenHash) return false;
+
+    const actual = Buffer.from(hashToken(token), 'hex');
+    const expected = Buffer.from(job.readTokenHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Waits until keys after seq are finished, the job is finished or waitMs has passed
+ * Returns the job as it was when the wait ended
+ */
+async function waitForResults(store, id, after, waitMs) {
+    const deadline = Date.now() + waitMs;
+    for (;;) {
+        const job = await store.get(id);
+        if (!job || FINISHED_STATUSES.includes(job.status) || Date.now() >= deadline) return job;
+        if ((await store.readResults(id, after)).length > 0) return job;
+        await new Promise(resolve => setTimeout(resolve, STREAM_POLL_MS));
+    }
+}
+
+/**
+ * Sequence number the client already has: ?after=N or the SSE Last-Event-ID header
+ */
+function getAfter(req) {
+    const after = Number((req.query && req.query.after) ?? getHeader(req, 'last-event-id') ?? 0);
+    return Number.isFinite(after) && after > 0 ? after : 0;
+}
+
+/**
+ * Writes finished-key records as JSON, or NDJSON with format=ndjson
+ */
+function sendRecords(context, req, job, records) {
+    const last = records.reduce((max, record) => Math.max(max, record.seq), getAfter(req));
+
+    context.res.status = 200;
+
+    if (String((req.query && req.query.format) || '').toLowerCase() === 'ndjson') {
+        context.res.headers['Content-Type'] = 'application/x-ndjson';
+        context.res.body = records.map(record => JSON.stringify(record) + '\n').join('');
+        return;
+    }
+
+    context.res.body = { job: describeJob(job), items: records, last };
+}
+
+/**
+ * Writes the records after ?after=N as Server-Sent Events (default) or NDJSON events:
+ * an item event per finished key, each followed by the running counts, then a done
+ * event once the job is finished or a progress event while it is not
+ */
+function sendEvents(context, req, job, records) {
+    const format = String((req.query && req.query.format) || 'sse').toLowerCase();
+    const after = getAfter(req);
+    const events = [];
+
+    // Counts run over every record so far; a key recorded twice counts once
+    const latest = new Map();
+    const counts = { total: job.counts.total, done: 0, converted: 0, failed: 0 };
+    const bucket = (record) => record.status === 'converted' ? 'converted' : 'failed';
+    let last = after;
+
+    for (const record of records) {
+        const previous = latest.get(record.key);
+        if (previous) {
+            counts[bucket(previous)]--;
+        } else {
+            counts.done++;
+        }
+        counts[bucket(record)]++;
+        latest.set(record.key, record);
+
+        if (record.seq <= after) continue;
+        last = record.seq;
+        events.push({ type: 'item', id: record.seq, data: record });
+        events.push({ type: 'progress', data: { id: job.id, last, ...counts } });
+    }
+    events.push({ type: FINISHED_STATUSES.includes(job.status) ? 'done' : 'progress', data: { ...describeJob(job), last } });
+
+    context.res.status = 200;
+
+    if (format === 'ndjson') {
+        context.res.headers['Content-Type'] = 'application/x-ndjson';
+        context.res.body = events.map(event => JSON.stringify({ type: event.type, ...event.data }) + '\n').join('');
+        return;
+    }
+
+    context.res.headers['Content-Type'] = 'text/event-stream';
+    context.res.headers['Cache-Control'] = 'no-cache';
+    context.res.body = `retry: ${SSE_RETRY_MS}\n\n` + events.map(event => [
+        event.id !== undefined ? `id: ${event.id}` : null,
+        `event: ${event.type}`,
+        `data: ${JSON.stringify(event.data)}`
+    ].filter(Boolean).join('\n') + '\n\n').join('');
+}
@@ -0,0 +1,67 @@
+/**
+ * Azure Function: Locales
+ * Resolves spreadsheet language labels (names, BCP-47 tags, legacy CRM codes) to the
+ * language codes a CRM document declares, so clients share one mapping
+ *
+ * Request: { Languages: ["Español", "pt-BR", "UK"], Document } or { Languages, Declared: ["en", "es"] }
+ * Response: { mapping: { label: code }, languages: [resolution], warnings }
+ */
+
+const { parseCrmDocument, getLocalizedContents } = require('../shared/crmDocument');
+const { resolveLanguages } = require('../shared/locales');
+const { buildCorsHeaders, authenticateCaller } = require('../shared/callerAuth');
+
+module.exports = async function (context, req) {
+    context.log('Locales function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    try {
+        // Origin allowlist, and credentials when AUTH_MODE is required
+        const auth = authenticateCaller(req);
+        if (auth.error) {
+            context.res.status = auth.status;
+            context.res.body = { error: auth.error };
+            return;
+        }
+
+        const { Languages, Document, Declared } = req.body || {};
+
+        if (!Array.isArray(Languages)) {
+            context.res.status = 400;
+            context.res.body = { error: 'Languages array is required' };
+            return;
+        }
+
+        let declared = Array.isArray(Declared) ? Declared.map(String) : [];
+        if (Document) {
+            try {
+                declared = Object.keys(getLocalizedContents(parseCrmDocument(Document)));
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+        }
+
+        const result = resolveLanguages(Languages, declared);
+        context.log(`🌍 Resolved ${result.languages.length} languages against ${declared.length} declared (${result.warnings.length} warnings)`);
+
+        context.res.status = 200;
+        context.res.body = result;
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Azure Function: Merge
+ * Merges translation rows into a CRM JSON document, converting placeholders
+ * with the same logic as ConvertBatch
+ *
+ * Only contentDoc.content.localizedContents and the header version fields are
+ * modified; configuration is returned untouched. When any key changes, the header
+ * version is bumped, modifiedBy / modifiedDt are stamped, Ticket and Comment are set,
+ * and the changelog entry is returned (appended to Changelog when one is sent)
+ *
+ * BaseVersion: the header.version the translations were prepared against; a
+ * document that is already newer is refused with 409
+ *
+ * DryRun: returns a diff of what the merge would change instead of the document,
+ * optionally rendered as Markdown or HTML (ReportFormat)
+ *
+ * Row LanguageCode values ("Español", "es-ES", "UK") are mapped to the codes the
+ * document declares; report.locales lists the mapping and undeclared languages
+ *
+ * Glossary: optional [{ Term, Language, Note }] rows (e.g. the workbook's "Glossary"
+ * sheet) added to the configured protected terms
+ *
+ * Caller credentials, quotas and the audit log work as in ConvertBatch
+ */
+
+const { convertTexts } = require('../shared/converter');
+const { parseCrmDocument, getLocalizedContents, collectRowTexts, applyTranslations } = require('../shared/crmDocument');
+const { diffLocalizedContents, renderMarkdown, renderHtml } = require('../shared/mergeDiff');
+const { findVersionConflict, summarizeChanges, stampHeader, appendChangelog } = require('../shared/documentVersion');
+const { normalizeRowLanguages } = require('../shared/locales');
+const { getGlossary, parseGlossaryRows } = require('../shared/glossary');
+const { buildCorsHeaders, isOriginAllowed, getHeader } = require('../shared/callerAuth');
+const { authorizeAiRequest, settleAiUsage } = require('../shared/aiAuthorization');
+const { createAuditRecord, writeAuditRecord } = require('../shared/auditLog');
+
+const REPORT_FORMATS = ['json', 'markdown', 'html'];
+
+module.exports = async function (context, req) {
+    context.log('Merge function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    const audit = createAuditRecord(context, 'Merge', req);
+    let conversionSummary = null;
+
+    try {
+        if (!isOriginAllowed(getHeader(req, 'origin'))) {
+            context.res.status = 403;
+            context.res.body = { error: 'Origin not allowed' };
+            return;
+        }
+
+        const { Document, Rows, Mode = 'hybrid', ApiKey, Endpoint, Model, Provider, Glossary, DryRun = false, ReportFormat = 'json',
+            BaseVersion, Ticket, Comment, ModifiedBy, Changelog } = req.body || {};
+
+        if (!Array.isArray(Rows)) {
+            context.res.status = 400;
+            context.res.body = { error: 'Rows array is required' };
+            return;
+        }
+
+        if (Glossary !== undefined && !Array.isArray(Glossary)) {
+            context.res.status = 400;
+            context.res.body = { error: 'Glossary must be an array of { Term, Language, Note } rows' };
+            return;
+        }
+
+        const reportFormat = String(ReportFormat).toLowerCase();
+        if (!REPORT_FORMATS.includes(reportFormat)) {
+            context.res.status = 400;
+            context.res.body = { error: `ReportFormat must be one of: ${REPORT_FORMATS.join(', ')}` };
+            return;
+        }
+
+        let doc;
+        try {
+            doc = parseCrmDocument(Document);
+        } catch (error) {
+            context.res.status = 400;
+            context.res.body = { error: error.message };
+            return;
+        }
+
+        if (Changelog !== undefined && (!Changelog || !Array.isArray(Changelog.entries))) {
+            context.res.status = 400;
+            context.res.body = { error: 'Changelog must be an object with an entries array' };
+            return;
+        }
+
+        let conflict;
+        try {
+            conflict = findVersionConflict(doc.contentDoc.header, BaseVersion);
+        } catch (error) {
+            context.res.status = 400;
+            context.res.body = { error: error.message };
+            return;
+        }
+        if (conflict) {
+            context.res.status = 409;
+            context.res.body = { error: conflict.message, version: conflict.version, baseVersion: conflict.baseVersion };
+            return;
+        }
+
+        const locales = normalizeRowLanguages(Rows, Object.keys(getLocalizedContents(doc)));
+        for (const warning of locales.warnings) {
+            context.log.warn(`⚠️ ${warning.message}`);
+        }
+
+        const mode = Mode.toLowerCase();
+        audit.mode = mode;
+        const { texts, skipped } = collectRowTexts(locales.rows);
+        context.log(`Merging ${Object.keys(texts).length} translations in ${mode} mode (${skipped.length} rows skipped)`);
+
+        const authorized = await authorizeAiRequest(context, req, {
+            mode, provider: Provider, endpoint: Endpoint, model: Model, apiKey: ApiKey, texts: Object.keys(texts).length
+        }, audit);
+        if (!authorized) return;
+
+        const { results, errors, summary, cache, usage } = await convertTexts(texts, {
+            mode,
+            apiKey: authorized.apiKey,
+            provider: authorized.provider,
+            model: Model,
+            jsonContext: JSON.stringify(doc),
+            workspaceId: doc.contentDoc.header?.workspaceId,
+            glossary: getGlossary(parseGlossaryRows(Glossary)),
+            quota: authorized.quota
+        }, context);
+        conversionSummary = summary;
+
+        await settleAiUsage(authorized, usage);
+
+        const before = JSON.parse(JSON.stringify(getLocalizedContents(doc)));
+        const report = applyTranslations(doc, results, errors);
+        report.skipped = skipped;
+        report.locales = { mapping: locales.mapping, warnings: locales.warnings };
+        report.cache = cache;
+        report.summary = summary;
+
+        const diff = diffLocalizedContents(before, getLocalizedContents(doc));
+
+        if (DryRun) {
+            const header = doc.contentDoc.header;
+            context.log(`🔍 Dry run: ${diff.totals.added} added, ${diff.totals.modified} modified`);
+
+            context.res.status = 200;
+            context.res.body = { diff, report };
+            if (reportFormat === 'markdown') context.res.body.markdown = renderMarkdown(diff, header);
+            if (reportFormat === 'html') context.res.body.html = renderHtml(diff, header);
+            return;
+        }
+
+        const entry = stampHeader(doc, summarizeChanges(diff), {
+            modifiedBy: ModifiedBy || (authorized.caller.via !== 'anonymous' ? authorized.caller.id : null),
+            ticket: Ticket,
+            comment: Comment
+        });
+        if (entry) {
+            context.log(`🏷️ Version ${entry.previousVersion ?? '(none)'} → ${entry.version}`);
+        }
+
+        context.log(`✅ Merge complete: ${report.totals.added} added, ${report.totals.updated} updated, ${report.totals.failed} failed`);
+
+        context.res.status = 200;
+        context.res.body = { document: doc, report, changelog: appendChangelog(Changelog, entry, doc.contentDoc.header) };
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    } finally {
+        await writeAuditRecord(context, audit, { status: context.res.status, summary: conversionSummary, reason: context.res.body?.error });
+    }
+};
@@ -0,0 +1,118 @@
+/**
+ * Azure Function: Preview
+ * Renders converted templates against sample LoadedData profiles so reviewers can
+ * read every #if branch before merging
+ *
+ * Request: { Text } | { Texts: { "langCode|translationKey": handlebars } } | { Document }
+ * to preview a merged CRM document's localizedContents; optional Profiles replaces
+ * the configured sample profiles ([{ name, data: { LoadedData, localVars } }])
+ * Response: { results: { key: { profiles, branches, coverage } }, summary } - keys
+ * that fail validation carry errors instead
+ */
+
+const { getPlaceholderRegistry, getWorkspaceIdFromJson } = require('../shared/placeholderRegistry');
+const { parseCrmDocument, getLocalizedContents } = require('../shared/crmDocument');
+const { validateHandlebars } = require('../shared/handlebarsValidator');
+const { loadPreviewProfiles, previewTemplate } = require('../shared/templateRenderer');
+const { buildCorsHeaders, authenticateCaller } = require('../shared/callerAuth');
+
+module.exports = async function (context, req) {
+    context.log('Preview function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    try {
+        // Origin allowlist, and credentials when AUTH_MODE is required
+        const auth = authenticateCaller(req);
+        if (auth.error) {
+            context.res.status = auth.status;
+            context.res.body = { error: auth.error };
+            return;
+        }
+
+        const { Text, Texts, Document, Profiles, WorkspaceId } = req.body || {};
+
+        let texts = Texts;
+        let workspaceId = WorkspaceId;
+
+        if (typeof Text === 'string') {
+            texts = { text: Text };
+        } else if (Document) {
+            let doc;
+            try {
+                doc = parseCrmDocument(Document);
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+
+            texts = {};
+            for (const [language, strings] of Object.entries(getLocalizedContents(doc))) {
+                for (const [key, value] of Object.entries(strings || {})) {
+                    texts[`${language}|${key}`] = String(value ?? '');
+                }
+            }
+            workspaceId = workspaceId ?? getWorkspaceIdFromJson(doc);
+        }
+
+        if (!texts || typeof texts !== 'object') {
+            context.res.status = 400;
+            context.res.body = { error: 'Text, Texts object or Document is required' };
+            return;
+        }
+
+        if (Profiles !== undefined && (!Array.isArray(Profiles) || Profiles.some(p => !p || typeof p.data !== 'object'))) {
+            context.res.status = 400;
+            context.res.body = { error: 'Profiles must be an array of { name, data }' };
+            return;
+        }
+
+        const profiles = (Profiles || loadPreviewProfiles()).map((profile, index) => ({
+            name: profile.name || `Profile ${index + 1}`,
+            data: profile.data
+        }));
+        const registry = getPlaceholderRegistry(workspaceId ?? null);
+        const variables = registry.variables();
+
+        const results = {};
+        const summary = { total: 0, rendered: 0, invalid: 0, branches: 0, uncoveredBranches: 0 };
+
+        for (const [key, template] of Object.entries(texts)) {
+            summary.total++;
+            const validation = validateHandlebars(String(template ?? ''), { variables });
+            const errors = validation.diagnostics.filter(d => d.severity === 'error');
+
+            if (errors.length > 0) {
+                summary.invalid++;
+                results[key] = { errors: errors.map(d => ({ code: d.code, message: d.message, offset: d.offset })) };
+                continue;
+            }
+
+            const preview = previewTemplate(String(template ?? ''), profiles);
+            summary.rendered++;
+            summary.branches += preview.coverage.total;
+            summary.uncoveredBranches += preview.coverage.uncovered.length;
+            results[key] = preview;
+        }
+
+        context.log(`👁️ Rendered ${summary.rendered} of ${summary.total} texts for ${profiles.length} profiles`);
+
+        context.res.status = 200;
+        context.res.body = { results, summary };
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Azure Function: ReverseConvert
+ * Turns Handlebars templates back into translator-friendly placeholder text
+ * ([Sender name], him/her, IF/ELSE pseudocode) for retranslation hand-off
+ *
+ * Request: { Texts: { "langCode|translationKey": handlebars } } or { Document } to
+ * reverse a CRM document's localizedContents
+ * Response: { texts, irreversible: { key: reason } } - irreversible texts keep their
+ * Handlebars, which ConvertBatch passes through unchanged
+ */
+
+const { getPlaceholderRegistry, getWorkspaceIdFromJson } = require('../shared/placeholderRegistry');
+const { parseCrmDocument, getLocalizedContents } = require('../shared/crmDocument');
+const { getLanguageFromKey } = require('../shared/converter');
+const { reverseConvert } = require('../shared/reverseConverter');
+const { buildCorsHeaders, authenticateCaller } = require('../shared/callerAuth');
+
+module.exports = async function (context, req) {
+    context.log('ReverseConvert function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    try {
+        // Origin allowlist, and credentials when AUTH_MODE is required
+        const auth = authenticateCaller(req);
+        if (auth.error) {
+            context.res.status = auth.status;
+            context.res.body = { error: auth.error };
+            return;
+        }
+
+        const { Texts, Document, WorkspaceId, Language } = req.body || {};
+
+        let texts = Texts;
+        let workspaceId = WorkspaceId;
+
+        if (Document) {
+            let doc;
+            try {
+                doc = parseCrmDocument(Document);
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+
+            texts = {};
+            for (const [language, strings] of Object.entries(getLocalizedContents(doc))) {
+                for (const [key, value] of Object.entries(strings || {})) {
+                    texts[`${language}|${key}`] = String(value ?? '');
+                }
+            }
+            workspaceId = workspaceId ?? getWorkspaceIdFromJson(doc);
+        }
+
+        if (!texts || typeof texts !== 'object') {
+            context.res.status = 400;
+            context.res.body = { error: 'Texts object or Document is required' };
+            return;
+        }
+
+        const registry = getPlaceholderRegistry(workspaceId ?? null);
+        const results = {};
+        const irreversible = {};
+
+        for (const [key, template] of Object.entries(texts)) {
+            const { text, reversible, reason } = reverseConvert(template, registry, getLanguageFromKey(key) || Language);
+            results[key] = text;
+            if (!reversible) {
+                irreversible[key] = reason;
+            }
+        }
+
+        context.log(`↩️ Reversed ${Object.keys(results).length - Object.keys(irreversible).length} of ${Object.keys(results).length} texts`);
+
+        context.res.status = 200;
+        context.res.body = { texts: results, irreversible };
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    }
+};
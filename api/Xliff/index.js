@@ -0,0 +1,99 @@
+/**
+ * Azure Function: Xliff
+ * Round-trips translations with localization vendors
+ *
+ * POST /api/xliff/export: CRM document → one XLIFF 1.2 or 2.0 file per target language
+ * POST /api/xliff/import: vendor XLIFF files → Texts for ConvertBatch ("langCode|translationKey" → text)
+ */
+
+const { parseCrmDocument, getLocalizedContents } = require('../shared/crmDocument');
+const { exportXliff, importXliff } = require('../shared/xliff');
+const { buildCorsHeaders, authenticateCaller } = require('../shared/callerAuth');
+
+module.exports = async function (context, req) {
+    context.log('Xliff function triggered');
+
+    // CORS headers
+    context.res = {
+        headers: buildCorsHeaders(req)
+    };
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+        context.res.status = 200;
+        return;
+    }
+
+    try {
+        // Origin allowlist, and credentials when AUTH_MODE is required
+        const auth = authenticateCaller(req);
+        if (auth.error) {
+            context.res.status = auth.status;
+            context.res.body = { error: auth.error };
+            return;
+        }
+
+        const action = String((req.params && req.params.action) || '').toLowerCase();
+        const body = req.body || {};
+
+        if (action === 'export') {
+            const { Document, Version = '1.2', SourceLanguage, TargetLanguages } = body;
+
+            let files;
+            try {
+                const doc = parseCrmDocument(Document);
+                files = exportXliff(getLocalizedContents(doc), {
+                    version: Version,
+                    sourceLanguage: SourceLanguage,
+                    targetLanguages: TargetLanguages,
+                    original: doc.contentDoc.header?.key?.stringKey
+                });
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+
+            context.log(`📤 Exported ${files.length} XLIFF ${Version} files`);
+            context.res.status = 200;
+            context.res.body = { files };
+            return;
+        }
+
+        if (action === 'import') {
+            const documents = [].concat(body.Xliff || []);
+            if (documents.length === 0) {
+                context.res.status = 400;
+                context.res.body = { error: 'Xliff (one XLIFF document or an array of them) is required' };
+                return;
+            }
+
+            const texts = {};
+            const warnings = [];
+            try {
+                documents.forEach((xml, index) => {
+                    const result = importXliff(String(xml));
+                    Object.assign(texts, result.texts);
+                    warnings.push(...result.warnings.map(warning => ({ file: index, ...warning })));
+                });
+            } catch (error) {
+                context.res.status = 400;
+                context.res.body = { error: error.message };
+                return;
+            }
+
+            context.log(`📥 Imported ${Object.keys(texts).length} translations (${warnings.length} warnings)`);
+            context.res.status = 200;
+            context.res.body = { texts, warnings };
+            return;
+        }
+
+        context.res.status = 404;
+        context.res.body = { error: "Action must be 'export' or 'import'" };
+
+    } catch (error) {
+        context.log.error('Function error:', error);
+        context.res.status = 500;
+        context.res.body = { error: error.message };
+    }
+};
@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+/**
+ * compare-converters
+ * Runs the golden corpus (test/golden/corpus.json) through two versions of the
+ * converter and scores how their output differs: isComplexText routing,
+ * repairMalformedPlaceholders, convertWithPatterns, compilePseudocode and the
+ * validator diagnostics on the result, case by case
+ *
+ * A version is a git ref (its api/shared and api/config are read with git show into a
+ * temporary folder) or an api folder. The default compares HEAD with the working tree.
+ * --update rewrites the corpus expectations from the working tree instead.
+ *
+ * Exit codes: 0 no regressions, 1 a case that matched the corpus no longer does,
+ * 2 usage or input errors
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+
+const API_ROOT = path.join(__dirname, '..');
+const DEFAULT_CORPUS = path.join(API_ROOT, 'test', 'golden', 'corpus.json');
+const ASPECTS = ['complex', 'repaired', 'patterns', 'compiled', 'diagnostics'];
+const WORKING_TREE = 'working tree';
+
+const USAGE = `Usage: compare-converters [--base <ref|folder>] [--head <ref|folder>] [options]
+
+Options:
+  --base <ref|folder>         Version to compare against (default: HEAD)
+  --head <ref|folder>         Version to score (default: the working tree)
+  --corpus <file>             Golden corpus (default: test/golden/corpus.json)
+  --json <file>               Write the full comparison as JSON
+  --update                    Rewrite the corpus expectations from the working tree
+  --verbose                   List unchanged cases too
+  --help                      Show this help`;
+
+/**
+ * Runs the tool; returns the exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const print = (line = '') => io.stdout.write(`${line}\n`);
+    const printError = (line) => io.stderr.write(`${line}\n`);
+
+    let options;
+    try {
+        options = readOptions(argv);
+    } catch (error) {
+        printError(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        print(USAGE);
+        return 0;
+    }
+
+    let corpus;
+    let base;
+    let head;
+    try {
+        corpus = loadCorpus(options.corpus);
+        head = loadConverterVersion(options.head);
+        base = options.update ? null : loadConverterVersion(options.base);
+    } catch (error) {
+        printError(`❌ ${error.message}`);
+        return 2;
+    }
+
+    if (options.update) {
+        const updated = updateCorpus(corpus, head);
+        fs.writeFileSync(options.corpus, JSON.stringify(corpus, null, 2) + '\n');
+        print(`📝 ${updated} of ${corpus.cases.length} cases updated in ${path.relative(process.cwd(), options.corpus)}`);
+        return 0;
+    }
+
+    const comparison = compareVersions(base, head, corpus.cases);
+    printComparison(comparison, options.verbose, print);
+
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(comparison, null, 2) + '\n');
+        print(`📄 Comparison written to ${options.json}`);
+    }
+
+    return comparison.summary.regressed > 0 ? 1 : 0;
+}
+
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: {
+                base: { type: 'string' },
+                head: { type: 'string' },
+                corpus: { type: 'string' },
+                json: { type: 'string' },
+                update: { type: 'boolean' },
+                verbose: { type: 'boolean' },
+                help: { type: 'boolean' }
+            }
+        }).values;
+    } catch (error) {
+        throw new Error(error.message);
+    }
+
+    if (parsed.help) return { help: true };
+    if (parsed.update && (parsed.base || parsed.head)) {
+        throw new Error('--update always uses the working tree; it cannot be combined with --base or --head');
+    }
+
+    return {
+        base: parsed.base || 'HEAD',
+        head: parsed.head || WORKING_TREE,
+        corpus: path.resolve(parsed.corpus || DEFAULT_CORPUS),
+        json: parsed.json || null,
+        update: Boolean(parsed.update),
+        verbose: Boolean(parsed.verbose)
+    };
+}
+
+/**
+ * Reads the corpus: { version, cases: [{ name, language, input, complex, repaired, repairs, patterns, compiled, diagnostics }] }
+ */
+function loadCorpus(file = DEFAULT_CORPUS) {
+    if (!fs.existsSync(file)) throw new Error(`Corpus ${file} not found`);
+
+    const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(corpus.cases)) throw new Error(`${file} has no cases array`);
+
+    const names = new Set();
+    for (const testCase of corpus.cases) {
+        if (!testCase.name || typeof testCase.input !== 'string') {
+            throw new Error(`Every corpus case needs a name and an input string (${JSON.stringify(testCase).substring(0, 80)})`);
+        }
+        if (names.has(testCase.name)) throw new Error(`Duplicate corpus case ${testCase.name}`);
+        names.add(testCase.name);
+    }
+    return corpus;
+}
+
+/**
+ * Loads a converter version: the working tree, an api folder or a git ref
+ * Returns { label, converter, registry, pseudocode, validator }; the last two are null
+ * in versions that predate them
+ */
+function loadConverterVersion(spec = WORKING_TREE) {
+    let root = API_ROOT;
+    let label = spec;
+
+    if (spec !== WORKING_TREE) {
+        const folder = path.resolve(spec);
+        if (fs.existsSync(path.join(folder, 'shared', 'converter.js'))) {
+            root = folder;
+        } else if (fs.existsSync(path.join(folder, 'api', 'shared', 'converter.js'))) {
+            root = path.join(folder, 'api');
+        } else {
+            root = checkoutRef(spec);
+            label = `${spec} (${path.basename(root).replace(/^crm-converter-/, '')})`;
+        }
+    }
+
+    const converter = require(path.join(root, 'shared', 'converter.js'));
+    const missing = ['isComplexText', 'repairMalformedPlaceholders', 'convertWithPatterns'].filter(name => typeof converter[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${label} does not export ${missing.join(', ')} from shared/converter.js`);
+    }
+
+    const { getPlaceholderRegistry } = require(path.join(root, 'shared', 'placeholderRegistry.js'));
+    const optional = (file) => fs.existsSync(path.join(root, 'shared', file)) ? require(path.join(root, 'shared', file)) : null;
+    return {
+        label,
+        converter,
+        registry: getPlaceholderRegistry(),
+        pseudocode: optional('pseudocodeCompiler.js'),
+        validator: optional('handlebarsValidator.js')
+    };
+}
+
+/**
+ * Writes api/shared and api/config of a git ref to a temporary folder; returns the folder
+ */
+function checkoutRef(ref) {
+    const git = (args, options = {}) => execFileSync('git', args, { cwd: API_ROOT, maxBuffer: 64 * 1024 * 1024, ...options });
+
+    let commit;
+    let prefix;
+    try {
+        commit = git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { encoding: 'utf8' }).trim();
+        prefix = git(['rev-parse', '--show-prefix'], { encoding: 'utf8' }).trim();
+    } catch (error) {
+        throw new Error(`${ref} is neither an api folder nor a git commit`);
+    }
+
+    const root = path.join(os.tmpdir(), `crm-converter-${commit.substring(0, 12)}`);
+    if (fs.existsSync(path.join(root, 'shared', 'converter.js'))) {
+        return root;
+    }
+
+    const files = git(['ls-tree', '-r', '--name-only', '--full-tree', commit, '--', `${prefix}shared`, `${prefix}config`], { encoding: 'utf8' })
+        .split('\n')
+        .filter(Boolean);
+    if (!files.includes(`${prefix}shared/converter.js`)) {
+        throw new Error(`${ref} has no ${prefix}shared/converter.js`);
+    }
+
+    // Written beside the target and renamed, so an interrupted checkout is never reused
+    const temp = `${root}.${process.pid}.tmp`;
+    for (const file of files) {
+        const target = path.join(temp, file.substring(prefix.length));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, git(['show', `${commit}:${file}`]));
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.renameSync(temp, root);
+    return root;
+}
+
+/**
+ * Output of one version for a corpus case; a function that throws yields { error }
+ * compiled is null for text that is not pseudocode; diagnostics are the validator codes
+ * for the compiled output, or the pattern output when nothing was compiled
+ */
+function runCase({ converter, registry, pseudocode = null, validator = null }, testCase) {
+    const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+    const attempt = (fn) => {
+        try {
+            return fn();
+        } catch (error) {
+            return { error: error.message };
+        }
+    };
+
+    const repairs = [];
+    const patterns = attempt(() => converter.convertWithPatterns(testCase.input, registry, context, testCase.language || 'en', []));
+    const compiled = attempt(() => pseudocode && pseudocode.isPseudocode(testCase.input)
+        ? pseudocode.compilePseudocode(testCase.input, registry)
+        : null);
+    const output = typeof compiled === 'string' ? compiled : patterns;
+
+    return {
+        complex: attempt(() => converter.isComplexText(testCase.input)),
+        repaired: attempt(() => converter.repairMalformedPlaceholders(testCase.input, registry, context, repairs)),
+        repairs,
+        patterns,
+        compiled,
+        diagnostics: attempt(() => validator && typeof output === 'string'
+            ? validator.validateHandlebars(output, { variables: registry.variables() }).diagnostics.map(diagnostic => diagnostic.code)
+            : [])
+    };
+}
+
+/**
+ * Rewrites each case's expectations from a version; returns the number of cases that changed
+ */
+function updateCorpus(corpus, version) {
+    let updated = 0;
+    corpus.cases = corpus.cases.map(testCase => {
+        const actual = runCase(version, testCase);
+        const next = { ...testCase };
+        for (const key of ['complex', 'repaired', 'repairs', 'patterns', 'compiled', 'diagnostics']) next[key] = actual[key];
+        if (JSON.stringify(next) !== JSON.stringify(testCase)) updated++;
+        return next;
+    });
+    return updated;
+}
+
+/**
+ * 1 for identical strings down to 0 for nothing in common (normalized Levenshtein distance)
+ */
+function similarity(a, b) {
+    const left = typeof a === 'string' ? a : JSON.stringify(a);
+    const right = typeof b === 'string' ? b : JSON.stringify(b);
+    if (left === right) return 1;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= right.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[right.length] / Math.max(left.length, right.length);
+}
+
+/**
+ * Scores head against base on every case
+ * Each aspect is unchanged, fixed (now matches the corpus), regressed (no longer does)
+ * or changed (differs, neither matches). The score is the mean similarity of the
+ * outputs x 100: 100 means no output changed.
+ */
+function compareVersions(base, head, cases) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const results = [];
+    const summary = {
+        base: base.label,
+        head: head.label,
+        cases: cases.length,
+        unchanged: 0,
+        changed: 0,
+        fixed: 0,
+        regressed: 0,
+        matchesCorpus: { base: 0, head: 0 },
+        aspects: Object.fromEntries(ASPECTS.map(aspect => [aspect, { unchanged: 0, changed: 0, fixed: 0, regressed: 0 }])),
+        score: 0
+    };
+
+    let totalSimilarity = 0;
+    for (const testCase of cases) {
+        const before = runCase(base, testCase);
+        const after = runCase(head, testCase);
+        const aspects = {};
+        const similarities = [];
+
+        for (const aspect of ASPECTS) {
+            const expected = testCase[aspect];
+            let status = 'unchanged';
+            if (!same(before[aspect], after[aspect])) {
+                if (expected !== undefined && same(after[aspect], expected)) status = 'fixed';
+                else if (expected !== undefined && same(before[aspect], expected)) status = 'regressed';
+                else status = 'changed';
+            }
+
+            summary.aspects[aspect][status]++;
+            similarities.push(similarity(before[aspect], after[aspect]));
+            aspects[aspect] = { status, base: before[aspect], head: after[aspect], expected };
+        }
+
+        const statuses = Object.values(aspects).map(aspect => aspect.status);
+        const status = ['regressed', 'changed', 'fixed'].find(name => statuses.includes(name)) || 'unchanged';
+        summary[status]++;
+        // Aspects a case has no expectation for (older corpora) do not count
+        const matchesCorpus = (output) => ASPECTS.every(aspect => testCase[aspect] === undefined || same(output[aspect], testCase[aspect]));
+        if (matchesCorpus(before)) summary.matchesCorpus.base++;
+        if (matchesCorpus(after)) summary.matchesCorpus.head++;
+
+        const caseSimilarity = similarities.reduce((sum, value) => sum + value, 0) / similarities.length;
+        totalSimilarity += caseSimilarity;
+        results.push({ name: testCase.name, input: testCase.input, status, similarity: round(caseSimilarity), aspects });
+    }
+
+    summary.score = cases.length > 0 ? round(totalSimilarity / cases.length * 100) : 100;
+    return { summary, cases: results };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function printComparison({ summary, cases }, verbose, print) {
+    const icons = { unchanged: '✅', fixed: '🟢', changed: '🟡', regressed: '🔴' };
+    const show = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+
+    print(`🔬 ${summary.base} → ${summary.head} on ${summary.cases} cases`);
+    print();
+
+    for (const result of cases) {
+        if (result.status === 'unchanged' && !verbose) continue;
+        print(`${icons[result.status]} ${result.name} (${result.status}, similarity ${result.similarity})`);
+        print(`   input:    ${result.input}`);
+        for (const aspect of ASPECTS) {
+            const { status, base, head, expected } = result.aspects[aspect];
+            if (status === 'unchanged') continue;
+            print(`   ${aspect}: ${status}`);
+            print(`     base:     ${show(base)}`);
+            print(`     head:     ${show(head)}`);
+            if (expected !== undefined) print(`     expected: ${show(expected)}`);
+        }
+    }
+
+    print();
+    for (const aspect of ASPECTS) {
+        const counts = summary.aspects[aspect];
+        print(`   ${aspect.padEnd(11)} ${counts.unchanged} unchanged, ${counts.changed} changed, ${counts.fixed} fixed, ${counts.regressed} regressed`);
+    }
+    print(`   Corpus matches: base ${summary.matchesCorpus.base}/${summary.cases}, head ${summary.matchesCorpus.head}/${summary.cases}`);
+    print(`${summary.regressed > 0 ? '❌' : '✅'} Score ${summary.score} (100 = identical output): ${summary.unchanged} unchanged, ${summary.changed} changed, ${summary.fixed} fixed, ${summary.regressed} regressed`);
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`❌ ${error.stack || error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = {
+    run,
+    loadCorpus,
+    loadConverterVersion,
+    runCase,
+    similarity,
+    compareVersions
+};
@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * crm-translate
+ * Merges spreadsheet translations into a folder of CRM JSON documents outside the
+ * browser, with the same conversion as ConvertBatch/Merge, and exits non-zero when
+ * anything fails validation so it can gate pull requests on a content repository
+ *
+ * Rows are routed to documents by a StringKey column, a --template sheet mapping,
+ * a sheet named after the template, or - with a single document - to that document.
+ * A sheet named "Glossary" adds protected terms instead of translations.
+ *
+ * Written documents get a new header version, modifiedBy / modifiedDt and the
+ * --ticket / --comment, and <file>.changelog.json next to them lists the keys changed
+ * in each version. Documents newer than --base-version are not merged.
+ *
+ * Exit codes: 0 passed, 1 validation failures, 2 usage or input errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_MODEL, getOpenAiKey, modeUsesAi, convertTexts } = require('../shared/converter');
+const { getLlmProvider } = require('../shared/llmProviders');
+const { parseCrmDocument, getLocalizedContents, collectRowTexts, applyTranslations } = require('../shared/crmDocument');
+const { readSpreadsheet, toTranslationRows } = require('../shared/spreadsheet');
+const { normalizeRowLanguages } = require('../shared/locales');
+const { checkConsistency } = require('../shared/consistencyChecker');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+const { getGlossary, parseGlossaryRows, isGlossarySheet } = require('../shared/glossary');
+const { diffLocalizedContents } = require('../shared/mergeDiff');
+const { parseVersion, findVersionConflict, summarizeChanges, stampHeader, appendChangelog, getChangelogPath } = require('../shared/documentVersion');
+
+const MODES = ['pattern', 'hybrid', 'ai'];
+
+const USAGE = `Usage: crm-translate --docs <folder> --translations <file.xlsx|file.csv> [options]
+
+Options:
+  --docs <folder>             Folder of CRM JSON documents
+  --translations <file>       XLSX or CSV translations; repeat for several files
+  --out <folder>              Where merged documents are written (default: <docs>/merged)
+  --in-place                  Overwrite the documents instead of writing to --out
+  --dry-run                   Convert and validate without writing documents
+  --mode <mode>               pattern (default, offline), hybrid or ai
+  --api-key <key>             AI key (default: OPENAI_API_KEY, Key Vault or secrets.local.json)
+  --provider <name>           openai, azure, local, or fake with AI_FAKE_ENABLED=true (default: AI_PROVIDER)
+  --endpoint <url>            AI endpoint
+  --model <name>              AI model or Azure deployment
+  --sheet <name>              Only read this sheet; repeat for several
+  --template <sheet>=<key>    Route a sheet's rows to a template stringKey
+  --base-version [<key>=]<n>  Version the translations were prepared against; newer documents
+                              are not merged. Repeat with <stringKey>=<n> per document
+  --ticket <id>               Ticket written to the merged documents' header
+  --comment <text>            Change comment written to the header
+  --modified-by <name>        Header modifiedBy (default: DOCUMENT_MODIFIED_BY or crm-translation-merger)
+  --check                     Also run the cross-language consistency check
+  --source-language <code>    Source language for --check (default: en)
+  --report <file>             Write the JSON report to a file
+  --verbose                   Log every conversion
+  --help                      Show this help`;
+
+/**
+ * Runs the tool; returns the exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const print = (line = '') => io.stdout.write(`${line}\n`);
+    const printError = (line) => io.stderr.write(`${line}\n`);
+
+    let options;
+    try {
+        options = readOptions(argv);
+    } catch (error) {
+        printError(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        print(USAGE);
+        return 0;
+    }
+
+    const context = createContext(options.verbose, print, printError);
+
+    let documents;
+    let rows;
+    const glossaryRows = [];
+    const warnings = [];
+    try {
+        documents = loadDocuments(options.docs);
+        rows = loadRows(options.translations, options, warnings, glossaryRows);
+    } catch (error) {
+        printError(`❌ ${error.message}`);
+        return 2;
+    }
+
+    if (documents.length === 0) {
+        printError(`❌ No CRM documents found in ${options.docs}`);
+        return 2;
+    }
+
+    let provider;
+    let apiKey = null;
+    try {
+        provider = getLlmProvider({ provider: options.provider, endpoint: options.endpoint, model: options.model }, DEFAULT_MODEL);
+        if (modeUsesAi(options.mode) && provider.requiresApiKey) {
+            apiKey = await getOpenAiKey(options.apiKey, context, provider.name);
+        }
+    } catch (error) {
+        printError(`❌ ${error.message}`);
+        return 2;
+    }
+
+    const workbookTerms = parseGlossaryRows(glossaryRows);
+    const glossary = getGlossary(workbookTerms);
+    if (workbookTerms.length > 0) {
+        context.log(`📖 ${workbookTerms.length} glossary terms from the workbook`);
+    }
+
+    const { routed, unrouted } = routeRows(rows, documents, options.templates);
+    const failures = unrouted.map(row => {
+        const described = describeRow(row);
+        return { type: 'unrouted-row', ...described, message: `${described.source}: no document for this row` };
+    });
+    const results = [];
+
+    for (const document of documents) {
+        const documentRows = routed.get(document) || [];
+        if (documentRows.length === 0) continue;
+
+        let conflict;
+        try {
+            conflict = findVersionConflict(document.doc.contentDoc.header, getBaseVersion(document, options.baseVersions));
+        } catch (error) {
+            conflict = { message: error.message };
+        }
+        if (conflict) {
+            failures.push({ file: document.file, type: 'version-conflict', ...conflict });
+            continue;
+        }
+
+        const locales = normalizeRowLanguages(documentRows, Object.keys(getLocalizedContents(document.doc)));
+        const unknownLanguages = new Set();
+        for (const warning of locales.warnings) {
+            const entry = { file: document.file, ...warning };
+            if (warning.type === 'unknown-language') {
+                unknownLanguages.add(warning.language);
+                failures.push(entry);
+            } else {
+                warnings.push(entry);
+            }
+        }
+
+        // Rows in languages that cannot be resolved are not merged
+        const mergeRows = locales.rows.filter(row => !unknownLanguages.has(String(row.LanguageCode ?? '').trim()));
+        const { texts, skipped } = collectRowTexts(mergeRows);
+        skipped.forEach(({ row, reason }) => warnings.push({ file: document.file, type: 'skipped-row', ...describeRow(mergeRows[row]), message: reason }));
+
+        const { results: converted, errors, items, summary } = await convertTexts(texts, {
+            mode: options.mode,
+            apiKey,
+            provider,
+            endpoint: options.endpoint,
+            model: options.model,
+            jsonContext: JSON.stringify(document.doc),
+            workspaceId: document.doc.contentDoc.header?.workspaceId,
+            glossary
+        }, context);
+
+        for (const [key, item] of Object.entries(items)) {
+            if (item.status === 'failed') {
+                failures.push({ file: document.file, type: 'conversion-failed', key, errors: item.errors, message: `${key}: ${errors[key]}` });
+            }
+        }
+
+        const before = JSON.parse(JSON.stringify(getLocalizedContents(document.doc)));
+        const report = applyTranslations(document.doc, converted, errors);
+        const result = { file: document.file, stringKey: document.stringKey, report, summary, locales: locales.mapping };
+
+        if (options.check) {
+            result.consistency = checkConsistency(getLocalizedContents(document.doc), {
+                sourceLanguage: options.sourceLanguage,
+                registry: getPlaceholderRegistry(document.doc.contentDoc.header?.workspaceId ?? null)
+            });
+            result.consistency.issues
+                .filter(issue => issue.severity === 'error')
+                .forEach(issue => failures.push({ file: document.file, type: 'consistency', ...issue }));
+        }
+
+        if (!options.dryRun) {
+            const changes = summarizeChanges(diffLocalizedContents(before, getLocalizedContents(document.doc)));
+            const entry = stampHeader(document.doc, changes, {
+                modifiedBy: options.modifiedBy,
+                ticket: options.ticket,
+                comment: options.comment
+            });
+            result.output = writeDocument(document, options);
+            if (entry) {
+                result.version = entry.version;
+                result.changelog = writeChangelog(document, result.output, entry);
+            }
+        }
+
+        results.push(result);
+        const { added, updated, failed } = report.totals;
+        const version = result.version !== undefined ? ` (version ${result.version})` : '';
+        print(`${failed > 0 ? '⚠️' : '✅'} ${document.stringKey || document.file}: ${added} added, ${updated} updated, ${failed} failed${result.output ? ` → ${result.output}${version}` : ''}`);
+    }
+
+    const passed = failures.length === 0;
+    const output = {
+        passed,
+        mode: options.mode,
+        dryRun: options.dryRun,
+        documents: results,
+        failures,
+        warnings,
+        summary: {
+            documents: results.length,
+            rows: rows.length,
+            converted: results.reduce((total, result) => total + result.summary.converted, 0),
+            failed: results.reduce((total, result) => total + result.summary.failed, 0),
+            unrouted: unrouted.length,
+            failures: failures.length,
+            warnings: warnings.length
+        }
+    };
+
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(output, null, 2) + '\n');
+    }
+
+    warnings.forEach(warning => printError(`⚠️ ${warning.file ? `${warning.file}: ` : ''}${warning.message}`));
+    failures.forEach(failure => printError(`❌ ${failure.file ? `${failure.file}: ` : ''}${failure.message}`));
+
+    print(`${passed ? '✅ Passed' : '❌ Failed'}: ${output.summary.documents} documents, ${output.summary.converted} converted, ${failures.length} failures, ${warnings.length} warnings`);
+    return passed ? 0 : 1;
+}
+
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: {
+                docs: { type: 'string' },
+                translations: { type: 'string', multiple: true },
+                out: { type: 'string' },
+                'in-place': { type: 'boolean' },
+                'dry-run': { type: 'boolean' },
+                mode: { type: 'string' },
+                'api-key': { type: 'string' },
+                provider: { type: 'string' },
+                endpoint: { type: 'string' },
+                model: { type: 'string' },
+                sheet: { type: 'string', multiple: true },
+                template: { type: 'string', multiple: true },
+                'base-version': { type: 'string', multiple: true },
+                ticket: { type: 'string' },
+                comment: { type: 'string' },
+                'modified-by': { type: 'string' },
+                check: { type: 'boolean' },
+                'source-language': { type: 'string' },
+                report: { type: 'string' },
+                verbose: { type: 'boolean' },
+                help: { type: 'boolean' }
+            }
+        }).values;
+    } catch (error) {
+        throw new Error(error.message);
+    }
+
+    if (parsed.help) return { help: true };
+
+    if (!parsed.docs) throw new Error('--docs is required');
+    if (!parsed.translations || parsed.translations.length === 0) throw new Error('--translations is required');
+
+    const mode = String(parsed.mode || 'pattern').toLowerCase();
+    if (!MODES.includes(mode)) throw new Error(`--mode must be one of: ${MODES.join(', ')}`);
+    if (parsed['in-place'] && parsed.out) throw new Error('--in-place and --out cannot be combined');
+
+    const templates = {};
+    for (const mapping of parsed.template || []) {
+        const separator = mapping.lastIndexOf('=');
+        if (separator <= 0) throw new Error(`--template must be <sheet>=<stringKey>, got '${mapping}'`);
+        templates[mapping.substring(0, separator)] = mapping.substring(separator + 1);
+    }
+
+    const baseVersions = {};
+    for (const value of parsed['base-version'] || []) {
+        const separator = value.lastIndexOf('=');
+        const key = separator > 0 ? value.substring(0, separator) : '*';
+        baseVersions[key] = parseVersion(value.substring(separator + 1), '--base-version');
+    }
+
+    return {
+        docs: parsed.docs,
+        translations: parsed.translations,
+        out: parsed.out || path.join(parsed.docs, 'merged'),
+        inPlace: Boolean(parsed['in-place']),
+        dryRun: Boolean(parsed['dry-run']),
+        mode,
+        apiKey: parsed['api-key'],
+        provider: parsed.provider,
+        endpoint: parsed.endpoint,
+        model: parsed.model,
+        sheets: parsed.sheet || [],
+        templates,
+        baseVersions,
+        ticket: parsed.ticket,
+        comment: parsed.comment,
+        modifiedBy: parsed['modified-by'],
+        check: Boolean(parsed.check),
+        sourceLanguage: parsed['source-language'] || 'en',
+        report: parsed.report,
+        verbose: Boolean(parsed.verbose)
+    };
+}
+
+/**
+ * Function-style context for the shared modules; logs only with --verbose since
+ * failures and warnings are summarized at the end
+ */
+function createContext(verbose, print, printError) {
+    const format = (args) => args.map(arg => arg instanceof Error ? arg.message : arg).join(' ');
+    const log = (...args) => { if (verbose) print(format(args)); };
+    log.warn = (...args) => { if (verbose) printError(format(args)); };
+    log.error = (...args) => { if (verbose) printError(format(args)); };
+    return { log };
+}
+
+/**
+ * Every file in the folder that parses as a CRM document; other files are ignored
+ */
+function loadDocuments(folder) {
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        throw new Error(`${folder} is not a folder`);
+    }
+
+    const documents = [];
+    for (const file of fs.readdirSync(folder).sort()) {
+        const filePath = path.join(folder, file);
+        if (!fs.statSync(filePath).isFile()) continue;
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        let doc;
+        try {
+            doc = parseCrmDocument(content);
+        } catch (error) {
+            continue;
+        }
+
+        documents.push({
+            file,
+            path: filePath,
+            doc,
+            stringKey: doc.contentDoc.header?.key?.stringKey || null,
+            name: doc.contentDoc.header?.key?.name || null,
+            trailingNewline: content.endsWith('\n')
+        });
+    }
+
+    return documents;
+}
+
+/**
+ * Translation rows of every sheet, tagged with where they came from
+ * Rows of "Glossary" sheets are collected into glossaryRows instead
+ */
+function loadRows(files, options, warnings, glossaryRows = []) {
+    const rows = [];
+
+    for (const file of files) {
+        let workbook;
+        try {
+            workbook = readSpreadsheet(file, { sheets: options.sheets });
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+
+        workbook.warnings.forEach(warning => warnings.push({ file: path.basename(file), ...warning }));
+
+        for (const sheet of workbook.sheets) {
+            if (isGlossarySheet(sheet.name)) {
+                glossaryRows.push(...sheet.rows);
+                continue;
+            }
+
+            const translations = toTranslationRows(sheet);
+            if (!translations) {
+                warnings.push({ file: path.basename(file), sheet: sheet.name, type: 'no-key-column', message: `Sheet "${sheet.name}" has no key column and was skipped` });
+                continue;
+            }
+
+            translations.rows.forEach((row, index) => rows.push({
+                ...row,
+                StringKey: row.StringKey || options.templates[sheet.name] || null,
+                source: { file: path.basename(file), sheet: sheet.name, row: index + 2, format: translations.format }
+            }));
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Groups rows by document: StringKey (or --template), else a sheet named after the
+ * document, else the only document
+ */
+function routeRows(rows, documents, templates) {
+    const routed = new Map();
+    const unrouted = [];
+
+    for (const row of rows) {
+        const target = findDocument(row.StringKey, documents)
+            || findDocument(row.source.sheet, documents)
+            || (!row.StringKey && documents.length === 1 ? documents[0] : null);
+
+        if (!target) {
+            unrouted.push(row);
+            continue;
+        }
+
+        if (!routed.has(target)) routed.set(target, []);
+        routed.get(target).push(row);
+    }
+
+    return { routed, unrouted };
+}
+
+/**
+ * Matches a stringKey or file name, then a unique template name
+ */
+function findDocument(label, documents) {
+    if (!label) return null;
+
+    const exact = documents.find(document => document.stringKey === label || document.file === label);
+    if (exact) return exact;
+
+    const named = documents.filter(document => document.name === label);
+    return named.length === 1 ? named[0] : null;
+}
+
+function describeRow(row) {
+    const source = row && row.source;
+    return {
+        source: source ? `${source.file} [${source.sheet}] row ${source.row}` : 'row',
+        language: row && row.LanguageCode,
+        key: row && row.TranslationKey
+    };
+}
+
+function writeDocument(document, options) {
+    const target = options.inPlace ? document.path : path.join(options.out, document.file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(document.doc, null, 2) + (document.trailingNewline ? '\n' : ''));
+    return target;
+}
+
+/**
+ * Base version for a document: by stringKey, file or template name, else the one for all
+ */
+function getBaseVersion(document, baseVersions) {
+    for (const key of [document.stringKey, document.file, document.name]) {
+        if (key && baseVersions[key] !== undefined) return baseVersions[key];
+    }
+    return baseVersions['*'];
+}
+
+/**
+ * Appends the entry to the changelog next to the written document; written to --out,
+ * a changelog kept next to the original is carried over
+ */
+function writeChangelog(document, output, entry) {
+    const target = getChangelogPath(output);
+    const source = fs.existsSync(target) ? target : getChangelogPath(document.path);
+
+    let changelog = null;
+    if (fs.existsSync(source)) {
+        try {
+            changelog = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    fs.writeFileSync(target, JSON.stringify(appendChangelog(changelog, entry, document.doc.contentDoc.header), null, 2) + '\n');
+    return target;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`❌ ${error.stack || error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * mock-openai
+ * Local stand-in for the OpenAI chat completions API that replays recorded
+ * responses, so the AI path can be tested without a network or a key
+ *
+ * Requests are matched on the text being converted (the "Input text" of the user
+ * prompt). Recordings file: { "version": "1", "recordings": [{ input, output, usage }] }
+ * where a recording may instead give status, headers and body, or a responses list
+ * played in order (the last one repeats) to replay retries. Unrecorded inputs get 404.
+ *
+ * With --record and --upstream, unrecorded inputs are forwarded to a real endpoint
+ * (key from OPENAI_API_KEY) and the answers are added to the recordings file on exit.
+ *
+ * Any path accepts POST, so OPENAI_ENDPOINT=http://localhost:<port>/v1 works for
+ * `func start` as well as for the tests.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { parseArgs } = require('util');
+
+const DEFAULT_PORT = 8089;
+
+const USAGE = `Usage: mock-openai --recordings <file> [options]
+
+Options:
+  --recordings <file>         Recorded responses (JSON)
+  --port <number>             Port to listen on (default: ${DEFAULT_PORT})
+  --record                    Forward unrecorded inputs to --upstream and save the answers
+  --upstream <url>            Real chat completions URL for --record
+  --help                      Show this help`;
+
+/**
+ * The text being converted, from the user prompt (the whole prompt if it has another shape)
+ */
+function getInputText(payload) {
+    const messages = Array.isArray(payload && payload.messages) ? payload.messages : [];
+    const user = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = user ? String(user.content) : '';
+    const match = /Input text: "([\s\S]*)"\n\nKnown placeholders/.exec(prompt);
+    return match ? match[1] : prompt;
+}
+
+/**
+ * A chat completion body for a recorded output
+ */
+function buildCompletion(output, model, usage) {
+    return {
+        id: 'chatcmpl-mock',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model || 'mock',
+        choices: [{ index: 0, message: { role: 'assistant', content: output }, finish_reason: 'stop' }],
+        usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+}
+
+/**
+ * Starts the mock server
+ * Options: { recordings, recordingsPath, port, record, upstream, apiKey }
+ * Resolves to { url, port, requests, misses, recordings, save(), close() }; requests lists
+ * { input, headers, payload } in arrival order and misses the unrecorded inputs
+ */
+function startMockOpenAi(options = {}) {
+    const recordings = options.recordings
+        || (options.recordingsPath && fs.existsSync(options.recordingsPath)
+            ? JSON.parse(fs.readFileSync(options.recordingsPath, 'utf8')).recordings
+            : []);
+    const requests = [];
+    const misses = [];
+    const played = new Map();
+    let recorded = 0;
+
+    const findRecording = (input) => recordings.find(recording => recording.input === input);
+
+    const respond = (res, status, headers, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    const replay = (res, recording, payload) => {
+        let answer = recording;
+        if (Array.isArray(recording.responses)) {
+            const index = played.get(recording) || 0;
+            played.set(recording, index + 1);
+            answer = recording.responses[Math.min(index, recording.responses.length - 1)];
+        }
+
+        const body = answer.output !== undefined
+            ? buildCompletion(answer.output, payload.model, answer.usage)
+            : answer.body ?? '';
+        respond(res, answer.status || 200, answer.headers || {}, body);
+    };
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', async () => {
+            if (req.method !== 'POST') {
+                respond(res, 404, {}, { error: { message: 'POST a chat completion request' } });
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(data);
+            } catch (error) {
+                respond(res, 400, {}, { error: { message: 'Request body is not JSON' } });
+                return;
+            }
+
+            const input = getInputText(payload);
+            requests.push({ input, headers: req.headers, payload });
+
+            const recording = findRecording(input);
+            if (recording) {
+                replay(res, recording, payload);
+                return;
+            }
+
+            if (options.record && options.upstream) {
+                try {
+                    const answer = await forward(options.upstream, options.apiKey, data);
+                    const content = answer.statusCode === 200 ? JSON.parse(answer.body).choices?.[0]?.message?.content : undefined;
+                    recordings.push(content !== undefined
+                        ? { input, output: content, usage: JSON.parse(answer.body).usage }
+                        : { input, status: answer.statusCode, body: answer.body });
+                    recorded++;
+                    respond(res, answer.statusCode, {}, answer.body);
+                } catch (error) {
+                    respond(res, 502, {}, { error: { message: `Upstream failed: ${error.message}` } });
+                }
+                return;
+            }
+
+            misses.push(input);
+            respond(res, 404, {}, { error: { message: `No recording for input: ${input.substring(0, 80)}` } });
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(options.port || 0, '127.0.0.1', () => {
+            const port = server.address().port;
+            resolve({
+                url: `http://127.0.0.1:${port}/v1`,
+                port,
+                requests,
+                misses,
+                recordings,
+
+                /**
+                 * Writes the recordings file when anything was recorded; returns the number added
+                 */
+                save() {
+                    if (recorded > 0 && options.recordingsPath) {
+                        fs.writeFileSync(options.recordingsPath, JSON.stringify({ version: '1', recordings }, null, 2) + '\n');
+                    }
+                    return recorded;
+                },
+
+                close() {
+                    return new Promise(done => server.close(() => done()));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * POSTs the original request body to the real endpoint
+ */
+function forward(upstream, apiKey, body) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(upstream);
+        const protocol = url.protocol === 'https:' ? https : http;
+        const req = protocol.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Runs the server until interrupted; returns the exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const print = (line = '') => io.stdout.write(`${line}\n`);
+    const printError = (line) => io.stderr.write(`${line}\n`);
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: {
+                recordings: { type: 'string' },
+                port: { type: 'string' },
+                record: { type: 'boolean' },
+                upstream: { type: 'string' },
+                help: { type: 'boolean' }
+            }
+        }).values;
+    } catch (error) {
+        printError(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (parsed.help) {
+        print(USAGE);
+        return 0;
+    }
+    if (!parsed.recordings) {
+        printError(`❌ --recordings is required\n\n${USAGE}`);
+        return 2;
+    }
+    if (parsed.record && !parsed.upstream) {
+        printError(`❌ --record needs --upstream\n\n${USAGE}`);
+        return 2;
+    }
+
+    const mock = await startMockOpenAi({
+        recordingsPath: parsed.recordings,
+        port: Number(parsed.port) || DEFAULT_PORT,
+        record: Boolean(parsed.record),
+        upstream: parsed.upstream,
+        apiKey: process.env.OPENAI_API_KEY
+    });
+    print(`🎭 Replaying ${mock.recordings.length} recordings at ${mock.url}${parsed.record ? ` (recording from ${parsed.upstream})` : ''}`);
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    const added = mock.save();
+    if (added > 0) print(`💾 ${added} new recordings written to ${parsed.recordings}`);
+    if (mock.misses.length > 0) print(`⚠️ ${mock.misses.length} requests had no recording`);
+    await mock.close();
+    return 0;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`❌ ${error.stack || error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = {
+    run,
+    getInputText,
+    buildCompletion,
+    startMockOpenAi
+};
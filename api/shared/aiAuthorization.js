@@ -0,0 +1,88 @@
+/**
+ * AI Authorization
+ * The checks a function runs before it converts texts, shared by ConvertBatch, Merge
+ * and Jobs so they cannot drift apart:
+ * 1. the LLM provider, endpoint and model the request asks for, among those App Settings
+ *    allow (AI_ALLOWED_PROVIDERS, AI_ALLOWED_ENDPOINTS), whoever's key is used
+ * 2. the caller (callerAuth): spending the server key needs credentials
+ * 3. the caller's daily quota: the request reserves its share up front and settles it
+ *    with settleAiUsage once it is done
+ * 4. the API key (secretProviders)
+ */
+
+const { DEFAULT_MODEL, getOpenAiKey, modeUsesAi, isValidApiKeyFormat } = require('./converter');
+const { getRequestLlmProvider } = require('./llmProviders');
+const { authenticateCaller } = require('./callerAuth');
+const { reserveQuota, settleQuota } = require('./callerQuota');
+
+/**
+ * Authorizes a request that may send up to `texts` texts to the AI
+ * request: { mode, provider, endpoint, model, apiKey, texts } from the request body
+ * Fills in the audit record's caller, provider, model and keySource.
+ * Returns { caller, provider, apiKey, usesServerKey, quota }, where quota is the
+ * reservation to pass to convertTexts (null unless the server key is used), or null once
+ * context.res holds the rejection (400, 401, 403 or 429)
+ */
+async function authorizeAiRequest(context, req, request, audit) {
+    const reject = (status, body) => {
+        context.res.status = status;
+        context.res.body = body;
+        return null;
+    };
+
+    let provider;
+    try {
+        provider = getRequestLlmProvider({ provider: request.provider, endpoint: request.endpoint, model: request.model }, DEFAULT_MODEL);
+    } catch (error) {
+        return reject(400, { error: error.message });
+    }
+    audit.provider = provider.name;
+    audit.model = provider.modelId;
+
+    // Only the App Settings key needs caller credentials and a quota
+    const needsKey = modeUsesAi(request.mode) && provider.requiresApiKey;
+    const usesServerKey = needsKey && !isValidApiKeyFormat(request.apiKey);
+    audit.keySource = needsKey ? (usesServerKey ? 'server' : 'caller') : 'none';
+
+    const auth = authenticateCaller(req, { usesServerKey });
+    audit.caller = { id: auth.caller.id, via: auth.caller.via };
+    if (auth.error) {
+        return reject(auth.status, { error: auth.error });
+    }
+
+    let quota = null;
+    if (usesServerKey) {
+        quota = await reserveQuota(auth.caller, request.texts);
+        if (quota.exhausted) {
+            context.res.headers['Retry-After'] = String(quota.resetSeconds);
+            return reject(429, { error: 'Daily AI quota used up', quota: { limits: quota.limits, used: quota.used } });
+        }
+    }
+
+    // Only fetch API key if AI mode is needed and the provider takes one
+    let apiKey = null;
+    if (needsKey) {
+        try {
+            apiKey = await getOpenAiKey(request.apiKey, context, provider.name);
+        } catch (error) {
+            if (quota) await settleAiUsage({ caller: auth.caller, quota: quota.reserved }, null);
+            return reject(401, { error: error.message });
+        }
+    }
+
+    return { caller: auth.caller, provider, apiKey, usesServerKey, quota: quota && quota.reserved };
+}
+
+/**
+ * Settles the quota reservation of an authorized request with the converter usage
+ * ({ aiCalls, totalTokens }; null when nothing was converted)
+ */
+async function settleAiUsage(authorized, usage) {
+    if (!authorized || !authorized.quota) return;
+    await settleQuota(authorized.caller.id, authorized.quota, usage || { aiCalls: 0, totalTokens: 0 });
+}
+
+module.exports = {
+    authorizeAiRequest,
+    settleAiUsage
+};
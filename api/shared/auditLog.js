@@ -0,0 +1,123 @@
+/**
+ * Audit Log
+ * One append-only record per conversion request: who called, from where, what was
+ * asked (mode, provider, model, item counts), what it cost (AI calls, tokens) and
+ * how it ended. Records never hold API keys, tokens or the texts themselves.
+ *
+ * Records are JSON lines appended to <AUDIT_LOG_DIR>/audit-YYYY-MM-DD.jsonl
+ * (default: <tmp>/crm-translation-audit) and also written to the function log so
+ * they reach Application Insights. Set AUDIT_LOG_DISABLED=true to skip the file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getHeader } = require('./callerAuth');
+const { utcDay } = require('./callerQuota');
+
+let defaultLog;
+
+/**
+ * Creates a file-backed audit log; files are only ever opened for appending
+ */
+function createFileAuditLog({ directory }) {
+    return {
+        directory,
+
+        async append(record) {
+            const file = path.join(directory, `audit-${utcDay(Date.parse(record.timestamp))}.jsonl`);
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.appendFile(file, JSON.stringify(record) + '\n', { flag: 'a' });
+        }
+    };
+}
+
+/**
+ * Returns the audit log configured by app settings, or null when the file is disabled
+ */
+function getAuditLog() {
+    if (defaultLog !== undefined) {
+        return defaultLog;
+    }
+
+    defaultLog = String(process.env.AUDIT_LOG_DISABLED).toLowerCase() === 'true'
+        ? null
+        : createFileAuditLog({ directory: process.env.AUDIT_LOG_DIR || path.join(os.tmpdir(), 'crm-translation-audit') });
+
+    return defaultLog;
+}
+
+/**
+ * Starts the record for a request; the handler fills in caller, mode, provider,
+ * model, keySource and summary as it learns them
+ */
+function createAuditRecord(context, functionName, req) {
+    return {
+        timestamp: new Date().toISOString(),
+        invocationId: context.invocationId || null,
+        function: functionName,
+        caller: null,
+        origin: getHeader(req, 'origin'),
+        mode: null,
+        provider: null,
+        model: null,
+        keySource: null,
+        items: null,
+        aiCalls: 0,
+        tokens: null,
+        status: null,
+        outcome: null,
+        reason: null
+    };
+}
+
+/**
+ * Completes a record from the response and appends it
+ * summary is the converter summary (counts and usage); reason is the error message of
+ * rejected or failed requests. Failures to write are logged, never thrown.
+ */
+async function writeAuditRecord(context, record, { status, summary, reason } = {}, log = getAuditLog()) {
+    record.status = status ?? null;
+
+    if (summary) {
+        record.items = {
+            total: summary.total,
+            converted: summary.converted,
+            failed: summary.failed,
+            methods: summary.methods
+        };
+        if (summary.usage) {
+            record.aiCalls = summary.usage.aiCalls;
+            record.tokens = {
+                prompt: summary.usage.promptTokens,
+                completion: summary.usage.completionTokens,
+                total: summary.usage.totalTokens
+            };
+        }
+    }
+
+    if (status >= 500) {
+        record.outcome = 'error';
+    } else if (status >= 400) {
+        record.outcome = 'rejected';
+    } else {
+        record.outcome = summary && summary.failed > 0 ? 'partial' : 'success';
+    }
+    if (status >= 400 && reason) record.reason = reason;
+
+    context.log(`📋 Audit: ${JSON.stringify(record)}`);
+
+    if (!log) return;
+    try {
+        await log.append(record);
+    } catch (error) {
+        context.log.warn(`⚠️ Could not write audit record: ${error.message}`);
+    }
+}
+
+module.exports = {
+    createFileAuditLog,
+    getAuditLog,
+    createAuditRecord,
+    writeAuditRecord
+};
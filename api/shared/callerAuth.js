@@ -0,0 +1,292 @@
+/**
+ * Caller Authentication
+ * Identifies who is calling the endpoints so the server-side OpenAI key is only spent
+ * by known callers, within their daily quota. Every function sends buildCorsHeaders and
+ * rejects what authenticateCaller rejects (disallowed origins, missing credentials)
+ *
+ * Credentials (either):
+ * - API key: X-Api-Key header. Callers are listed in the callers config with the
+ *   SHA-256 hex of their key, never the key itself
+ * - Signed token: Authorization: Bearer <JWT> signed with HS256 and AUTH_TOKEN_SECRET;
+ *   sub is the caller id, exp is required, iss/aud are checked when
+ *   AUTH_TOKEN_ISSUER/AUTH_TOKEN_AUDIENCE are set
+ *
+ * AUTH_MODE app setting:
+ * - off (default): no credentials needed; anonymous callers share a quota per client address
+ * - server-key: anonymous callers may use pattern mode or their own API key; spending the
+ *   App Settings key needs credentials
+ * - required: every request needs credentials
+ *
+ * The client address is the X-Forwarded-For entry added by the trusted proxies in front of
+ * the app (TRUSTED_PROXY_HOPS, default 1), counted from the right: entries further left
+ * are whatever the client sent and are ignored.
+ *
+ * ALLOWED_ORIGINS (comma-separated) restricts browser origins; CORS then echoes the
+ * caller's origin instead of *. Requests without an Origin header (CLI, servers) are
+ * not affected.
+ *
+ * Callers config location (in priority order):
+ * 1. CALLERS_CONFIG_PATH app setting
+ * 2. api/config/callers.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'callers.json');
+
+const AUTH_MODES = ['off', 'server-key', 'required'];
+const DEFAULT_DAILY_AI_CALLS = 500;
+const DEFAULT_DAILY_TOKENS = 500000;
+const DEFAULT_TRUSTED_PROXY_HOPS = 1;
+
+let cachedConfig = null;
+
+/**
+ * Reads the callers config (cached for the default file)
+ */
+function loadCallersConfig(configPath) {
+    if (!configPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    const filePath = configPath || process.env.CALLERS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!configPath) {
+        cachedConfig = config;
+    }
+
+    return config;
+}
+
+/**
+ * Auth settings from App Settings
+ */
+function getAuthSettings() {
+    const mode = String(process.env.AUTH_MODE || 'off').trim().toLowerCase();
+    const hops = Number(process.env.TRUSTED_PROXY_HOPS);
+
+    return {
+        mode: AUTH_MODES.includes(mode) ? mode : 'required',
+        allowedOrigins: String(process.env.ALLOWED_ORIGINS || '')
+            .split(',')
+            .map(origin => origin.trim().replace(/\/$/, ''))
+            .filter(Boolean),
+        tokenSecret: process.env.AUTH_TOKEN_SECRET || null,
+        tokenIssuer: process.env.AUTH_TOKEN_ISSUER || null,
+        tokenAudience: process.env.AUTH_TOKEN_AUDIENCE || null,
+        trustedProxyHops: Number.isInteger(hops) && hops >= 0 ? hops : DEFAULT_TRUSTED_PROXY_HOPS
+    };
+}
+
+/**
+ * Reads a request header (Azure Functions lowercases header names)
+ */
+function getHeader(req, name) {
+    const headers = req.headers || {};
+    return headers[name.toLowerCase()] ?? headers[name] ?? null;
+}
+
+function isOriginAllowed(origin, settings = getAuthSettings()) {
+    if (!origin || settings.allowedOrigins.length === 0) return true;
+    return settings.allowedOrigins.includes('*') || settings.allowedOrigins.includes(origin.replace(/\/$/, ''));
+}
+
+/**
+ * CORS headers for a response: * without an allowlist, else the caller's origin when it is allowed
+ */
+function buildCorsHeaders(req, settings = getAuthSettings()) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key'
+    };
+
+    if (settings.allowedOrigins.length > 0 && !settings.allowedOrigins.includes('*')) {
+        const origin = getHeader(req, 'origin');
+        if (origin && isOriginAllowed(origin, settings)) {
+            headers['Access-Control-Allow-Origin'] = origin;
+        } else {
+            delete headers['Access-Control-Allow-Origin'];
+        }
+        headers['Vary'] = 'Origin';
+    }
+
+    return headers;
+}
+
+/**
+ * Identifies the caller of a request
+ * Options: { usesServerKey } - whether the request would spend the App Settings key
+ * Returns { caller: { id, via, limits: { aiCalls, tokens } } } or { status, error, caller } when
+ * the request must be rejected (403 for origins, 401 for missing or bad credentials)
+ */
+function authenticateCaller(req, options = {}, settings = getAuthSettings(), config) {
+    const origin = getHeader(req, 'origin');
+    const anonymous = { id: anonymousId(req, settings), via: 'anonymous', limits: getLimits(null, config) };
+
+    if (!isOriginAllowed(origin, settings)) {
+        return { status: 403, error: `Origin ${origin} is not allowed`, caller: anonymous };
+    }
+
+    const apiKey = getHeader(req, 'x-api-key');
+    const authorization = String(getHeader(req, 'authorization') || '');
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+
+    if (apiKey) {
+        const caller = findCallerByKey(apiKey, config);
+        return caller
+            ? { caller: { id: caller.id, via: 'api-key', limits: getLimits(caller, config) } }
+            : { status: 401, error: 'Unknown API key', caller: anonymous };
+    }
+
+    if (bearer) {
+        try {
+            const claims = verifyToken(bearer[1].trim(), settings);
+            const caller = findCallerById(claims.sub, config);
+            return { caller: { id: String(claims.sub), via: 'token', limits: getLimits(caller, config) } };
+        } catch (error) {
+            return { status: 401, error: `Invalid token: ${error.message}`, caller: anonymous };
+        }
+    }
+
+    const needsCredentials = settings.mode === 'required' || (settings.mode === 'server-key' && options.usesServerKey);
+    if (needsCredentials) {
+        return {
+            status: 401,
+            error: settings.mode === 'required'
+                ? 'Authentication required: send an X-Api-Key header or a Bearer token'
+                : 'Authentication required to use the server API key: send an X-Api-Key header or a Bearer token, or provide your own ApiKey',
+            caller: anonymous
+        };
+    }
+
+    return { caller: anonymous };
+}
+
+/**
+ * Anonymous callers share a quota per client address
+ * Proxies append to X-Forwarded-For, so only the entries added by the trusted hops are
+ * genuine; a client cannot pick its quota bucket by sending the header itself
+ */
+function anonymousId(req, settings = getAuthSettings()) {
+    const entries = String(getHeader(req, 'x-forwarded-for') || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    const forwarded = settings.trustedProxyHops > 0 ? entries[entries.length - settings.trustedProxyHops] || '' : '';
+    // Azure appends the port: "203.0.113.7:51234"
+    const address = forwarded.replace(/:\d+$/, '');
+    return `anonymous${address ? `:${address}` : ''}`;
+}
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+function findCallerByKey(apiKey, config) {
+    const presented = Buffer.from(hashKey(apiKey), 'hex');
+    const callers = (config || loadCallersConfig()).callers || [];
+
+    // Compare every entry in constant time so timing does not reveal a partial match
+    let match = null;
+    for (const caller of callers) {
+        if (!caller.keyHash || caller.disabled) continue;
+        const stored = Buffer.from(String(caller.keyHash).replace(/^sha256:/, ''), 'hex');
+        if (stored.length === presented.length && crypto.timingSafeEqual(stored, presented) && !match) {
+            match = caller;
+        }
+    }
+    return match;
+}
+
+function findCallerById(id, config) {
+    const callers = (config || loadCallersConfig()).callers || [];
+    return callers.find(caller => caller.id === id && !caller.disabled) || null;
+}
+
+/**
+ * Daily limits: the caller's own, else the config defaults, else app settings
+ */
+function getLimits(caller, config) {
+    const defaults = (config || loadCallersConfig()).defaults || {};
+    const pick = (name, setting, fallback) => {
+        if (caller && caller[name] !== undefined) return Number(caller[name]);
+        if (defaults[name] !== undefined) return Number(defaults[name]);
+        return Number(process.env[setting]) || fallback;
+    };
+
+    return {
+        aiCalls: pick('dailyAiCalls', 'QUOTA_DAILY_AI_CALLS', DEFAULT_DAILY_AI_CALLS),
+        tokens: pick('dailyTokens', 'QUOTA_DAILY_TOKENS', DEFAULT_DAILY_TOKENS)
+    };
+}
+
+/**
+ * Verifies an HS256 JWT and returns its claims; throws with the reason otherwise
+ */
+function verifyToken(token, settings = getAuthSettings(), now = Date.now()) {
+    if (!settings.tokenSecret) {
+        throw new Error('tokens are not enabled (AUTH_TOKEN_SECRET is not set)');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('malformed token');
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('malformed token');
+    }
+
+    if (header.alg !== 'HS256') throw new Error(`unsupported algorithm ${header.alg}`);
+
+    const expected = crypto.createHmac('sha256', settings.tokenSecret).update(`${parts[0]}.${parts[1]}`).digest();
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new Error('bad signature');
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (!claims.sub) throw new Error('missing sub');
+    if (typeof claims.exp !== 'number') throw new Error('missing exp');
+    if (claims.exp <= seconds) throw new Error('expired');
+    if (typeof claims.nbf === 'number' && claims.nbf > seconds) throw new Error('not yet valid');
+    if (settings.tokenIssuer && claims.iss !== settings.tokenIssuer) throw new Error('wrong issuer');
+    if (settings.tokenAudience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(settings.tokenAudience)) throw new Error('wrong audience');
+    }
+
+    return claims;
+}
+
+/**
+ * Issues an HS256 JWT (for callers' backends and local testing)
+ */
+function signToken(claims, secret) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+module.exports = {
+    AUTH_MODES,
+    loadCallersConfig,
+    getAuthSettings,
+    getHeader,
+    isOriginAllowed,
+    buildCorsHeaders,
+    authenticateCaller,
+    anonymousId,
+    hashKey,
+    verifyToken,
+    signToken
+};
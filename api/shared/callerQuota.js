@@ -0,0 +1,198 @@
+/**
+ * Caller Quota
+ * Daily AI call and token counters per caller, for requests that spend the
+ * App Settings OpenAI key. Days are UTC; limits come from callerAuth.
+ *
+ * A request reserves its share of the budget before converting (reserveQuota), so
+ * parallel requests cannot all pass a check and then overrun the day's limits, and
+ * settles the reservation with what it actually used afterwards (settleQuota).
+ *
+ * Counters are JSON files under QUOTA_STORE_DIR (default: <tmp>/crm-translation-quota),
+ * one per caller per day. Updates are serialized within an instance; with several
+ * instances, point QUOTA_STORE_DIR at shared storage and expect small overruns.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tokens reserved per text that may be sent to the AI: a prompt with document context
+// and examples, plus the answer
+const RESERVED_TOKENS_PER_TEXT = 4000;
+
+let defaultStore;
+
+/**
+ * "2025-09-26" for the UTC day of a timestamp
+ */
+function utcDay(now = Date.now()) {
+    return new Date(now).toISOString().substring(0, 10);
+}
+
+/**
+ * Seconds until the counters reset (next UTC midnight)
+ */
+function secondsUntilReset(now = Date.now()) {
+    const next = new Date(now);
+    next.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((next.getTime() - now) / 1000);
+}
+
+/**
+ * Creates a file-backed quota store
+ * Unreadable counters count as zero so a broken store never blocks conversions
+ */
+function createFileQuotaStore({ directory }) {
+    const pending = new Map();
+    const counterPath = (callerId, day) => path.join(
+        directory,
+        day,
+        `${crypto.createHash('sha256').update(String(callerId)).digest('hex').substring(0, 32)}.json`
+    );
+
+    const read = async (file) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Updates to the same counter are chained so concurrent requests never lose one;
+    // update(counter) returns the new { aiCalls, tokens }, or null to leave it as it is
+    const change = (callerId, day, update) => {
+        const file = counterPath(callerId, day);
+        const previous = pending.get(file) || Promise.resolve();
+        const run = previous.then(async () => {
+            const counter = await read(file) || { caller: String(callerId), day, aiCalls: 0, tokens: 0 };
+            const changed = update(counter);
+            if (!changed) return counter;
+            Object.assign(counter, changed);
+
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+                await fs.promises.writeFile(temp, JSON.stringify(counter));
+                await fs.promises.rename(temp, file);
+            } catch (error) {
+                // Best effort, like the conversion cache
+            }
+            return counter;
+        });
+
+        const settled = run.catch(() => {});
+        pending.set(file, settled);
+        settled.then(() => {
+            if (pending.get(file) === settled) pending.delete(file);
+        });
+        return run;
+    };
+
+    return {
+        directory,
+
+        async getUsage(callerId, day = utcDay()) {
+            const counter = await read(counterPath(callerId, day));
+            return { aiCalls: counter?.aiCalls || 0, tokens: counter?.tokens || 0 };
+        },
+
+        /**
+         * Adds { aiCalls, tokens } to today's counter; returns the new totals
+         */
+        async addUsage(callerId, usage, day = utcDay()) {
+            const counter = await change(callerId, day, current => ({
+                aiCalls: current.aiCalls + (usage.aiCalls || 0),
+                tokens: current.tokens + (usage.tokens || 0)
+            }));
+            return { aiCalls: counter.aiCalls, tokens: counter.tokens };
+        },
+
+        /**
+         * Takes up to wanted ({ aiCalls, tokens }) of what limits leave today, in one update
+         * Returns { used, granted }: the totals before, and what was added (nothing once
+         * either limit is reached)
+         */
+        async reserve(callerId, limits, wanted, day = utcDay()) {
+            let used;
+            let granted;
+            await change(callerId, day, current => {
+                used = { aiCalls: current.aiCalls, tokens: current.tokens };
+                granted = {
+                    aiCalls: Math.max(0, Math.min(wanted.aiCalls, limits.aiCalls - current.aiCalls)),
+                    tokens: Math.max(0, Math.min(wanted.tokens, limits.tokens - current.tokens))
+                };
+                if (granted.aiCalls === 0 || granted.tokens === 0) {
+                    granted = { aiCalls: 0, tokens: 0 };
+                    return null;
+                }
+                return { aiCalls: current.aiCalls + granted.aiCalls, tokens: current.tokens + granted.tokens };
+            });
+            return { used, granted };
+        },
+
+        /**
+         * Deletes the counters of days before the last keepDays; returns the number removed
+         */
+        async prune(keepDays = 7) {
+            const oldest = utcDay(Date.now() - keepDays * 24 * 60 * 60 * 1000);
+            const days = await fs.promises.readdir(directory).catch(() => []);
+            let removed = 0;
+            for (const day of days.filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name) && name < oldest)) {
+                await fs.promises.rm(path.join(directory, day), { recursive: true, force: true });
+                removed++;
+            }
+            return removed;
+        }
+    };
+}
+
+/**
+ * Returns the quota store configured by app settings
+ */
+function getQuotaStore() {
+    if (!defaultStore) {
+        defaultStore = createFileQuotaStore({
+            directory: process.env.QUOTA_STORE_DIR || path.join(os.tmpdir(), 'crm-translation-quota')
+        });
+    }
+    return defaultStore;
+}
+
+/**
+ * Reserves what a request that may send up to `texts` texts to the AI can spend
+ * caller is from authenticateCaller. Returns { limits, used, reserved: { aiCalls, tokens },
+ * exhausted, resetSeconds }; pass reserved to convertTexts as its quota, and settle it
+ * with settleQuota once the request is done
+ */
+async function reserveQuota(caller, texts, store = getQuotaStore()) {
+    const wanted = { aiCalls: Math.max(1, texts), tokens: Math.max(1, texts) * RESERVED_TOKENS_PER_TEXT };
+    const { used, granted } = await store.reserve(caller.id, caller.limits, wanted);
+
+    return {
+        limits: caller.limits,
+        used,
+        reserved: granted,
+        exhausted: granted.aiCalls === 0,
+        resetSeconds: secondsUntilReset()
+    };
+}
+
+/**
+ * Replaces a reservation with the converter usage ({ aiCalls, totalTokens }) it turned into
+ */
+function settleQuota(callerId, reserved, usage, store = getQuotaStore()) {
+    return store.addUsage(callerId, {
+        aiCalls: usage.aiCalls - reserved.aiCalls,
+        tokens: usage.totalTokens - reserved.tokens
+    });
+}
+
+module.exports = {
+    utcDay,
+    secondsUntilReset,
+    createFileQuotaStore,
+    getQuotaStore,
+    reserveQuota,
+    settleQuota
+};
@@ -0,0 +1,373 @@
+/**
+ * Consistency Checker
+ * Compares each translation key across languages against the source language and
+ * reports issues a reviewer would otherwise find in production:
+ * - missing/extra placeholders (German dropping [Sender name])
+ * - differing conditional structure (Spanish missing the ELSE branch)
+ * - text left identical to the source language
+ * - empty values and templates that do not parse
+ *
+ * Works on converted Handlebars, translator pseudocode and [Placeholder] text, so
+ * it can lint Excel rows before conversion as well as merged localizedContents.
+ */
+
+const { parseHandlebars } = require('./handlebarsValidator');
+const { isPseudocode, compilePseudocode } = require('./pseudocodeCompiler');
+const { getInflectionTable } = require('./inflections');
+const { baseLanguage, resolveLanguage } = require('./locales');
+
+const PLACEHOLDER_PATTERN = /(\[([^\[\]]+)\]|<([^<>]+)>)/g;
+
+// Unknown <...> that are markup rather than placeholders
+const HTML_TAG_PATTERN = /^<(\/|[^<>]*=|[^<>]*\/>$|(a|b|i|u|p|br|hr|em|strong|span|div|img|ul|ol|li|table|tr|td|th|h[1-6]|font|small|sub|sup|center)\b)/i;
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+const DEFAULT_SEVERITIES = {
+    'empty-value': 'error',
+    'invalid-template': 'error',
+    'missing-placeholder': 'error',
+    'extra-placeholder': 'warning',
+    'placeholder-count': 'warning',
+    'unknown-placeholder': 'warning',
+    'conditional-structure': 'error',
+    'inflection-structure': 'info',
+    'untranslated': 'warning',
+    'missing-key': 'warning',
+    'extra-key': 'info',
+    'missing-source': 'info'
+};
+
+/**
+ * Checks localizedContents (language → key → text)
+ * Options: { sourceLanguage = 'en', registry, severities: { code: severity } }
+ * Returns { passed, issues: [{ severity, code, language, key, message, details }], summary }
+ */
+function checkConsistency(contents, options = {}) {
+    const { registry } = options;
+    const severities = { ...DEFAULT_SEVERITIES, ...(options.severities || {}) };
+    const languages = Object.keys(contents || {});
+    const resolvedSource = languages.length > 0 ? resolveLanguage(options.sourceLanguage || 'en', languages) : null;
+    const sourceLanguage = resolvedSource && resolvedSource.declared ? resolvedSource.code : null;
+    const issues = [];
+
+    const report = (code, language, key, message, details) => {
+        const severity = severities[code];
+        if (!severity || severity === 'off') return;
+        issues.push(details === undefined
+            ? { severity, code, language, key, message }
+            : { severity, code, language, key, message, details });
+    };
+
+    const keys = [...new Set(languages.flatMap(language => Object.keys(contents[language] || {})))];
+
+    if (!sourceLanguage && languages.length > 0) {
+        report('missing-source', null, null, `No ${options.sourceLanguage || 'en'} texts to compare against; only empty values and template errors are checked`);
+    }
+
+    for (const key of keys) {
+        const source = sourceLanguage ? contents[sourceLanguage][key] : undefined;
+        const sourceAnalysis = isPresent(source) ? analyzeText(String(source), registry) : null;
+
+        for (const language of languages) {
+            const strings = contents[language] || {};
+
+            if (!Object.prototype.hasOwnProperty.call(strings, key)) {
+                if (source !== undefined) {
+                    report('missing-key', language, key, `${key} is missing in ${language}`);
+                }
+                continue;
+            }
+
+            const text = strings[key];
+            if (!isPresent(text)) {
+                report('empty-value', language, key, `${key} is empty in ${language}`);
+                continue;
+            }
+
+            if (language !== sourceLanguage && sourceLanguage && source === undefined) {
+                report('extra-key', language, key, `${key} exists in ${language} but not in ${sourceLanguage}`);
+            }
+
+            const analysis = language === sourceLanguage ? sourceAnalysis : analyzeText(String(text), registry);
+
+            if (analysis.error) {
+                report('invalid-template', language, key, `${key} in ${language}: ${analysis.error}`);
+                continue;
+            }
+
+            for (const placeholder of analysis.unknownPlaceholders) {
+                report('unknown-placeholder', language, key, `${placeholder} in ${language} is not a known placeholder`, { placeholder });
+            }
+
+            if (language === sourceLanguage || !sourceAnalysis || sourceAnalysis.error) continue;
+
+            comparePlaceholders(sourceAnalysis, analysis, { language, key, sourceLanguage, registry, report });
+            compareStructure(sourceAnalysis, analysis, { language, key, sourceLanguage, report });
+
+            if (isUntranslated(String(source), String(text), sourceLanguage, language)) {
+                report('untranslated', language, key, `${key} in ${language} is identical to ${sourceLanguage}`);
+            }
+        }
+    }
+
+    issues.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+        || String(a.key).localeCompare(String(b.key))
+        || String(a.language).localeCompare(String(b.language)));
+
+    const summary = summarizeIssues(issues, { keys: keys.length, languages: languages.length, sourceLanguage });
+    return { passed: summary.errors === 0, issues, summary };
+}
+
+/**
+ * Reduces a text to what must match across languages
+ * Returns { kind, variables: { variable: count }, unknownPlaceholders, blocks, error }
+ * where blocks is the #if/#unless tree without its text
+ */
+function analyzeText(text, registry) {
+    let template = text;
+    let kind = 'handlebars';
+
+    if (isPseudocode(text)) {
+        kind = 'pseudocode';
+        try {
+            template = compilePseudocode(text, registry);
+        } catch (error) {
+            return { kind, error: error.message };
+        }
+    } else if (!text.includes('{{')) {
+        return { kind: 'text', ...analyzePlaceholders(text, registry), blocks: [] };
+    }
+
+    const { ast, diagnostics } = parseHandlebars(template);
+    const parseError = diagnostics.find(d => d.severity === 'error');
+    if (parseError) {
+        return { kind, error: parseError.message };
+    }
+
+    const analysis = { kind, variables: {}, unknownPlaceholders: [], blocks: [] };
+    analysis.blocks = collectBlocks(ast.body, analysis, registry);
+    return analysis;
+}
+
+/**
+ * [Placeholder] text: known placeholders count as their variable, unknown ones by
+ * their exact text so "[Foo]" still has to appear in every language
+ */
+function analyzePlaceholders(text, registry) {
+    const variables = {};
+    const unknownPlaceholders = [];
+
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        const variable = registry ? registry.resolve(match[0]) : null;
+        if (!variable && HTML_TAG_PATTERN.test(match[0])) continue;
+        if (variable) {
+            variables[variable] = (variables[variable] || 0) + 1;
+        } else {
+            variables[match[0]] = (variables[match[0]] || 0) + 1;
+            if (registry && !unknownPlaceholders.includes(match[0])) unknownPlaceholders.push(match[0]);
+        }
+    }
+
+    return { variables, unknownPlaceholders };
+}
+
+function collectBlocks(nodes, analysis, registry) {
+    const blocks = [];
+
+    for (const node of nodes) {
+        if (node.type === 'Text') {
+            // Pseudocode branches may keep placeholders the compiler could not resolve
+            const found = analyzePlaceholders(node.value, registry);
+            mergeCounts(analysis.variables, found.variables);
+            found.unknownPlaceholders.forEach(p => { if (!analysis.unknownPlaceholders.includes(p)) analysis.unknownPlaceholders.push(p); });
+        } else if (node.type === 'Mustache') {
+            countVariables([node, ...node.params], analysis.variables);
+        } else if (node.type === 'Block') {
+            blocks.push({
+                helper: node.helper,
+                condition: node.params.map(serializeExpression).join(' '),
+                subject: conditionSubject(node.params[0]),
+                program: collectBlocks(node.program.body, analysis, registry),
+                inverse: node.inverse ? collectBlocks(node.inverse.body, analysis, registry) : null
+            });
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Counts output variables: {{Variable}} and variable arguments of helpers
+ */
+function countVariables(nodes, variables) {
+    for (const node of nodes) {
+        if (node.type === 'Mustache' && node.params.length === 0) {
+            variables[node.path.original] = (variables[node.path.original] || 0) + 1;
+        } else if (node.type === 'Path') {
+            variables[node.original] = (variables[node.original] || 0) + 1;
+        } else if (node.type === 'SubExpression') {
+            countVariables(node.params, variables);
+        }
+    }
+}
+
+function mergeCounts(target, source) {
+    for (const [name, count] of Object.entries(source)) {
+        target[name] = (target[name] || 0) + count;
+    }
+}
+
+function serializeExpression(node) {
+    switch (node.type) {
+        case 'Path': return node.original;
+        case 'String':
+        case 'Number': return JSON.stringify(String(node.value));
+        case 'Boolean': return String(node.value);
+        case 'SubExpression': return `(${[node.path.original, ...node.params.map(serializeExpression)].join(' ')})`;
+        default: return node.type;
+    }
+}
+
+/**
+ * { variable, value } tested by (String.Equal [Object.ToString] variable "value")
+ */
+function conditionSubject(param) {
+    if (!param || param.type !== 'SubExpression' || param.path.original !== 'String.Equal') return null;
+
+    const [subject, value] = param.params;
+    if (!value || (value.type !== 'String' && value.type !== 'Number')) return null;
+
+    if (subject.type === 'Path') {
+        return { variable: subject.original, value: String(value.value) };
+    }
+    if (subject.type === 'SubExpression' && subject.path.original === 'Object.ToString'
+        && subject.params.length === 1 && subject.params[0].type === 'Path') {
+        return { variable: subject.params[0].original, value: String(value.value) };
+    }
+    return null;
+}
+
+function comparePlaceholders(source, target, { language, key, sourceLanguage, registry, report }) {
+    const names = new Set([...Object.keys(source.variables), ...Object.keys(target.variables)]);
+
+    for (const variable of names) {
+        const expected = source.variables[variable] || 0;
+        const actual = target.variables[variable] || 0;
+        const name = (registry && registry.placeholderFor(variable)) || variable;
+        const details = { placeholder: name, variable, expected, actual };
+
+        if (actual === 0) {
+            report('missing-placeholder', language, key, `${key} in ${language} is missing ${name} (used in ${sourceLanguage})`, details);
+        } else if (expected === 0) {
+            report('extra-placeholder', language, key, `${key} in ${language} uses ${name}, which ${sourceLanguage} does not`, details);
+        } else if (expected !== actual) {
+            report('placeholder-count', language, key, `${key} in ${language} uses ${name} ${actual} time(s), ${sourceLanguage} ${expected}`, details);
+        }
+    }
+}
+
+/**
+ * Conditions must match branch for branch; when the only differences are gender
+ * or plural blocks (which languages legitimately use differently) it is reported
+ * as inflection-structure instead
+ */
+function compareStructure(source, target, { language, key, sourceLanguage, report }) {
+    const expected = describeBlocks(source.blocks);
+    const actual = describeBlocks(target.blocks);
+    if (expected === actual) return;
+
+    const details = { expected, actual };
+    const expectedCore = describeBlocks(source.blocks, getInflectionTable(sourceLanguage));
+    const actualCore = describeBlocks(target.blocks, getInflectionTable(language));
+
+    if (expectedCore === actualCore) {
+        report('inflection-structure', language, key, `${key} in ${language} uses different gender/plural blocks than ${sourceLanguage}`, details);
+    } else {
+        report('conditional-structure', language, key, `${key} in ${language} has different conditions than ${sourceLanguage}`, details);
+    }
+}
+
+/**
+ * Serializes the block tree, e.g. if (String.Equal x "1") { } else { if ... }
+ * With an inflection table, gender and plural blocks are flattened away
+ */
+function describeBlocks(blocks, table) {
+    return blocks.map(block => {
+        const program = describeBlocks(block.program, table);
+        const inverse = block.inverse ? describeBlocks(block.inverse, table) : null;
+
+        if (table && isInflectionBlock(block, table)) {
+            return [program, inverse].filter(Boolean).join(' ');
+        }
+
+        let output = `${block.helper} ${block.condition} { ${program} }`;
+        if (inverse !== null) output += ` else { ${inverse} }`;
+        return output.replace(/\s+/g, ' ');
+    }).filter(Boolean).join(' ');
+}
+
+function isInflectionBlock(block, table) {
+    const subject = block.subject;
+    if (!subject) return false;
+    if (subject.variable === table.genderVariable) return true;
+    return table.singularCounts.map(String).includes(subject.value) && /count/i.test(subject.variable);
+}
+
+/**
+ * Identical text counts as untranslated when it has words left after removing
+ * placeholders and Handlebars; regional variants of the source are skipped
+ */
+function isUntranslated(source, text, sourceLanguage, language) {
+    if (source.trim() !== text.trim()) return false;
+    if (baseLanguage(language) === baseLanguage(sourceLanguage)) return false;
+
+    const words = source
+        .replace(/\{\{[^}]*\}\}/g, ' ')
+        .replace(PLACEHOLDER_PATTERN, ' ')
+        .replace(/\b(IF|ELSE|AND)\b/g, ' ');
+    return /\p{L}{2,}/u.test(words);
+}
+
+function isPresent(text) {
+    return text !== undefined && text !== null && String(text).trim() !== '';
+}
+
+function summarizeIssues(issues, { keys, languages, sourceLanguage }) {
+    const summary = { sourceLanguage, keys, languages, errors: 0, warnings: 0, infos: 0, byCode: {} };
+
+    for (const issue of issues) {
+        if (issue.severity === 'error') summary.errors++;
+        else if (issue.severity === 'warning') summary.warnings++;
+        else summary.infos++;
+        summary.byCode[issue.code] = (summary.byCode[issue.code] || 0) + 1;
+    }
+
+    return summary;
+}
+
+/**
+ * Groups translation rows ({ LanguageCode, TranslationKey, Value }) as
+ * localizedContents, keeping empty values so they can be reported
+ */
+function rowsToContents(rows) {
+    const contents = {};
+
+    for (const row of rows || []) {
+        const language = row && String(row.LanguageCode ?? '').trim();
+        const key = row && String(row.TranslationKey ?? '').trim();
+        if (!language || !key) continue;
+
+        contents[language] = contents[language] || {};
+        contents[language][key] = row.Value === undefined || row.Value === null ? '' : String(row.Value);
+    }
+
+    return contents;
+}
+
+module.exports = {
+    DEFAULT_SEVERITIES,
+    checkConsistency,
+    analyzeText,
+    rowsToContents
+};
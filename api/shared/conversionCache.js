@@ -0,0 +1,128 @@
+/**
+ * Conversion Cache
+ * Content-addressed store for AI conversions, keyed by a hash of the normalized
+ * text, model, prompt version, placeholder mapping version and glossary terms
+ *
+ * Entries are JSON files under CONVERSION_CACHE_DIR (default: <tmp>/crm-translation-cache)
+ * and expire after CONVERSION_CACHE_TTL_HOURS (default: 168 = 7 days).
+ * Set CONVERSION_CACHE_DISABLED=true to turn caching off.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TTL_HOURS = 168;
+
+let defaultCache;
+
+/**
+ * Normalizes text so insignificant differences share a cache entry
+ */
+function normalizeText(text) {
+    return String(text).normalize('NFC').replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * Builds the content-addressed cache key
+ */
+function buildCacheKey({ text, model, promptVersion, mappingVersion, glossary }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([normalizeText(text), model || '', promptVersion || '', mappingVersion || '', glossary || '']))
+        .digest('hex');
+}
+
+/**
+ * Creates a file-backed cache
+ * Read and write failures are treated as misses so the cache can never fail a conversion
+ */
+function createFileCache({ directory, ttlMs }) {
+    const entryPath = (key) => path.join(directory, key.substring(0, 2), `${key}.json`);
+
+    return {
+        directory,
+        ttlMs,
+
+        async get(key) {
+            const file = entryPath(key);
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (entry.expiresAt <= Date.now()) {
+                    await fs.promises.unlink(file).catch(() => {});
+                    return null;
+                }
+                return entry.value;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        async set(key, value) {
+            const file = entryPath(key);
+            const now = Date.now();
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                // Write then rename so concurrent readers never see a partial entry
+                const temp = `${file}.${process.pid}.${now}.tmp`;
+                await fs.promises.writeFile(temp, JSON.stringify({ value, createdAt: now, expiresAt: now + ttlMs }));
+                await fs.promises.rename(temp, file);
+            } catch (error) {
+                // Cache is best effort
+            }
+        },
+
+        /**
+         * Deletes expired entries; returns the number removed
+         */
+        async prune() {
+            let removed = 0;
+            const buckets = await fs.promises.readdir(directory).catch(() => []);
+            for (const bucket of buckets) {
+                const bucketPath = path.join(directory, bucket);
+                const files = await fs.promises.readdir(bucketPath).catch(() => []);
+                for (const file of files.filter(name => name.endsWith('.json'))) {
+                    const filePath = path.join(bucketPath, file);
+                    try {
+                        const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+                        if (entry.expiresAt > Date.now()) continue;
+                    } catch (error) {
+                        // Unreadable entries are removed as well
+                    }
+                    await fs.promises.unlink(filePath).catch(() => {});
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+/**
+ * Returns the cache configured by app settings, or null when disabled
+ */
+function getConversionCache() {
+    if (defaultCache !== undefined) {
+        return defaultCache;
+    }
+
+    if (String(process.env.CONVERSION_CACHE_DISABLED).toLowerCase() === 'true') {
+        defaultCache = null;
+        return defaultCache;
+    }
+
+    const ttlHours = Number(process.env.CONVERSION_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    defaultCache = createFileCache({
+        directory: process.env.CONVERSION_CACHE_DIR || path.join(os.tmpdir(), 'crm-translation-cache'),
+        ttlMs: ttlHours * 60 * 60 * 1000
+    });
+
+    return defaultCache;
+}
+
+module.exports = {
+    normalizeText,
+    buildCacheKey,
+    createFileCache,
+    getConversionCache
+};
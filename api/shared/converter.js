@@ -0,0 +1,809 @@
+/**
+ * Placeholder Converter
+ * Converts text placeholders to Handlebars expressions using AI or pattern matching
+ * Shared by the ConvertBatch and Merge functions
+ *
+ * Security: Supports user-provided keys, App Settings (Free tier), Key Vault and a local secrets file
+ */
+
+const { getPlaceholderRegistry, getWorkspaceIdFromJson } = require('./placeholderRegistry');
+const { validateHandlebars, formatDiagnostic } = require('./handlebarsValidator');
+const { isPseudocode, compilePseudocode } = require('./pseudocodeCompiler');
+const { getInflectionTable, findInflections } = require('./inflections');
+const { buildCacheKey, getConversionCache } = require('./conversionCache');
+const { runPool } = require('./workerPool');
+const { getRateLimiter, sleep } = require('./rateLimiter');
+const { getLlmProvider, parseChatCompletion, parseUsage, createAiError } = require('./llmProviders');
+const { getGlossary, maskTerms, restoreTerms, findGlossaryViolations, buildGlossaryPrompt } = require('./glossary');
+const { getDocumentContext, buildPromptContext, isDeclaredVariable, estimateTokens, DEFAULT_TOKEN_BUDGET } = require('./promptContext');
+const { splitTextKey } = require('./crmDocument');
+const { isValidApiKeyFormat, getApiKeySecretNames, getSecretChain } = require('./secretProviders');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Bump when buildSystemPrompt/buildUserPrompt change so cached AI output is not reused
+const PROMPT_VERSION = '4';
+
+/**
+ * Retrieves the AI API key through the secret provider chain (see secretProviders.js):
+ * 1. User-provided key (via API request)
+ * 2. App Settings (AZURE_OPENAI_API_KEY for the azure provider, then OPENAI_API_KEY) - Works on Free tier
+ * 3. Azure Key Vault with Managed Identity (KEYVAULT_URL)
+ * 4. Local secrets file (SECRETS_FILE)
+ *
+ * Accepts OpenAI (sk-...) and Azure OpenAI key formats
+ */
+async function getOpenAiKey(userProvidedKey, context, providerName = 'openai') {
+    const found = await getSecretChain().resolve(getApiKeySecretNames(providerName), {
+        request: { apiKey: userProvidedKey },
+        context
+    });
+
+    if (found && found.provider === 'request') {
+        context.log('Using user-provided API key');
+        return found.value;
+    }
+    if (found) {
+        context.log(`✅ Using ${found.name} from ${found.provider}`);
+        return found.value;
+    }
+
+    // No key found from any source
+    throw new Error('No API key available. Please either:\n' +
+                    '1. Provide API key via UI, OR\n' +
+                    '2. Configure OPENAI_API_KEY in App Settings or KEYVAULT_URL for Key Vault');
+}
+
+/**
+ * Whether a conversion mode may call the AI (and therefore needs an API key)
+ */
+function modeUsesAi(mode) {
+    return mode === 'ai' || mode === 'hybrid';
+}
+
+/**
+ * Converts a batch of texts keyed by "langCode|translationKey"
+ * Returns { results, errors, items, summary, cache, usage } - failed texts keep their original
+ * value in results; items holds each key's metadata:
+ * { text, status, method, repairs, unknownPlaceholders, warnings, errors }
+ *
+ * status: 'converted' | 'failed'
+ * method: 'pattern' (including compiled pseudocode) | 'ai' | 'cache' | 'passthrough'
+ *
+ * Options: { mode, apiKey, provider, endpoint, model, jsonContext, excelContext, workspaceId, language, cache, glossary }
+ * provider is an LLM provider from getLlmProvider (default: built from endpoint and model)
+ * AI conversions are deduplicated within the batch and cached across batches
+ * (pass cache: null to disable)
+ * glossary is from getGlossary (default: the configured terms; null to disable). Protected
+ * terms are masked before AI calls, and any output that alters one fails with glossary_violation
+ * quota: { aiCalls, tokens } the caller may still spend; once used up, remaining texts use
+ * pattern matching with a quota-exceeded warning. usage counts AI requests (retries included)
+ * and tokens: { aiCalls, promptTokens, completionTokens, totalTokens }
+ * onItem(key, item) is awaited as each text finishes, in completion order
+ */
+async function convertTexts(texts, options, context) {
+    const {
+        mode = 'hybrid',
+        apiKey = null,
+        endpoint,
+        model,
+        jsonContext,
+        excelContext,
+        language
+    } = options;
+
+    // Placeholder mappings from config (per-workspace overrides keyed by header.workspaceId)
+    const workspaceId = options.workspaceId ?? getWorkspaceIdFromJson(jsonContext);
+    const registry = getPlaceholderRegistry(workspaceId);
+    context.log(`Using placeholder mappings v${registry.version}${workspaceId !== null ? ` for workspace ${workspaceId}` : ''}`);
+
+    // Output may use only the variables the prompts offer: those the document declares
+    const contextVariables = getDocumentContext(jsonContext)?.contextVariables || [];
+    const variables = declaredEntries(registry.entries, contextVariables).map(entry => entry.variable);
+
+    const provider = options.provider || getLlmProvider({ endpoint, model }, DEFAULT_MODEL);
+    // Pattern mode never calls the AI, even with a keyless provider (local, fake)
+    const aiAvailable = modeUsesAi(mode) && (Boolean(apiKey) || !provider.requiresApiKey);
+
+    const cache = options.cache === undefined ? getConversionCache() : options.cache;
+    const glossary = options.glossary === undefined ? getGlossary() : options.glossary;
+    const cacheStats = { hits: 0, misses: 0, deduplicated: 0 };
+    const usage = { aiCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const aiConversions = new Map();
+
+    // Calls are counted when they start, since concurrent conversions finish later
+    const quota = options.quota || null;
+    let aiCallsStarted = 0;
+    const quotaExhausted = () => Boolean(quota) && (aiCallsStarted >= quota.aiCalls || usage.totalTokens >= quota.tokens);
+
+    // One AI call per distinct (masked) text: identical texts share the pending conversion,
+    // built with the document context of the first key that asked for it
+    // Resolves to { text, method } where method is 'ai' or 'cache'; glossary tokens are left masked
+    const convertWithAiCached = (text, terms, key, textLanguage) => {
+        const cacheKey = buildCacheKey({
+            text,
+            model: provider.modelId,
+            promptVersion: PROMPT_VERSION,
+            mappingVersion: registry.version,
+            glossary: JSON.stringify(terms)
+        });
+
+        if (aiConversions.has(cacheKey)) {
+            cacheStats.deduplicated++;
+            return aiConversions.get(cacheKey).then(result => ({ ...result, method: 'cache' }));
+        }
+
+        const pending = (async () => {
+            const cached = cache ? await cache.get(cacheKey) : null;
+            if (cached !== null) {
+                cacheStats.hits++;
+                context.log(`💾 Cache hit for: ${text.substring(0, 50)}...`);
+                return { text: cached, method: 'cache' };
+            }
+
+            if (quotaExhausted()) {
+                throw createAiError('Daily AI quota used up', 'quota_exceeded');
+            }
+            aiCallsStarted++;
+
+            cacheStats.misses++;
+            const converted = await convertWithAi(text, apiKey, endpoint, model, context, jsonContext, excelContext, registry, provider, {
+                glossaryTerms: terms,
+                key,
+                language: textLanguage,
+                usage
+            });
+
+            // Only valid output that kept every glossary token is cached
+            if (cache && validateHandlebars(converted, { variables }).valid &&
+                findGlossaryViolations(text, converted, terms).length === 0) {
+                await cache.set(cacheKey, converted);
+            }
+            return { text: converted, method: 'ai' };
+        })();
+
+        aiConversions.set(cacheKey, pending);
+        return pending;
+    };
+
+    // Results and items keep the request's key order; failed texts keep their original value
+    const results = { ...texts };
+    const errors = {};
+    const items = Object.fromEntries(Object.keys(texts).map(key => [key, null]));
+
+    await runPool(Object.entries(texts), getAiSettings().concurrency, async ([key, value]) => {
+        // Numeric spreadsheet cells arrive as numbers; anything else that is not text fails its key
+        const text = typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+        const item = {
+            text,
+            status: 'failed',
+            method: null,
+            repairs: [],
+            unknownPlaceholders: [],
+            warnings: [],
+            errors: []
+        };
+        items[key] = item;
+
+        const textLanguage = getLanguageFromKey(key) || language;
+        const terms = glossary ? glossary.termsFor(textLanguage) : [];
+
+        try {
+            if (typeof text !== 'string') {
+                const error = new Error(`Text must be a string, got ${value === null ? 'null' : typeof value}`);
+                error.code = 'invalid_text';
+                throw error;
+            }
+            item.unknownPlaceholders = findUnknownPlaceholders(text, registry);
+
+            let converted = null;
+
+            // Translator pseudocode is compiled deterministically; AI is only a fallback
+            const hasPseudocode = isPseudocode(text);
+            if (hasPseudocode) {
+                try {
+                    context.log(`🧮 Compiling pseudocode for: ${text.substring(0, 50)}...`);
+                    converted = compilePseudocode(text, registry);
+                    item.method = 'pattern';
+                } catch (error) {
+                    if (!aiAvailable) throw error;
+                    context.log.warn(`⚠️ ${error.message} - falling back to AI`);
+                    item.warnings.push({ code: 'pseudocode-fallback', message: `${error.message} - converted with AI instead` });
+                }
+            }
+
+            if (converted === null) {
+                // Determine if we should use AI
+                const shouldUseAi = hasPseudocode || mode === 'ai' || 
+                    (mode === 'hybrid' && isComplexText(text));
+
+                if (shouldUseAi && aiAvailable) {
+                    context.log(`🤖 Using AI for complex text: ${text.substring(0, 50)}...`);
+                    item.method = 'ai';
+                    const masked = maskTerms(text, terms);
+                    try {
+                        const result = await convertWithAiCached(masked.text, terms, splitTextKey(key).key, textLanguage);
+                        converted = restoreTerms(result.text, masked.tokens);
+                        item.method = result.method;
+                    } catch (error) {
+                        if (error.code !== 'quota_exceeded') throw error;
+                        context.log.warn(`⚠️ ${key}: ${error.message} - using pattern matching`);
+                        item.warnings.push({ code: 'quota-exceeded', message: `${error.message} - converted with pattern matching instead` });
+                    }
+                }
+
+                if (converted === null) {
+                    context.log(`📐 Using pattern matching for: ${text.substring(0, 50)}...`);
+                    item.method = 'pattern';
+                    converted = convertWithPatterns(text, registry, context, textLanguage, item.repairs);
+                    if (converted === text) item.method = 'passthrough';
+                }
+            }
+
+            // Gate both AI and pattern output before it reaches published templates
+            const validation = validateHandlebars(converted, { variables });
+            for (const warning of validation.diagnostics.filter(d => d.severity === 'warning')) {
+                context.log.warn(`⚠️ ${key}: ${formatDiagnostic(warning)}`);
+                item.warnings.push({ code: warning.code, message: warning.message, offset: warning.offset });
+            }
+            if (!validation.valid) {
+                const validationErrors = validation.diagnostics.filter(d => d.severity === 'error');
+                for (const diagnostic of validationErrors) {
+                    item.errors.push({ code: diagnostic.code, message: diagnostic.message, offset: diagnostic.offset });
+                }
+                const error = new Error(`Invalid Handlebars: ${validationErrors.map(formatDiagnostic).join('; ')}`);
+                error.code = 'invalid_output';
+                throw error;
+            }
+
+            // Brand names, features and emoji must come back exactly as written
+            const violations = findGlossaryViolations(text, converted, terms);
+            if (violations.length > 0) {
+                for (const violation of violations) {
+                    item.errors.push({ code: 'glossary_violation', message: violation.message, term: violation.term || violation.token });
+                }
+                const error = new Error(`Protected terms changed: ${violations.map(v => v.message).join('; ')}`);
+                error.code = 'glossary_violation';
+                throw error;
+            }
+
+            results[key] = converted;
+            item.text = converted;
+            item.status = 'converted';
+        } catch (error) {
+            context.log.error(`Error converting ${key}: ${error.message}`);
+            errors[key] = error.message;
+            // Validation failures already listed their diagnostics
+            if (item.errors.length === 0) {
+                item.errors.push({ code: error.code || 'conversion_error', message: error.message });
+            }
+        }
+
+        if (options.onItem) {
+            await options.onItem(key, item);
+        }
+    });
+
+    if (cacheStats.hits + cacheStats.misses + cacheStats.deduplicated > 0) {
+        context.log(`💾 AI cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.deduplicated} deduplicated`);
+    }
+
+    const summary = summarizeItems(items, cacheStats);
+    summary.usage = usage;
+
+    return { results, errors, items, summary, cache: cacheStats, usage };
+}
+
+/**
+ * Batch totals over item metadata
+ */
+function summarizeItems(items, cacheStats) {
+    const summary = {
+        total: 0,
+        converted: 0,
+        failed: 0,
+        methods: { pattern: 0, ai: 0, cache: 0, passthrough: 0 },
+        repaired: 0,
+        withUnknownPlaceholders: 0,
+        withWarnings: 0,
+        cache: cacheStats
+    };
+
+    for (const item of Object.values(items)) {
+        summary.total++;
+        summary[item.status]++;
+        if (item.method) summary.methods[item.method]++;
+        if (item.repairs.length > 0) summary.repaired++;
+        if (item.unknownPlaceholders.length > 0) summary.withUnknownPlaceholders++;
+        if (item.warnings.length > 0) summary.withWarnings++;
+    }
+
+    return summary;
+}
+
+/**
+ * Lists [Placeholder] and <placeholder> tokens the registry cannot resolve
+ */
+function findUnknownPlaceholders(text, registry) {
+    if (!text) return [];
+
+    const unknown = new Set();
+    for (const match of text.matchAll(/(\[([^\[\]]+)\]|<([^<>]+)>)/g)) {
+        if (!registry.resolve(match[0])) unknown.add(match[0]);
+    }
+    return [...unknown];
+}
+
+/**
+ * Determines if text is complex enough to require AI
+ */
+function isComplexText(text) {
+    // Already contains Handlebars - needs AI to preserve/enhance
+    const hasHandlebars = text.includes('{{') && text.includes('}}');
+    
+    const placeholderCount = (text.match(/(\[([^\]]+)\]|<([^>]+)>)/g) || []).length;
+    const hasConditionals = /\b(if|else|unless)\b/i.test(text);
+    const hasPseudocode = /\b(IF|ELSE|AND)\b/.test(text); // Detect uppercase pseudocode
+    const hasLoops = /\b(each|for|loop)\b/i.test(text);
+    const hasMultipleSentences = text.split(/[.!?]/).length > 2;
+    const hasNestedBrackets = text.includes('[[') || /\[([^\]]*\[)/.test(text);
+    const hasHelperFunctions = /String\.(Concat|Equal|Append)|Object\.ToString/.test(text);
+    
+    return hasHandlebars ||
+           hasHelperFunctions ||
+           hasPseudocode ||  // Add pseudocode detection
+           (placeholderCount > 2 && text.length > 50) || 
+           hasConditionals || 
+           hasLoops || 
+           hasMultipleSentences ||
+           hasNestedBrackets;
+}
+
+/**
+ * Pattern-based conversion (fast, free, deterministic)
+ */
+function convertWithPatterns(text, registry, context, language, repairs) {
+    if (!text) return text;
+
+    // If text already contains Handlebars expressions, return as-is
+    if (text.includes('{{') && text.includes('}}')) {
+        context.log('Text already contains Handlebars, preserving as-is');
+        return text;
+    }
+
+    // Auto-repair malformed placeholders
+    text = repairMalformedPlaceholders(text, registry, context, repairs);
+
+    // Gender alternations and plurals become #if blocks between converted segments
+    const inflections = findInflections(text, getInflectionTable(language), registry);
+    if (inflections.length === 0) {
+        return convertSegment(text, registry, context);
+    }
+
+    let output = '';
+    let lastIndex = 0;
+    for (const inflection of inflections) {
+        context.log(`🔀 Converted ${inflection.kind} form: ${text.substring(inflection.start, inflection.end)}`);
+        output += convertSegment(text.substring(lastIndex, inflection.start), registry, context);
+        output += inflection.replacement;
+        lastIndex = inflection.end;
+    }
+    output += convertSegment(text.substring(lastIndex), registry, context);
+
+    return output;
+}
+
+/**
+ * Converts placeholders in a plain text segment to {{variable}} or String.Concat
+ */
+function convertSegment(text, registry, context) {
+    if (!text) return text;
+
+    // Match both [Placeholder] and <placeholder> formats
+    const placeholderPattern = /(\[([^\]]+)\]|<([^>]+)>)/g;
+    const matches = [...text.matchAll(placeholderPattern)];
+
+    if (matches.length === 0) return text;
+
+    // Single placeholder alone
+    if (matches.length === 1 && matches[0][0] === text) {
+        const placeholder = matches[0][0];
+        const handlebarsVar = registry.resolve(placeholder);
+        if (handlebarsVar) {
+            return `{{${handlebarsVar}}}`;
+        }
+        context.log.warn(`Unknown placeholder: ${placeholder}`);
+        return text;
+    }
+
+    // Multiple parts - use String.Concat
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of matches) {
+        const placeholder = match[0];
+        const placeholderIndex = match.index;
+
+        // Add text before placeholder
+        if (placeholderIndex > lastIndex) {
+            const beforeText = text.substring(lastIndex, placeholderIndex);
+            parts.push(`"${escapeQuotes(beforeText)}"`);
+        }
+
+        // Add placeholder variable
+        const handlebarsVar = registry.resolve(placeholder);
+        if (handlebarsVar) {
+            parts.push(handlebarsVar);
+        } else {
+            parts.push(`"${escapeQuotes(placeholder)}"`);
+        }
+
+        lastIndex = placeholderIndex + placeholder.length;
+    }
+
+    // Add remaining text
+    if (lastIndex < text.length) {
+        const afterText = text.substring(lastIndex);
+        parts.push(`"${escapeQuotes(afterText)}"`);
+    }
+
+    if (parts.length === 0) return text;
+    if (parts.length === 1) {
+        return parts[0].startsWith('"') ? text : `{{${parts[0]}}}`;
+    }
+
+    const concatenated = parts.join(' ');
+    return `{{String.Concat ${concatenated}}}`;
+}
+
+/**
+ * Extracts the language code from a "langCode|translationKey" batch key
+ */
+function getLanguageFromKey(key) {
+    const separator = key.indexOf('|');
+    return separator > 0 ? key.substring(0, separator) : null;
+}
+
+/**
+ * Auto-repair malformed placeholders
+ * Each repair applied is described in `repairs` when an array is passed
+ */
+function repairMalformedPlaceholders(text, registry, context, repairs = []) {
+    let original = text;
+
+    // Fix missing closing brackets
+    for (const placeholderName of registry.aliasNames()) {
+        const pattern = new RegExp(`\\[${escapeRegExp(placeholderName)}(\\s+[a-zà-ÿ])`, 'gi');
+        
+        if (pattern.test(text)) {
+            text = text.replace(pattern, `[${placeholderName}]$1`);
+            context.log(`🔧 Repaired: Added ']' after [${placeholderName}]`);
+            repairs.push(`Added ']' after [${placeholderName}]`);
+        }
+    }
+
+    // Fix double brackets
+    if (text.includes('[[')) {
+        text = text.replace(/\[\[/g, '[').replace(/\]\]/g, ']');
+        context.log('🔧 Repaired: Fixed double brackets');
+        repairs.push('Fixed double brackets');
+    }
+
+    if (text !== original) {
+        context.log(`📝 Repaired: ${original} → ${text}`);
+    }
+
+    return text;
+}
+
+/**
+ * AI request settings from App Settings
+ */
+function getAiSettings() {
+    return {
+        concurrency: Number(process.env.AI_CONCURRENCY) || 4,
+        ratePerMinute: Number(process.env.AI_RATE_LIMIT_PER_MINUTE) || 60,
+        timeoutMs: Number(process.env.AI_REQUEST_TIMEOUT_MS) || 30000,
+        maxRetries: process.env.AI_MAX_RETRIES !== undefined ? Number(process.env.AI_MAX_RETRIES) : 3,
+        maxRetryDelayMs: Number(process.env.AI_MAX_RETRY_DELAY_MS) || 30000,
+        contextTokenBudget: process.env.AI_CONTEXT_TOKEN_BUDGET !== undefined ? Number(process.env.AI_CONTEXT_TOKEN_BUDGET) : DEFAULT_TOKEN_BUDGET
+    };
+}
+
+/**
+ * AI-powered conversion through an LLM provider (OpenAI, Azure OpenAI, local server)
+ * Calls are rate limited per API key; 429, 5xx, timeouts and network errors
+ * are retried with exponential backoff, honoring Retry-After. A 401 for a key from the
+ * secret chain reloads the key once, in case it was rotated
+ * promptOptions: { glossaryTerms, key, language } for the system prompt, and usage - an
+ * { aiCalls, promptTokens, completionTokens, totalTokens } total every request is added to
+ */
+async function convertWithAi(text, apiKey, endpoint, model, context, jsonContext, excelContext, registry, provider, promptOptions = {}) {
+    provider = provider || getLlmProvider({ endpoint, model }, DEFAULT_MODEL);
+    const settings = getAiSettings();
+
+    const payload = {
+        messages: [
+            { role: 'system', content: buildSystemPrompt(jsonContext, excelContext, registry, { ...promptOptions, text, tokenBudget: settings.contextTokenBudget }) },
+            { role: 'user', content: buildUserPrompt(text, registry, getDocumentContext(jsonContext)?.contextVariables) }
+        ],
+        temperature: 0.1,
+        maxTokens: 1000,
+        input: text
+    };
+
+    // Keyless providers share a bucket per provider and model
+    const limiter = getRateLimiter(apiKey || provider.modelId, { ratePerMinute: settings.ratePerMinute });
+    let keyRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        await limiter.acquire();
+
+        let response;
+        if (promptOptions.usage) promptOptions.usage.aiCalls++;
+        try {
+            response = await provider.send(payload, apiKey, settings.timeoutMs);
+        } catch (error) {
+            if (attempt >= settings.maxRetries) {
+                context.log.error('AI request error:', error);
+                throw error;
+            }
+            const delay = getBackoffDelay(attempt, settings.maxRetryDelayMs);
+            context.log.warn(`⚠️ AI request failed (${error.message}), retry ${attempt + 1}/${settings.maxRetries} in ${delay}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        if (response.statusCode === 200) {
+            const convertedText = parseChatCompletion(response.body);
+            if (promptOptions.usage) addUsage(promptOptions.usage, response.body, payload, convertedText);
+
+            if (!convertedText) {
+                throw createAiError('Empty response from AI', 'empty_response');
+            }
+
+            context.log(`✅ AI conversion successful`);
+            return convertedText;
+        }
+
+        // A server key rejected as invalid may have been rotated: look it up again once
+        if (response.statusCode === 401 && !keyRefreshed) {
+            keyRefreshed = true;
+            const rotated = await getSecretChain().refresh(apiKey, getApiKeySecretNames(provider.name), { context });
+            if (rotated) {
+                context.log.warn(`⚠️ AI API 401, retrying with ${rotated.name} reloaded from ${rotated.provider}`);
+                apiKey = rotated.value;
+                continue;
+            }
+        }
+
+        const retryable = response.statusCode === 429 || response.statusCode >= 500;
+        const retryAfter = getRetryAfterDelay(response.headers);
+        const delay = retryAfter ?? getBackoffDelay(attempt, settings.maxRetryDelayMs);
+
+        if (retryable && attempt < settings.maxRetries && delay <= settings.maxRetryDelayMs) {
+            context.log.warn(`⚠️ AI API ${response.statusCode}, retry ${attempt + 1}/${settings.maxRetries} in ${delay}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        context.log.error(`AI API Error: ${response.statusCode} - ${response.body}`);
+        throw createAiError(
+            `AI API Error: ${response.statusCode}`,
+            response.statusCode === 429 ? 'rate_limited' : 'ai_error'
+        );
+    }
+}
+
+/**
+ * Adds a response's token usage to the running total, estimating it from the
+ * prompt and output when the server reports none (some local servers)
+ */
+function addUsage(usage, body, payload, output) {
+    const reported = parseUsage(body);
+    const promptTokens = reported ? reported.promptTokens : estimateTokens(payload.messages.map(message => message.content).join('\n'));
+    const completionTokens = reported ? reported.completionTokens : estimateTokens(output);
+
+    usage.promptTokens += promptTokens;
+    usage.completionTokens += completionTokens;
+    usage.totalTokens += reported ? reported.totalTokens : promptTokens + completionTokens;
+}
+
+/**
+ * Reads Retry-After (seconds or HTTP date) or retry-after-ms, in milliseconds
+ */
+function getRetryAfterDelay(headers) {
+    const retryAfterMs = Number(headers['retry-after-ms']);
+    if (retryAfterMs >= 0 && headers['retry-after-ms'] !== undefined) {
+        return retryAfterMs;
+    }
+
+    const retryAfter = headers['retry-after'];
+    if (retryAfter === undefined) return null;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff (1s, 2s, 4s, ...) with jitter, capped at maxDelayMs
+ */
+function getBackoffDelay(attempt, maxDelayMs) {
+    const base = Math.min(maxDelayMs, 1000 * 2 ** attempt);
+    return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Registry entries the document may use; the prompts and the validator share this filter
+ */
+function declaredEntries(entries, contextVariables) {
+    return entries.filter(entry => isDeclaredVariable(entry.variable, contextVariables));
+}
+
+/**
+ * Builds comprehensive system prompt for AI with document context and protected glossary terms
+ * promptOptions: { glossaryTerms, key, language, text, tokenBudget }
+ * For CRM documents, the context is the conversions most relevant to the text and the
+ * declared context variables (see promptContext.js); other JSON is sampled from the start
+ */
+function buildSystemPrompt(jsonContext, excelContext, registry, promptOptions = {}) {
+    const { glossaryTerms = [], tokenBudget = DEFAULT_TOKEN_BUDGET } = promptOptions;
+    const documentContext = buildPromptContext(jsonContext, { ...promptOptions, tokenBudget });
+    let contextAnalysis = '';
+    
+    if (documentContext.prompt) {
+        contextAnalysis = `\n\n${documentContext.prompt}\n`;
+    } else if (jsonContext) {
+        try {
+            const json = JSON.parse(jsonContext);
+            const sample = JSON.stringify(json, null, 2).substring(0, tokenBudget * 4);
+            contextAnalysis = `\n\nEXISTING JSON STRUCTURE (learn from these patterns):
+${sample}
+...
+
+INSTRUCTIONS:
+- Study the existing JSON to understand naming patterns
+- See how placeholders are already converted (e.g., {{LoadedData.SenderProfile.Handle}})
+- Match the style and structure of existing conversions
+- Ensure consistency with existing keys and values
+`;
+        } catch (e) {
+            // Ignore parse errors
+        }
+    }
+    
+    const availableVariables = declaredEntries(registry.entries, documentContext.contextVariables)
+        .map(entry => `- ${entry.variable}${entry.description ? ` (${entry.description})` : ''}`)
+        .join('\n');
+
+    const placeholderRules = declaredEntries(registry.placeholderEntries(), documentContext.contextVariables)
+        .map(entry => `- ✅ Convert placeholders: ${registry.formatAliases(entry)} → {{${entry.variable}}}`)
+        .join('\n');
+
+    return `You are an expert Handlebars template converter for a CRM email system. Your task is to convert text with placeholders AND pseudocode conditionals into valid Handlebars syntax.
+
+AVAILABLE VARIABLES:
+${availableVariables}
+
+AVAILABLE HELPER FUNCTIONS:
+- String.Concat - Concatenate strings and variables
+- String.Equal - Compare two strings
+- Object.ToString - Convert object to string
+
+CONVERSION RULES:
+
+1. PSEUDOCODE CONDITIONALS - Convert to Handlebars:
+   Input: IF sender site code == 43 ... ELSE ...
+   Output: {{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}} ... {{else}} ... {{/if}}
+   
+   Input: AND paying Status == 'NOPAY' ...
+   Output: {{#if (String.Equal LoadedData.SenderProfile.PayingStatus "NOPAY")}} ... {{/if}}
+   
+   Example full conversion:
+   Input:
+   \`\`\`
+   IF sender site code == 43
+   {
+   AND paying Status == 'NOPAY' Someone likes you
+   ELSE <sender name> likes you
+   }
+   ELSE 💗 <sender name> is interested. Is it mutual?
+   \`\`\`
+   
+   Output:
+   \`\`\`
+   {{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}
+   {{#if (String.Equal LoadedData.SenderProfile.PayingStatus "NOPAY")}}Someone likes you{{else}}{{LoadedData.SenderProfile.Handle}} likes you{{/if}}
+   {{else}}💗 {{LoadedData.SenderProfile.Handle}} is interested. Is it mutual?{{/if}}
+   \`\`\`
+
+2. Single placeholder alone:
+   {{variable}}
+   Example: <sender name> → {{LoadedData.SenderProfile.Handle}}
+
+3. Multiple parts (text + placeholders):
+   {{String.Concat "text" variable "text"}}
+   Example: Hi <sender name>, welcome! → {{String.Concat "Hi " LoadedData.SenderProfile.Handle ", welcome!"}}
+
+4. Preserve existing Handlebars:
+   If input already contains valid Handlebars expressions, keep them exactly as-is
+
+CRITICAL RULES:
+- ✅ Convert IF/ELSE/AND pseudocode to proper Handlebars {{#if}} blocks
+${placeholderRules}
+- ✅ Keep the exact same text, just swap [Placeholder] → {{Variable}}
+- Preserve exact spacing and punctuation from original text
+- Escape quotes inside strings with \\"
+- Keep exact capitalization of helper functions (String.Concat, String.Equal, Object.ToString)
+- Maintain proper nesting depth for conditionals
+- If text already has valid Handlebars syntax, DO NOT change it
+
+${buildGlossaryPrompt(glossaryTerms)}
+${contextAnalysis}
+
+OUTPUT REQUIREMENTS:
+- Return ONLY the converted Handlebars expression
+- No explanations, no markdown, no extra text
+- Must be valid Handlebars syntax
+- DO NOT add logic that wasn't in the input text
+- Preserve any existing Handlebars expressions exactly`;
+}
+
+/**
+ * Builds user prompt; contextVariables are the document's declared ones (all placeholders when empty)
+ */
+function buildUserPrompt(text, registry, contextVariables = []) {
+    const knownPlaceholders = declaredEntries(registry.placeholderEntries(), contextVariables)
+        .map(entry => `- ${registry.formatAliases(entry)} → ${entry.variable}`)
+        .join('\n');
+
+    return `Convert this text to Handlebars syntax by ONLY replacing placeholders.
+
+Input text: "${text}"
+
+Known placeholders to convert:
+${knownPlaceholders}
+
+CRITICAL: 
+- DO NOT add any if/else logic or conditionals
+- DO NOT change the text content
+- ONLY replace the placeholders with their Handlebars variables
+- Keep everything else exactly as-is
+
+Return ONLY the converted Handlebars expression.`;
+}
+
+/**
+ * Escapes quotes in text
+ */
+function escapeQuotes(text) {
+    return text.replace(/"/g, '\\"');
+}
+
+/**
+ * Escapes text for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    PROMPT_VERSION,
+    getOpenAiKey,
+    modeUsesAi,
+    convertTexts,
+    summarizeItems,
+    isComplexText,
+    convertWithPatterns,
+    repairMalformedPlaceholders,
+    findUnknownPlaceholders,
+    convertWithAi,
+    buildSystemPrompt,
+    buildUserPrompt,
+    getLanguageFromKey,
+    isValidApiKeyFormat
+};
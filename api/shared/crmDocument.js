@@ -0,0 +1,128 @@
+/**
+ * CRM Document
+ * Reads CRM JSON documents (contentDoc.header / contentDoc.content) and merges
+ * converted translations into contentDoc.content.localizedContents
+ */
+
+/**
+ * Parses a CRM document from a JSON string or object into a private copy
+ * Throws when the document has no contentDoc.content section
+ */
+function parseCrmDocument(document) {
+    if (!document) {
+        throw new Error('CRM document is required');
+    }
+
+    let doc;
+    try {
+        doc = typeof document === 'string' ? JSON.parse(document) : JSON.parse(JSON.stringify(document));
+    } catch (error) {
+        throw new Error(`CRM document is not valid JSON: ${error.message}`);
+    }
+
+    if (!doc || !doc.contentDoc || !doc.contentDoc.content || typeof doc.contentDoc.content !== 'object') {
+        throw new Error('CRM document must contain contentDoc.content');
+    }
+
+    if (!doc.contentDoc.content.localizedContents) {
+        doc.contentDoc.content.localizedContents = {};
+    }
+
+    return doc;
+}
+
+/**
+ * Returns the language → key → text map of a parsed CRM document
+ */
+function getLocalizedContents(doc) {
+    return doc.contentDoc.content.localizedContents;
+}
+
+/**
+ * Collects translation rows ({ LanguageCode, TranslationKey, Value }) into
+ * batch texts keyed by "langCode|translationKey"
+ * Rows without a language, key or value are skipped
+ */
+function collectRowTexts(rows) {
+    const texts = {};
+    const skipped = [];
+
+    (rows || []).forEach((row, index) => {
+        const language = row && String(row.LanguageCode ?? '').trim();
+        const key = row && String(row.TranslationKey ?? '').trim();
+        const value = row && row.Value;
+
+        if (!language || !key || value === undefined || value === null || String(value).trim() === '') {
+            skipped.push({ row: index, reason: 'LanguageCode, TranslationKey and Value are required' });
+            return;
+        }
+
+        texts[`${language}|${key}`] = String(value);
+    });
+
+    return { texts, skipped };
+}
+
+/**
+ * Splits a "langCode|translationKey" batch key
+ */
+function splitTextKey(textKey) {
+    const separator = textKey.indexOf('|');
+    return {
+        language: textKey.substring(0, separator),
+        key: textKey.substring(separator + 1)
+    };
+}
+
+/**
+ * Writes converted texts into localizedContents and reports what changed per language
+ * Texts that failed conversion are not written; the existing value is kept
+ */
+function applyTranslations(doc, converted, errors = {}) {
+    const localizedContents = getLocalizedContents(doc);
+    const languages = {};
+    const totals = { added: 0, updated: 0, unchanged: 0, failed: 0 };
+
+    for (const [textKey, text] of Object.entries(converted)) {
+        const { language, key } = splitTextKey(textKey);
+
+        if (!languages[language]) {
+            languages[language] = { added: [], updated: [], unchanged: [], failed: [] };
+        }
+        const report = languages[language];
+
+        if (errors[textKey]) {
+            report.failed.push({ key, error: errors[textKey] });
+            totals.failed++;
+            continue;
+        }
+
+        if (!localizedContents[language]) {
+            localizedContents[language] = {};
+        }
+        const strings = localizedContents[language];
+
+        if (!Object.prototype.hasOwnProperty.call(strings, key)) {
+            report.added.push(key);
+            totals.added++;
+        } else if (strings[key] !== text) {
+            report.updated.push(key);
+            totals.updated++;
+        } else {
+            report.unchanged.push(key);
+            totals.unchanged++;
+        }
+
+        strings[key] = text;
+    }
+
+    return { languages, totals };
+}
+
+module.exports = {
+    parseCrmDocument,
+    getLocalizedContents,
+    collectRowTexts,
+    splitTextKey,
+    applyTranslations
+};
@@ -0,0 +1,150 @@
+/**
+ * Document Version
+ * Keeps contentDoc.header current when merged documents are produced: bumps the
+ * version, stamps modifiedBy / modifiedDt, sets the ticket and change comment, and
+ * records which language keys changed in a changelog kept next to the document
+ *
+ * Translations are prepared against a version of the document (the base version).
+ * A document that has moved past that version in the CRM is not overwritten.
+ *
+ * Changelog shape:
+ * { stringKey, entries: [{ version, previousVersion, modifiedBy, modifiedDt, ticket, comment,
+ *   changes: { [lang]: { added, modified } } }] }
+ *
+ * App settings:
+ * - DOCUMENT_MODIFIED_BY (default: crm-translation-merger): modifiedBy when no user is known
+ */
+
+const DEFAULT_MODIFIED_BY = 'crm-translation-merger';
+
+/**
+ * Reads a version number; null when absent, throws when it is not a whole number
+ */
+function parseVersion(value, label = 'version') {
+    if (value === undefined || value === null || value === '') return null;
+
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`${label} must be a whole number, got '${value}'`);
+    }
+    return version;
+}
+
+/**
+ * Describes a document that is newer than the version the translations were prepared
+ * against; null when the document can be overwritten or no base version was given
+ */
+function findVersionConflict(header, baseVersion) {
+    const base = parseVersion(baseVersion, 'Base version');
+    const current = parseVersion(header?.version, 'header.version');
+    if (base === null || current === null || current <= base) return null;
+
+    return {
+        version: current,
+        baseVersion: base,
+        message: `Document is at version ${current} but the translations were prepared against version ${base}`
+    };
+}
+
+/**
+ * Keys that changed per language in a merge diff; languages without changes are left out
+ */
+function summarizeChanges(diff) {
+    const changes = {};
+    for (const [language, entry] of Object.entries(diff.languages)) {
+        if (entry.added.length + entry.modified.length === 0) continue;
+
+        changes[language] = {
+            added: entry.added.map(item => item.key),
+            modified: entry.modified.map(item => item.key)
+        };
+    }
+    return changes;
+}
+
+/**
+ * CRM-style timestamp in local time with its offset, e.g. 2025-09-26T13:26:47.023-05:00
+ */
+function formatTimestamp(date = new Date()) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+        + `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+function getDefaultModifiedBy() {
+    return process.env.DOCUMENT_MODIFIED_BY || DEFAULT_MODIFIED_BY;
+}
+
+/**
+ * Updates the header of a merged document and returns its changelog entry
+ * Options: { modifiedBy, ticket, comment, now }
+ * Nothing is touched and null is returned when no key changed. The header's ticket and
+ * comment describe the change that made its version, so a new version without them has
+ * none (null) rather than the previous version's.
+ */
+function stampHeader(doc, changes, options = {}) {
+    if (Object.keys(changes).length === 0) return null;
+
+    if (!doc.contentDoc.header) {
+        doc.contentDoc.header = {};
+    }
+    const header = doc.contentDoc.header;
+    const previousVersion = parseVersion(header.version, 'header.version');
+    const version = (previousVersion ?? 0) + 1;
+
+    // Keep the type the CRM exported the version with
+    header.version = typeof header.version === 'string' ? String(version) : version;
+    header.modifiedBy = options.modifiedBy || getDefaultModifiedBy();
+    header.modifiedDt = formatTimestamp(options.now);
+    header.ticket = options.ticket ? String(options.ticket) : null;
+    header.comment = options.comment ? String(options.comment) : null;
+
+    return {
+        version,
+        previousVersion,
+        modifiedBy: header.modifiedBy,
+        modifiedDt: header.modifiedDt,
+        ticket: header.ticket,
+        comment: header.comment,
+        changes
+    };
+}
+
+/**
+ * Adds an entry to a changelog (a new one when changelog is empty)
+ * Throws when an existing changelog does not have the changelog shape
+ */
+function appendChangelog(changelog, entry, header) {
+    if (changelog && !Array.isArray(changelog.entries)) {
+        throw new Error('Changelog must be an object with an entries array');
+    }
+
+    const entries = changelog ? [...changelog.entries] : [];
+    if (entry) entries.push(entry);
+
+    return {
+        stringKey: changelog?.stringKey ?? header?.key?.stringKey ?? null,
+        entries
+    };
+}
+
+/**
+ * Path of the changelog kept next to a document file
+ */
+function getChangelogPath(documentPath) {
+    return `${documentPath}.changelog.json`;
+}
+
+module.exports = {
+    parseVersion,
+    findVersionConflict,
+    summarizeChanges,
+    formatTimestamp,
+    stampHeader,
+    appendChangelog,
+    getChangelogPath
+};
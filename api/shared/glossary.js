@@ -0,0 +1,256 @@
+/**
+ * Glossary
+ * Protected terms - brand and site names, features ("Super Like"), emoji - that the
+ * AI must not translate or rewrite. For each language the terms are listed in the
+ * system prompt, masked with ⟦T1⟧ tokens before the text is sent to the model and
+ * restored afterwards; output that lost or altered a term is rejected.
+ *
+ * Terms come from the config file and from a "Glossary" sheet (Term, Language and
+ * Note columns). Terms without languages apply to every language.
+ *
+ * Config location (in priority order):
+ * 1. GLOSSARY_CONFIG_PATH app setting
+ * 2. api/config/glossary.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { baseLanguage } = require('./locales');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'glossary.json');
+
+const GLOSSARY_SHEET = 'Glossary';
+const TERM_COLUMNS = ['Term', 'Glossary', 'Text'];
+const LANGUAGE_COLUMNS = ['LanguageCode', 'Language', 'Lang', 'Locale'];
+const NOTE_COLUMNS = ['Note', 'Notes', 'Comment', 'Description'];
+
+// Placeholders and existing Handlebars are converted, never masked
+const PLACEHOLDER_PATTERN = /\{\{[\s\S]*?\}\}|\[[^\[\]]+\]|<[^<>]+>/g;
+const TOKEN_PATTERN = /⟦T\d+⟧/g;
+
+let cachedConfig = null;
+
+/**
+ * Reads the glossary config (cached for the default file)
+ */
+function loadGlossaryConfig(configPath) {
+    if (!configPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    const filePath = configPath || process.env.GLOSSARY_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!configPath) {
+        cachedConfig = config;
+    }
+
+    return config;
+}
+
+/**
+ * Builds a glossary from the config terms plus extra entries (e.g. a Glossary sheet)
+ * Returns { version, entries, termsFor(language) } where termsFor lists the terms that
+ * apply to a language (exact code or base language), longest first
+ */
+function getGlossary(extraEntries = [], config) {
+    config = config || loadGlossaryConfig();
+
+    const entries = [...(config.terms || []), ...extraEntries]
+        .map(normalizeEntry)
+        .filter(Boolean);
+
+    const version = crypto.createHash('sha256')
+        .update(JSON.stringify([config.version || '', entries]))
+        .digest('hex')
+        .substring(0, 12);
+
+    return {
+        version,
+        entries,
+        termsFor(language) {
+            const code = String(language || '').toLowerCase();
+            const base = baseLanguage(code);
+            const terms = new Map();
+
+            for (const entry of entries) {
+                const applies = entry.languages.length === 0 || entry.languages.some(l => l === code || l === base);
+                if (applies && !terms.has(entry.term)) {
+                    terms.set(entry.term, { term: entry.term, note: entry.note });
+                }
+            }
+
+            return [...terms.values()].sort((a, b) => b.term.length - a.term.length);
+        }
+    };
+}
+
+/**
+ * { term, languages, note } with languages lowercased; accepts plain strings
+ */
+function normalizeEntry(entry) {
+    if (typeof entry === 'string') entry = { term: entry };
+    if (!entry || typeof entry !== 'object') return null;
+
+    const term = String(entry.term ?? '').trim();
+    if (!term) return null;
+
+    const languages = Array.isArray(entry.languages)
+        ? entry.languages
+        : String(entry.languages ?? entry.language ?? '').split(/[,;]/);
+
+    return {
+        term,
+        languages: languages.map(l => String(l).trim().toLowerCase()).filter(Boolean),
+        note: entry.note ? String(entry.note) : null
+    };
+}
+
+/**
+ * Glossary entries from sheet rows or a request's Glossary array
+ * Columns are matched case-insensitively: Term, Language (comma-separated; blank
+ * for all languages) and Note. Rows without a term are ignored.
+ */
+function parseGlossaryRows(rows) {
+    return (rows || [])
+        .filter(row => row && typeof row === 'object')
+        .map(row => normalizeEntry({
+            term: findColumn(row, TERM_COLUMNS),
+            languages: findColumn(row, LANGUAGE_COLUMNS),
+            note: findColumn(row, NOTE_COLUMNS)
+        }))
+        .filter(Boolean);
+}
+
+function findColumn(row, names) {
+    const column = Object.keys(row).find(key => names.some(name => name.toLowerCase() === key.trim().toLowerCase()));
+    return column ? row[column] : null;
+}
+
+/**
+ * Whether a sheet holds the glossary rather than translations
+ */
+function isGlossarySheet(name) {
+    return String(name || '').trim().toLowerCase() === GLOSSARY_SHEET.toLowerCase();
+}
+
+/**
+ * Matches whole terms: no letter or digit directly before or after
+ */
+function buildTermPattern(terms) {
+    const alternatives = terms.map(({ term }) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Applies fn to the text between placeholders and Handlebars expressions
+ */
+function mapPlainText(text, fn) {
+    let output = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        output += fn(text.substring(lastIndex, match.index)) + match[0];
+        lastIndex = match.index + match[0].length;
+    }
+    return output + fn(text.substring(lastIndex));
+}
+
+/**
+ * Replaces protected terms with ⟦T1⟧, ⟦T2⟧... tokens (one per distinct term)
+ * Returns { text, tokens: [{ token, term }] }
+ */
+function maskTerms(text, terms) {
+    const tokens = [];
+    if (!text || terms.length === 0) return { text, tokens };
+
+    const pattern = buildTermPattern(terms);
+    const masked = mapPlainText(text, segment => segment.replace(pattern, (term) => {
+        let entry = tokens.find(t => t.term === term);
+        if (!entry) {
+            entry = { token: `⟦T${tokens.length + 1}⟧`, term };
+            tokens.push(entry);
+        }
+        return entry.token;
+    }));
+
+    return { text: masked, tokens };
+}
+
+/**
+ * Puts the masked terms back
+ */
+function restoreTerms(text, tokens) {
+    if (!text) return text;
+    return tokens.reduce((output, { token, term }) => output.split(token).join(term), text);
+}
+
+/**
+ * Compares source and output: every protected term outside placeholders must still
+ * appear as often, and mask tokens must be kept exactly (none lost, none invented)
+ * Returns [{ type, term | token, expected, found, message }]
+ */
+function findGlossaryViolations(source, output, terms) {
+    const violations = [];
+    if (!source || !output) return violations;
+
+    const plain = source.replace(PLACEHOLDER_PATTERN, ' ');
+
+    for (const { term } of terms) {
+        const pattern = buildTermPattern([{ term }]);
+        const expected = (plain.match(pattern) || []).length;
+        if (expected === 0) continue;
+
+        const found = (output.match(pattern) || []).length;
+        if (found < expected) {
+            violations.push({ type: 'altered-term', term, expected, found, message: `Protected term "${term}" was altered or removed (${found} of ${expected} kept)` });
+        }
+    }
+
+    const sourceTokens = countTokens(source);
+    const outputTokens = countTokens(output);
+    for (const token of new Set([...sourceTokens.keys(), ...outputTokens.keys()])) {
+        const expected = sourceTokens.get(token) || 0;
+        const found = outputTokens.get(token) || 0;
+        if (expected !== found) {
+            violations.push({ type: 'token-mismatch', token, expected, found, message: `Glossary token ${token} appears ${found} times, expected ${expected}` });
+        }
+    }
+
+    return violations;
+}
+
+function countTokens(text) {
+    const counts = new Map();
+    for (const [token] of text.matchAll(TOKEN_PATTERN)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * System prompt section listing the protected terms ('' when there are none)
+ */
+function buildGlossaryPrompt(terms) {
+    if (!terms || terms.length === 0) return '';
+
+    const list = terms
+        .map(({ term, note }) => `- ${term}${note ? ` (${note})` : ''}`)
+        .join('\n');
+
+    return `PROTECTED TERMS (never translate, respell, re-case or drop these):
+${list}
+- Tokens like ⟦T1⟧ stand for protected terms: copy them exactly, in the same place`;
+}
+
+module.exports = {
+    GLOSSARY_SHEET,
+    loadGlossaryConfig,
+    getGlossary,
+    parseGlossaryRows,
+    isGlossarySheet,
+    maskTerms,
+    restoreTerms,
+    findGlossaryViolations,
+    buildGlossaryPrompt
+};
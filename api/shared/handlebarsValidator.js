@@ -0,0 +1,533 @@
+/**
+ * Handlebars Validator
+ * Tokenizes and parses the Handlebars subset used in CRM localized strings
+ * (mustaches, sub-expressions, #if/#unless/else blocks, string literals) and
+ * checks block nesting, helper names and variable paths
+ *
+ * Diagnostics: { severity: 'error' | 'warning', code, message, offset, length }
+ */
+
+const { getPlaceholderRegistry } = require('./placeholderRegistry');
+
+// Helper name → [min args, max args]
+const HELPERS = {
+    'String.Concat': [1, Infinity],
+    'String.Append': [2, Infinity],
+    'String.Equal': [2, 2],
+    'Object.ToString': [1, 1]
+};
+
+const BLOCK_HELPERS = ['if', 'unless'];
+
+// Uppercase translator pseudocode left in the output: IF ... == / != ...
+// ELSE alone is ordinary copy ("OR ELSE"); in pseudocode it always follows such an IF
+const PSEUDOCODE_PATTERN = /\bIF\b[^]*?(?:==|!=)/;
+
+/**
+ * Parses a template into an AST
+ * Returns { ast, diagnostics } - syntax errors are reported, never thrown
+ */
+function parseHandlebars(source) {
+    const diagnostics = [];
+    const root = { type: 'Program', body: [], offset: 0, length: source.length };
+    const stack = [];
+    let current = root.body;
+    let pos = 0;
+
+    const error = (code, message, offset, length) =>
+        diagnostics.push({ severity: 'error', code, message, offset, length });
+
+    while (pos < source.length) {
+        const open = source.indexOf('{{', pos);
+        const textEnd = open === -1 ? source.length : open;
+
+        if (textEnd > pos) {
+            const value = source.substring(pos, textEnd);
+            const stray = value.indexOf('}}');
+            if (stray !== -1) {
+                error('unmatched-close', "'}}' without matching '{{'", pos + stray, 2);
+            }
+            current.push({ type: 'Text', value, offset: pos, length: value.length });
+        }
+
+        if (open === -1) break;
+
+        const statement = parseStatement(source, open, error);
+        pos = statement.end;
+
+        if (!statement.node) continue;
+
+        const node = statement.node;
+
+        if (node.type === 'OpenBlock') {
+            const block = {
+                type: 'Block',
+                helper: node.helper,
+                params: node.params,
+                hash: node.hash,
+                program: { type: 'Program', body: [] },
+                inverse: null,
+                offset: node.offset,
+                length: 0,
+                openLength: node.length
+            };
+            current.push(block);
+            stack.push({ block, chained: false });
+            current = block.program.body;
+        } else if (node.type === 'Else') {
+            const top = stack[stack.length - 1];
+            if (!top) {
+                error('unexpected-else', '{{else}} outside of a block', node.offset, node.length);
+            } else if (top.block.inverse) {
+                error('duplicate-else', `{{else}} appears twice in {{#${top.block.helper}}}`, node.offset, node.length);
+            } else {
+                top.block.inverse = { type: 'Program', body: [], offset: node.offset };
+                current = top.block.inverse.body;
+
+                // {{else if ...}} opens a chained block inside the inverse section
+                if (node.helper) {
+                    const chained = {
+                        type: 'Block',
+                        helper: node.helper,
+                        params: node.params,
+                        hash: node.hash,
+                        program: { type: 'Program', body: [] },
+                        inverse: null,
+                        offset: node.offset,
+                        length: 0,
+                        openLength: node.length
+                    };
+                    current.push(chained);
+                    stack.push({ block: chained, chained: true });
+                    current = chained.program.body;
+                }
+            }
+        } else if (node.type === 'CloseBlock') {
+            // {{else if}} chains are closed by the helper of the block that started them
+            let rootIndex = stack.length - 1;
+            while (rootIndex > 0 && stack[rootIndex].chained) rootIndex--;
+            const top = stack[rootIndex];
+
+            if (!top) {
+                error('unexpected-close-block', `{{/${node.helper}}} has no matching opening block`, node.offset, node.length);
+            } else if (top.block.helper !== node.helper) {
+                error('mismatched-block', `{{/${node.helper}}} closes {{#${top.block.helper}}} opened at ${top.block.offset}`, node.offset, node.length);
+            } else {
+                let entry;
+                do {
+                    entry = stack.pop();
+                    entry.block.length = statement.end - entry.block.offset;
+                } while (entry.chained && stack.length > 0);
+
+                const parent = stack[stack.length - 1];
+                current = parent
+                    ? (parent.block.inverse ? parent.block.inverse.body : parent.block.program.body)
+                    : root.body;
+            }
+        } else {
+            current.push(node);
+        }
+    }
+
+    for (const { block, chained } of stack) {
+        if (!chained) {
+            error('unclosed-block', `{{#${block.helper}}} is never closed`, block.offset, block.openLength);
+        }
+    }
+
+    return { ast: root, diagnostics };
+}
+
+/**
+ * Parses one {{...}} statement starting at `start`
+ * Returns { node, end } where node may be null for comments or unrecoverable errors
+ */
+function parseStatement(source, start, error) {
+    if (source.startsWith('{{{', start)) {
+        const close = source.indexOf('}}}', start);
+        const end = close === -1 ? source.length : close + 3;
+        error('unsupported-syntax', 'Triple-stash {{{ }}} is not supported', start, end - start);
+        return { node: null, end };
+    }
+
+    // Comments: {{!-- ... --}} and {{! ... }}
+    if (source.startsWith('{{!--', start)) {
+        const close = source.indexOf('--}}', start);
+        if (close === -1) {
+            error('unclosed-mustache', 'Comment is never closed', start, source.length - start);
+            return { node: null, end: source.length };
+        }
+        return { node: null, end: close + 4 };
+    }
+    if (source.startsWith('{{!', start)) {
+        const close = source.indexOf('}}', start);
+        if (close === -1) {
+            error('unclosed-mustache', 'Comment is never closed', start, source.length - start);
+            return { node: null, end: source.length };
+        }
+        return { node: null, end: close + 2 };
+    }
+
+    let pos = start + 2;
+    if (source[pos] === '~') pos++;
+
+    const sigil = source[pos];
+    if (sigil === '#' || sigil === '/') pos++;
+
+    if (sigil === '#' && (source[pos] === '>' || source[pos] === '*')) {
+        const close = source.indexOf('}}', pos);
+        const end = close === -1 ? source.length : close + 2;
+        error('unsupported-syntax', 'Partial blocks and decorators are not supported', start, end - start);
+        return { node: null, end };
+    }
+    if (sigil === '>' || sigil === '&' || sigil === '^') {
+        const close = source.indexOf('}}', pos);
+        const end = close === -1 ? source.length : close + 2;
+        error('unsupported-syntax', `'{{${sigil}' is not supported`, start, end - start);
+        return { node: null, end };
+    }
+
+    const lexed = tokenize(source, pos);
+    if (lexed.error) {
+        error(lexed.error.code, lexed.error.message, lexed.error.offset, lexed.error.length);
+        return { node: null, end: lexed.end };
+    }
+
+    const { tokens, end } = lexed;
+    const length = end - start;
+
+    if (tokens.length === 0) {
+        error('empty-mustache', 'Empty {{ }} expression', start, length);
+        return { node: null, end };
+    }
+
+    if (sigil === '/') {
+        if (tokens.length !== 1 || tokens[0].type !== 'ID') {
+            error('invalid-close-block', 'Closing block must name a single helper', start, length);
+            return { node: null, end };
+        }
+        return { node: { type: 'CloseBlock', helper: tokens[0].value, offset: start, length }, end };
+    }
+
+    const cursor = { tokens, index: 0 };
+
+    if (sigil !== '#' && tokens[0].type === 'ID' && tokens[0].value === 'else') {
+        cursor.index = 1;
+        if (tokens.length === 1) {
+            return { node: { type: 'Else', offset: start, length }, end };
+        }
+        const call = parseCall(cursor, error);
+        if (!call) return { node: null, end };
+        return {
+            node: { type: 'Else', helper: call.path.original, params: call.params, hash: call.hash, offset: start, length },
+            end
+        };
+    }
+
+    const call = parseCall(cursor, error);
+    if (!call) return { node: null, end };
+
+    if (cursor.index < tokens.length) {
+        const token = tokens[cursor.index];
+        error('unexpected-token', `Unexpected '${token.raw}'`, token.offset, token.raw.length);
+        return { node: null, end };
+    }
+
+    if (sigil === '#') {
+        return {
+            node: { type: 'OpenBlock', helper: call.path.original, params: call.params, hash: call.hash, offset: start, length },
+            end
+        };
+    }
+
+    return {
+        node: { type: 'Mustache', path: call.path, params: call.params, hash: call.hash, offset: start, length },
+        end
+    };
+}
+
+/**
+ * Parses "name param param key=value" from the token cursor
+ */
+function parseCall(cursor, error, closeToken) {
+    const head = cursor.tokens[cursor.index];
+
+    if (!head || head.type === closeToken) {
+        const offset = head ? head.offset : 0;
+        error('empty-expression', 'Expected a helper or variable name', offset, 1);
+        return null;
+    }
+
+    let path;
+    if (head.type === 'ID') {
+        path = { type: 'Path', original: head.value, offset: head.offset, length: head.raw.length };
+        cursor.index++;
+    } else if (head.type === 'OPEN_SEXPR') {
+        error('unexpected-token', 'Sub-expression cannot be used as a helper name', head.offset, 1);
+        return null;
+    } else {
+        path = parseValue(cursor, error);
+        if (!path) return null;
+        return { path, params: [], hash: [] };
+    }
+
+    const params = [];
+    const hash = [];
+
+    while (cursor.index < cursor.tokens.length) {
+        const token = cursor.tokens[cursor.index];
+        if (token.type === closeToken) break;
+
+        const next = cursor.tokens[cursor.index + 1];
+        if (token.type === 'ID' && next && next.type === 'EQUALS') {
+            cursor.index += 2;
+            const value = parseValue(cursor, error);
+            if (!value) return null;
+            hash.push({ type: 'HashPair', key: token.value, value, offset: token.offset });
+            continue;
+        }
+
+        const value = parseValue(cursor, error);
+        if (!value) return null;
+        params.push(value);
+    }
+
+    return { path, params, hash };
+}
+
+/**
+ * Parses a single parameter: path, literal or (sub-expression)
+ */
+function parseValue(cursor, error) {
+    const token = cursor.tokens[cursor.index];
+    if (!token) return null;
+
+    cursor.index++;
+
+    switch (token.type) {
+        case 'ID':
+            return { type: 'Path', original: token.value, offset: token.offset, length: token.raw.length };
+        case 'STRING':
+            return { type: 'String', value: token.value, offset: token.offset, length: token.raw.length };
+        case 'NUMBER':
+            return { type: 'Number', value: Number(token.value), offset: token.offset, length: token.raw.length };
+        case 'BOOLEAN':
+            return { type: 'Boolean', value: token.value === 'true', offset: token.offset, length: token.raw.length };
+        case 'OPEN_SEXPR': {
+            const call = parseCall(cursor, error, 'CLOSE_SEXPR');
+            if (!call) return null;
+            const close = cursor.tokens[cursor.index];
+            if (!close || close.type !== 'CLOSE_SEXPR') {
+                error('unclosed-subexpression', "Sub-expression is missing ')'", token.offset, 1);
+                return null;
+            }
+            cursor.index++;
+            return {
+                type: 'SubExpression',
+                path: call.path,
+                params: call.params,
+                hash: call.hash,
+                offset: token.offset,
+                length: close.offset + 1 - token.offset
+            };
+        }
+        default:
+            error('unexpected-token', `Unexpected '${token.raw}'`, token.offset, token.raw.length);
+            return null;
+    }
+}
+
+/**
+ * Splits the inside of a mustache into tokens, stopping at '}}' (or '~}}')
+ * Returns { tokens, end } or { error, end }
+ */
+function tokenize(source, start) {
+    const tokens = [];
+    let pos = start;
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        if (source.startsWith('~}}', pos)) return { tokens, end: pos + 3 };
+        if (source.startsWith('}}', pos)) return { tokens, end: pos + 2 };
+
+        if (source.startsWith('{{', pos)) {
+            return {
+                error: { code: 'unclosed-mustache', message: "Expression is missing '}}'", offset: start - 2, length: pos - start + 2 },
+                end: pos
+            };
+        }
+
+        if (ch === '(') {
+            tokens.push({ type: 'OPEN_SEXPR', raw: ch, offset: pos });
+            pos++;
+            continue;
+        }
+        if (ch === ')') {
+            tokens.push({ type: 'CLOSE_SEXPR', raw: ch, offset: pos });
+            pos++;
+            continue;
+        }
+        if (ch === '=') {
+            tokens.push({ type: 'EQUALS', raw: ch, offset: pos });
+            pos++;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let end = pos + 1;
+            let value = '';
+            while (end < source.length && source[end] !== ch) {
+                if (source[end] === '\\' && source[end + 1] === ch) {
+                    value += ch;
+                    end += 2;
+                    continue;
+                }
+                value += source[end];
+                end++;
+            }
+            if (end >= source.length) {
+                return {
+                    error: { code: 'unterminated-string', message: 'String literal is never closed', offset: pos, length: source.length - pos },
+                    end: source.length
+                };
+            }
+            tokens.push({ type: 'STRING', value, raw: source.substring(pos, end + 1), offset: pos });
+            pos = end + 1;
+            continue;
+        }
+
+        const match = /^[^\s(){}=~"']+/.exec(source.substring(pos));
+        if (!match) {
+            return {
+                error: { code: 'unexpected-character', message: `Unexpected '${ch}'`, offset: pos, length: 1 },
+                end: pos + 1
+            };
+        }
+
+        const raw = match[0];
+        let type = 'ID';
+        if (/^-?\d+(\.\d+)?$/.test(raw)) type = 'NUMBER';
+        else if (raw === 'true' || raw === 'false') type = 'BOOLEAN';
+
+        tokens.push({ type, value: raw, raw, offset: pos });
+        pos += raw.length;
+    }
+
+    return {
+        error: { code: 'unclosed-mustache', message: "Expression is missing '}}'", offset: start - 2, length: source.length - start + 2 },
+        end: source.length
+    };
+}
+
+/**
+ * Validates a template against the helper allowlist and known variables
+ * Options: { variables: string[], helpers: { name: [min, max] } }
+ */
+function validateHandlebars(source, options = {}) {
+    if (typeof source !== 'string') {
+        return {
+            valid: false,
+            ast: null,
+            diagnostics: [{ severity: 'error', code: 'invalid-input', message: 'Template must be a string', offset: 0, length: 0 }]
+        };
+    }
+
+    const helpers = options.helpers || HELPERS;
+    const variables = new Set(options.variables || getPlaceholderRegistry().variables());
+    const { ast, diagnostics } = parseHandlebars(source);
+
+    const report = (severity, code, message, node) =>
+        diagnostics.push({ severity, code, message, offset: node.offset, length: node.length });
+
+    const checkCall = (call) => {
+        const name = call.path.original;
+        const arity = helpers[name];
+
+        if (!arity) {
+            report('error', 'unknown-helper', `Unknown helper '${name}'`, call.path);
+        } else if (call.params.length < arity[0] || call.params.length > arity[1]) {
+            const expected = arity[0] === arity[1] ? `${arity[0]}` : `at least ${arity[0]}`;
+            report('error', 'invalid-arity', `${name} expects ${expected} argument(s), got ${call.params.length}`, call.path);
+        }
+
+        call.params.forEach(checkValue);
+        checkHash(call.hash);
+    };
+
+    const checkHash = (hash) => {
+        for (const pair of hash || []) {
+            report('warning', 'unsupported-hash', `Hash argument '${pair.key}=' is not supported`, { offset: pair.offset, length: pair.key.length + 1 });
+            checkValue(pair.value);
+        }
+    };
+
+    const checkValue = (value) => {
+        if (value.type === 'Path') {
+            if (!variables.has(value.original)) {
+                report('error', 'unknown-variable', `Unknown variable '${value.original}'`, value);
+            }
+        } else if (value.type === 'SubExpression') {
+            checkCall(value);
+        } else if (value.type === 'String' && PSEUDOCODE_PATTERN.test(value.value)) {
+            report('error', 'unconverted-pseudocode', 'String contains unconverted IF/ELSE pseudocode', value);
+        }
+    };
+
+    const visit = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'Text') {
+                if (PSEUDOCODE_PATTERN.test(node.value)) {
+                    report('error', 'unconverted-pseudocode', 'Text contains unconverted IF/ELSE pseudocode', node);
+                }
+            } else if (node.type === 'Mustache') {
+                if (node.params.length > 0 || helpers[node.path.original]) {
+                    checkCall(node);
+                } else {
+                    checkValue(node.path);
+                    checkHash(node.hash);
+                }
+            } else if (node.type === 'Block') {
+                if (!BLOCK_HELPERS.includes(node.helper)) {
+                    report('error', 'unknown-block-helper', `Unknown block helper '#${node.helper}'`, { offset: node.offset, length: node.openLength });
+                } else if (node.params.length !== 1) {
+                    report('error', 'invalid-arity', `#${node.helper} expects 1 argument, got ${node.params.length}`, { offset: node.offset, length: node.openLength });
+                }
+                node.params.forEach(checkValue);
+                checkHash(node.hash);
+                visit(node.program.body);
+                if (node.inverse) visit(node.inverse.body);
+            }
+        }
+    };
+
+    visit(ast.body);
+
+    diagnostics.sort((a, b) => a.offset - b.offset);
+
+    return {
+        valid: !diagnostics.some(d => d.severity === 'error'),
+        ast,
+        diagnostics
+    };
+}
+
+/**
+ * Formats a diagnostic for logs and error messages
+ */
+function formatDiagnostic(diagnostic) {
+    return `${diagnostic.code} at ${diagnostic.offset}: ${diagnostic.message}`;
+}
+
+module.exports = {
+    HELPERS,
+    BLOCK_HELPERS,
+    parseHandlebars,
+    validateHandlebars,
+    formatDiagnostic
+};
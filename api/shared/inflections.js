@@ -0,0 +1,192 @@
+/**
+ * Inflections
+ * Finds gender alternations (him/her, il/elle, er/sie) and count-based plurals
+ * (1 message/messages, [Unread count] message/messages) for the pattern converter,
+ * driven by the per-language table in api/config/inflections.json
+ *
+ * Config location (in priority order):
+ * 1. INFLECTION_CONFIG_PATH app setting
+ * 2. api/config/inflections.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'inflections.json');
+
+// "word/word" with no letters or slashes directly around it
+const SLASH_PAIR_PATTERN = /(?<![\p{L}\/])(\p{L}+)\s*\/\s*(\p{L}+)(?![\p{L}\/])/gu;
+
+// Count directly before a slash pair: a number or a placeholder
+const COUNT_PATTERN = /(?:(\d+)|(\[[^\]]+\]|<[^>]+>))\s+$/;
+
+let cachedConfig = null;
+
+/**
+ * Reads the inflection table (cached for the default file)
+ */
+function loadInflectionConfig(configPath) {
+    if (!configPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    const filePath = configPath || process.env.INFLECTION_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!configPath) {
+        cachedConfig = config;
+    }
+
+    return config;
+}
+
+/**
+ * Returns the gender pairs and plural rule for a language code (e.g. "fr-FR")
+ * Falls back to the base language; other languages get no gender pairs, since one
+ * language's pair can be ordinary words in another
+ */
+function getInflectionTable(language, config) {
+    config = config || loadInflectionConfig();
+
+    const gender = config.gender || { languages: {} };
+    const plural = config.plural || { languages: {} };
+
+    const genderPairs = lookupLanguage(gender.languages, language) || [];
+    const pluralRule = lookupLanguage(plural.languages, language);
+
+    return {
+        genderVariable: gender.variable || 'localVars.gender',
+        femaleValue: gender.femaleValue || 'Female',
+        genderPairs,
+        singularCounts: (pluralRule && pluralRule.singularCounts) || plural.defaultSingularCounts || [1],
+        pluralSuffixes: (pluralRule && pluralRule.suffixes) || plural.defaultSuffixes || [],
+        pluralNouns: ((pluralRule && pluralRule.nouns) || []).map(([singular, pluralForm]) => [singular.toLowerCase(), pluralForm.toLowerCase()])
+    };
+}
+
+/**
+ * Finds a language entry by exact tag, then by base language, case-insensitively
+ */
+function lookupLanguage(languages, language) {
+    if (!language || !languages) return null;
+
+    const keys = Object.keys(languages);
+    const exact = keys.find(key => key.toLowerCase() === language.toLowerCase());
+    if (exact) return languages[exact];
+
+    const base = language.split(/[-_]/)[0].toLowerCase();
+    const baseKey = keys.find(key => key.toLowerCase() === base);
+    return baseKey ? languages[baseKey] : null;
+}
+
+/**
+ * Finds gender and plural alternations in text
+ * Returns [{ start, end, kind, replacement }] where replacement is Handlebars or plain text
+ */
+function findInflections(text, table, registry) {
+    const inflections = [];
+
+    for (const match of text.matchAll(SLASH_PAIR_PATTERN)) {
+        const [pair, first, second] = match;
+        const start = match.index;
+        const end = start + pair.length;
+
+        const gender = matchGenderPair(first, second, table.genderPairs);
+        if (gender) {
+            inflections.push({
+                start,
+                end,
+                kind: 'gender',
+                replacement: renderConditional(
+                    `(String.Equal (Object.ToString ${table.genderVariable}) "${table.femaleValue}")`,
+                    gender.female,
+                    gender.male
+                )
+            });
+            continue;
+        }
+
+        // "1 km/h" or "24 hours/day" are not plurals; only singular/plural noun pairs are
+        const count = COUNT_PATTERN.exec(text.substring(0, start));
+        if (!count || !isPluralPair(first, second, table)) continue;
+
+        if (count[1] !== undefined) {
+            // Literal number: pick the form now
+            const singular = table.singularCounts.includes(Number(count[1]));
+            inflections.push({ start, end, kind: 'plural', replacement: singular ? first : second });
+            continue;
+        }
+
+        const countVariable = registry.resolve(count[2]);
+        if (!countVariable) continue;
+
+        inflections.push({
+            start,
+            end,
+            kind: 'plural',
+            replacement: renderPlural(countVariable, table.singularCounts, first, second)
+        });
+    }
+
+    return inflections;
+}
+
+/**
+ * Matches a slash pair against the gender table in either order. Both forms take the
+ * casing of the first word, so "His/her" gives "Her" and "His"
+ */
+function matchGenderPair(first, second, pairs) {
+    const a = first.toLowerCase();
+    const b = second.toLowerCase();
+
+    for (const pair of pairs) {
+        if (pair.male === a && pair.female === b) return { male: matchCase(first, first), female: matchCase(second, first) };
+        if (pair.female === a && pair.male === b) return { male: matchCase(second, first), female: matchCase(first, first) };
+    }
+
+    return null;
+}
+
+/**
+ * Applies the casing of model (UPPER, Capitalized or lower) to word
+ */
+function matchCase(word, model) {
+    const lower = word.toLowerCase();
+    if (model.length > 1 && model === model.toUpperCase()) return lower.toUpperCase();
+    if (model[0] !== model[0].toLowerCase()) return lower[0].toUpperCase() + lower.slice(1);
+    return lower;
+}
+
+/**
+ * Whether a slash pair is a singular/plural noun: listed in the language's nouns, or the
+ * second word is the first plus one of the language's plural suffixes (message/messages)
+ */
+function isPluralPair(first, second, table) {
+    const singular = first.toLowerCase();
+    const pluralForm = second.toLowerCase();
+
+    if (table.pluralNouns.some(([a, b]) => a === singular && b === pluralForm)) return true;
+    return table.pluralSuffixes.some(suffix => pluralForm === singular + suffix.toLowerCase());
+}
+
+/**
+ * Singular when the count equals any of the language's singular counts
+ */
+function renderPlural(variable, singularCounts, singular, pluralForm) {
+    return singularCounts.reduceRight((inverse, count) => renderConditional(
+        `(String.Equal (Object.ToString ${variable}) "${count}")`,
+        singular,
+        inverse
+    ), pluralForm);
+}
+
+function renderConditional(condition, consequent, alternate) {
+    return `{{#if ${condition}}}${consequent}{{else}}${alternate}{{/if}}`;
+}
+
+module.exports = {
+    loadInflectionConfig,
+    getInflectionTable,
+    isPluralPair,
+    findInflections
+};
@@ -0,0 +1,187 @@
+/**
+ * Job Runner
+ * Advances a stored conversion job by one time slice: converts the keys that are not
+ * done yet in chunks, appending each finished key to the job's results as it is
+ * ready, until the slice runs out, the job is cancelled or every key is done.
+ *
+ * A slice stays well inside the function timeout, so a large batch is converted over
+ * several requests. A job is 'running' during a slice and 'paused' between slices.
+ * Interrupted slices lose at most the keys still in flight; the next run starts from
+ * the keys missing from the results.
+ *
+ * App settings:
+ * - JOB_SLICE_SECONDS (default: 25): how long one request converts before returning
+ * - JOB_CHUNK_SIZE (default: 10): keys converted together between cancellation checks
+ * - JOB_STREAM_WAIT_SECONDS (default: 5): how long a stream request waits for new keys
+ */
+
+const crypto = require('crypto');
+const { convertTexts } = require('./converter');
+const { getGlossary, parseGlossaryRows } = require('./glossary');
+const { getJobStore } = require('./jobStore');
+
+const DEFAULT_SLICE_SECONDS = 25;
+const DEFAULT_CHUNK_SIZE = 10;
+const DEFAULT_STREAM_WAIT_SECONDS = 5;
+
+// A lease outlives its slice by this much so a slow last chunk keeps it
+const LEASE_GRACE_MS = 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// A slice may only start from these; 'running' is left behind by an interrupted slice
+const RUNNABLE_STATUSES = ['queued', 'paused', 'running'];
+
+function getJobSettings() {
+    return {
+        sliceMs: (Number(process.env.JOB_SLICE_SECONDS) || DEFAULT_SLICE_SECONDS) * 1000,
+        chunkSize: Math.max(1, Number(process.env.JOB_CHUNK_SIZE) || DEFAULT_CHUNK_SIZE),
+        streamWaitMs: (Number(process.env.JOB_STREAM_WAIT_SECONDS) || DEFAULT_STREAM_WAIT_SECONDS) * 1000
+    };
+}
+
+/**
+ * Counts over finished-key records; a key recorded twice counts once (last record wins)
+ */
+function countResults(records, total) {
+    const latest = new Map();
+    for (const record of records) {
+        latest.set(record.key, record);
+    }
+
+    const counts = { total, done: latest.size, converted: 0, failed: 0 };
+    for (const record of latest.values()) {
+        if (record.status === 'converted') counts.converted++;
+        else counts.failed++;
+    }
+    return { counts, done: new Set(latest.keys()) };
+}
+
+/**
+ * Public view of a job (no input, options or caller limits)
+ */
+function describeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt,
+        mode: job.options.mode,
+        counts: job.counts,
+        cache: job.cache,
+        usage: job.usage
+    };
+}
+
+/**
+ * Converts pending keys of a job for one slice
+ * Options: { apiKey, provider, quota, onItem(record, counts), settings }
+ * Returns { job, usage, processed, busy } - busy when another request holds the job
+ */
+async function runJob(jobId, options, context, store = getJobStore()) {
+    const { apiKey = null, provider, quota = null, onItem } = options;
+    const { sliceMs, chunkSize } = options.settings || getJobSettings();
+    const usage = { aiCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + sliceMs;
+
+    let job = await store.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+        return { job, usage, processed: 0, busy: false };
+    }
+
+    if (!await store.acquireLease(jobId, owner, sliceMs + LEASE_GRACE_MS)) {
+        return { job, usage, processed: 0, busy: true };
+    }
+
+    let processed = 0;
+    try {
+        const input = await store.getInput(jobId);
+        const records = await store.readResults(jobId);
+        const { counts, done } = countResults(records, job.keys.length);
+        let seq = records.reduce((max, record) => Math.max(max, record.seq), 0);
+
+        // Compare-and-set: a cancel that landed since the job was read is kept
+        job = await store.update(jobId, current => RUNNABLE_STATUSES.includes(current.status)
+            ? { status: 'running', counts }
+            : {});
+        if (job.status !== 'running') {
+            return { job, usage, processed, busy: false };
+        }
+
+        const pending = job.keys.filter(key => !done.has(key));
+        context.log(`🧾 Job ${jobId}: ${pending.length} of ${counts.total} keys left`);
+
+        const glossary = getGlossary(parseGlossaryRows(input.glossary));
+        const cache = { ...job.cache };
+
+        for (let start = 0; start < pending.length && Date.now() < deadline; start += chunkSize) {
+            // Cancelling is a separate request; it takes effect between chunks
+            job = await store.get(jobId);
+            if (!job || job.status === 'cancelled') break;
+
+            const chunk = {};
+            for (const key of pending.slice(start, start + chunkSize)) {
+                chunk[key] = input.texts[key];
+            }
+
+            const conversion = await convertTexts(chunk, {
+                ...job.options,
+                apiKey,
+                provider,
+                jsonContext: input.jsonContext,
+                excelContext: input.excelContext,
+                glossary,
+                quota: quota && {
+                    aiCalls: Math.max(0, quota.aiCalls - usage.aiCalls),
+                    tokens: Math.max(0, quota.tokens - usage.totalTokens)
+                },
+                onItem: async (key, item) => {
+                    const record = { seq: ++seq, key, ...item };
+                    await store.appendResults(jobId, [record]);
+                    counts.done++;
+                    counts[item.status === 'converted' ? 'converted' : 'failed']++;
+                    processed++;
+                    if (onItem) await onItem(record, { ...counts });
+                }
+            }, context);
+
+            for (const name of Object.keys(usage)) {
+                usage[name] += conversion.usage[name];
+            }
+            for (const name of Object.keys(cache)) {
+                cache[name] += conversion.cache[name];
+            }
+
+            job = await store.update(jobId, current => ({
+                counts: { ...counts },
+                cache: { ...cache },
+                usage: Object.fromEntries(Object.keys(usage).map(name => [name, current.usage[name] + conversion.usage[name]]))
+            }));
+            await store.renewLease(jobId, owner, sliceMs + LEASE_GRACE_MS);
+        }
+
+        if (counts.done >= counts.total) {
+            job = await store.update(jobId, current => current.status === 'cancelled'
+                ? {}
+                : { status: 'completed', completedAt: new Date().toISOString() });
+            context.log(`✅ Job ${jobId} completed: ${counts.converted} converted, ${counts.failed} failed`);
+        } else if (job) {
+            // Pollers see the job waiting for the next run, not a slice that has ended
+            job = await store.update(jobId, current => current.status === 'running' ? { status: 'paused' } : {});
+        }
+    } finally {
+        await store.releaseLease(jobId, owner);
+    }
+
+    return { job, usage, processed, busy: false };
+}
+
+module.exports = {
+    FINISHED_STATUSES,
+    getJobSettings,
+    countResults,
+    describeJob,
+    runJob
+};
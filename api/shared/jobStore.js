@@ -0,0 +1,247 @@
+/**
+ * Job Store
+ * Persists conversion jobs so large batches can be converted over several requests,
+ * polled, cancelled and resumed. Each finished key is appended as soon as it is
+ * ready, so an interrupted request never loses or redoes finished keys.
+ *
+ * Layout under JOB_STORE_DIR (default: <tmp>/crm-translation-jobs):
+ *   <jobId>/job.json        status, options and counts (replaced atomically)
+ *   <jobId>/input.json      the submitted texts, document context and glossary rows
+ *   <jobId>/results.ndjson  one record per finished key, append-only
+ *   <jobId>/lease.json      held by the request that is converting the job
+ *
+ * Jobs expire JOB_TTL_HOURS (default: 24) after their last update.
+ * API keys are never written to the store; a job keeps only the hash of its read token.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TTL_HOURS = 24;
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+let defaultStore;
+
+function isJobId(id) {
+    return JOB_ID_PATTERN.test(String(id || ''));
+}
+
+/**
+ * Creates a file-backed job store
+ */
+function createFileJobStore({ directory, ttlMs }) {
+    const jobPath = (id, file) => {
+        if (!isJobId(id)) throw new Error(`Invalid job id '${id}'`);
+        return path.join(directory, id, file);
+    };
+
+    // Writes to one job are chained so concurrent workers never interleave them
+    const queues = new Map();
+    const serialize = (id, task) => {
+        const run = (queues.get(id) || Promise.resolve()).then(task);
+        const settled = run.catch(() => {});
+        queues.set(id, settled);
+        settled.then(() => {
+            if (queues.get(id) === settled) queues.delete(id);
+        });
+        return run;
+    };
+
+    const readJson = async (file) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const writeJson = async (file, value) => {
+        // Write then rename so readers never see a partial file
+        const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(value));
+        await fs.promises.rename(temp, file);
+    };
+
+    const store = {
+        directory,
+        ttlMs,
+
+        /**
+         * Creates a job from { options, caller, readTokenHash } and its input ({ texts, ... });
+         * returns the job. The input is stored apart from job.json, which is rewritten as the
+         * job advances
+         */
+        async create({ options, caller, readTokenHash = null }, input) {
+            const texts = input.texts;
+            const id = crypto.randomUUID();
+            const now = new Date().toISOString();
+            const job = {
+                id,
+                status: 'queued',
+                createdAt: now,
+                updatedAt: now,
+                completedAt: null,
+                caller,
+                readTokenHash,
+                options,
+                keys: Object.keys(texts),
+                counts: { total: Object.keys(texts).length, done: 0, converted: 0, failed: 0 },
+                cache: { hits: 0, misses: 0, deduplicated: 0 },
+                usage: { aiCalls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+            };
+
+            await fs.promises.mkdir(path.join(directory, id), { recursive: true });
+            await writeJson(jobPath(id, 'input.json'), input);
+            await writeJson(jobPath(id, 'job.json'), job);
+            return job;
+        },
+
+        /**
+         * Returns the job, or null when it does not exist or has expired
+         */
+        async get(id) {
+            if (!isJobId(id)) return null;
+            const job = await readJson(jobPath(id, 'job.json'));
+            if (!job) return null;
+            if (Date.parse(job.updatedAt) + ttlMs <= Date.now()) return null;
+            return job;
+        },
+
+        async getInput(id) {
+            return await readJson(jobPath(id, 'input.json')) || { texts: {} };
+        },
+
+        /**
+         * Applies update(job) → changes to the stored job; returns the updated job
+         */
+        update(id, update) {
+            return serialize(id, async () => {
+                const job = await readJson(jobPath(id, 'job.json'));
+                if (!job) throw new Error(`Job ${id} not found`);
+                const changes = typeof update === 'function' ? update(job) : update;
+                const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+                await writeJson(jobPath(id, 'job.json'), updated);
+                return updated;
+            });
+        },
+
+        /**
+         * Appends finished-key records ({ seq, key, ... }) to the results log
+         */
+        appendResults(id, records) {
+            return serialize(`${id}:results`, () => fs.promises.appendFile(
+                jobPath(id, 'results.ndjson'),
+                records.map(record => JSON.stringify(record) + '\n').join(''),
+                { flag: 'a' }
+            ));
+        },
+
+        /**
+         * Records with seq greater than after, in seq order; a torn last line is ignored
+         */
+        async readResults(id, after = 0) {
+            let content;
+            try {
+                content = await fs.promises.readFile(jobPath(id, 'results.ndjson'), 'utf8');
+            } catch (error) {
+                return [];
+            }
+
+            const records = [];
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    if (record.seq > after) records.push(record);
+                } catch (error) {
+                    // Partial line from an interrupted append
+                }
+            }
+            return records.sort((a, b) => a.seq - b.seq);
+        },
+
+        /**
+         * Takes the job's lease for leaseMs; false while another request holds a live one
+         */
+        async acquireLease(id, owner, leaseMs) {
+            const file = jobPath(id, 'lease.json');
+            const lease = { owner, expiresAt: Date.now() + leaseMs };
+
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    await fs.promises.writeFile(file, JSON.stringify(lease), { flag: 'wx' });
+                    return true;
+                } catch (error) {
+                    if (error.code !== 'EEXIST') throw error;
+                    const current = await readJson(file);
+                    if (current && current.expiresAt > Date.now() && current.owner !== owner) return false;
+                    // Stale lease from an interrupted request
+                    await fs.promises.unlink(file).catch(() => {});
+                }
+            }
+            return false;
+        },
+
+        async renewLease(id, owner, leaseMs) {
+            const file = jobPath(id, 'lease.json');
+            const current = await readJson(file);
+            if (!current || current.owner !== owner) return false;
+            await writeJson(file, { owner, expiresAt: Date.now() + leaseMs });
+            return true;
+        },
+
+        async releaseLease(id, owner) {
+            const file = jobPath(id, 'lease.json');
+            const current = await readJson(file);
+            if (current && current.owner === owner) {
+                await fs.promises.unlink(file).catch(() => {});
+            }
+        },
+
+        /**
+         * Deletes expired jobs; returns the number removed
+         */
+        async prune() {
+            let removed = 0;
+            const ids = await fs.promises.readdir(directory).catch(() => []);
+            for (const id of ids.filter(isJobId)) {
+                const job = await readJson(path.join(directory, id, 'job.json'));
+                if (job && Date.parse(job.updatedAt) + ttlMs > Date.now()) continue;
+
+                // A job being created has its folder before its job.json; only folders left
+                // behind for longer than the TTL are removed
+                if (!job) {
+                    const stats = await fs.promises.stat(path.join(directory, id)).catch(() => null);
+                    if (!stats || stats.mtimeMs + ttlMs > Date.now()) continue;
+                }
+                await fs.promises.rm(path.join(directory, id), { recursive: true, force: true });
+                removed++;
+            }
+            return removed;
+        }
+    };
+
+    return store;
+}
+
+/**
+ * Returns the job store configured by app settings
+ */
+function getJobStore() {
+    if (!defaultStore) {
+        const ttlHours = Number(process.env.JOB_TTL_HOURS) || DEFAULT_TTL_HOURS;
+        defaultStore = createFileJobStore({
+            directory: process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'crm-translation-jobs'),
+            ttlMs: ttlHours * 60 * 60 * 1000
+        });
+    }
+    return defaultStore;
+}
+
+module.exports = {
+    isJobId,
+    createFileJobStore,
+    getJobStore
+};
@@ -0,0 +1,398 @@
+/**
+ * LLM Providers
+ * Adapters that send an OpenAI-style chat completion to a configured backend
+ *
+ * Providers (Provider request field, or AI_PROVIDER app setting):
+ * - openai: api.openai.com, Bearer key
+ * - azure:  Azure OpenAI, api-key header and /openai/deployments/{deployment}?api-version= URL
+ * - local:  OpenAI-compatible local server (Ollama, llama.cpp), key optional
+ * - fake:   no network; canned responses for tests, only with AI_FAKE_ENABLED=true
+ *
+ * When no provider is named, an *.openai.azure.com endpoint selects azure,
+ * otherwise openai is used.
+ *
+ * Requests choose only among what App Settings allow (getRequestLlmProvider): providers
+ * in AI_ALLOWED_PROVIDERS (default: AI_PROVIDER, else openai and azure) and endpoints
+ * that are configured or in AI_ALLOWED_ENDPOINTS (isEndpointAllowed), whoever's key is
+ * used, so a request cannot make the function app post to an address of its choosing.
+ *
+ * Every provider exposes:
+ * { name, modelId, requiresApiKey, send(payload, apiKey, timeoutMs) → { statusCode, headers, body } }
+ * where payload is { messages, model, temperature, maxTokens, input } and body is an
+ * OpenAI chat completion JSON string
+ */
+
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+
+const PROVIDERS = ['openai', 'azure', 'local', 'fake'];
+const DEFAULT_REQUEST_PROVIDERS = ['openai', 'azure'];
+
+const OPENAI_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+const LOCAL_ENDPOINT = 'http://localhost:11434/v1/chat/completions';
+const AZURE_API_VERSION = '2024-06-01';
+const AZURE_HOST_PATTERN = /\.(openai|cognitiveservices)\.azure\.com$/i;
+
+/**
+ * Creates the provider for a request
+ * Options: { provider, endpoint, model, deployment, apiVersion }; unset values fall
+ * back to app settings
+ * Throws for unknown providers or an incomplete Azure configuration
+ */
+function getLlmProvider(options = {}, defaultModel = 'gpt-4o-mini') {
+    const name = resolveProviderName(options.provider, options.endpoint);
+
+    switch (name) {
+        case 'openai':
+            return createOpenAiProvider({
+                endpoint: options.endpoint || process.env.OPENAI_ENDPOINT,
+                model: options.model || defaultModel
+            });
+        case 'azure':
+            return createAzureProvider({
+                endpoint: options.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+                deployment: options.deployment || process.env.AZURE_OPENAI_DEPLOYMENT || options.model,
+                apiVersion: options.apiVersion || process.env.AZURE_OPENAI_API_VERSION
+            });
+        case 'local':
+            return createLocalProvider({
+                endpoint: options.endpoint || process.env.LOCAL_AI_ENDPOINT,
+                model: options.model || process.env.LOCAL_AI_MODEL || defaultModel
+            });
+        case 'fake':
+            if (String(process.env.AI_FAKE_ENABLED).toLowerCase() !== 'true') {
+                throw new Error('The fake AI provider is for tests; set AI_FAKE_ENABLED=true to use it');
+            }
+            return createFakeProvider({ responsesPath: process.env.AI_FAKE_RESPONSES_PATH });
+    }
+}
+
+/**
+ * Creates the provider for the Provider, Endpoint and Model fields of a request
+ * Throws when the request names a provider or endpoint App Settings do not allow
+ */
+function getRequestLlmProvider(options = {}, defaultModel = 'gpt-4o-mini') {
+    if (options.provider) {
+        const name = resolveProviderName(options.provider);
+        const allowed = getAllowedProviders();
+        if (!allowed.includes(name)) {
+            throw new Error(`AI provider '${name}' is not enabled on this server. Use one of: ${allowed.join(', ')}`);
+        }
+    }
+
+    if (options.endpoint && !isEndpointAllowed(options.endpoint)) {
+        throw new Error('Endpoint is not allowed on this server; its origin must be configured or listed in AI_ALLOWED_ENDPOINTS');
+    }
+
+    return getLlmProvider(options, defaultModel);
+}
+
+/**
+ * Providers a request may name: AI_ALLOWED_PROVIDERS, else AI_PROVIDER, else openai and azure
+ */
+function getAllowedProviders() {
+    const configured = String(process.env.AI_ALLOWED_PROVIDERS || process.env.AI_PROVIDER || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_REQUEST_PROVIDERS;
+}
+
+/**
+ * Explicit provider, then AI_PROVIDER, then detection from the endpoint host
+ */
+function resolveProviderName(provider, endpoint) {
+    const explicit = String(provider || process.env.AI_PROVIDER || '').trim().toLowerCase();
+
+    if (explicit) {
+        if (!PROVIDERS.includes(explicit)) {
+            throw new Error(`Unknown AI provider '${provider || process.env.AI_PROVIDER}'. Use one of: ${PROVIDERS.join(', ')}`);
+        }
+        return explicit;
+    }
+
+    const configuredEndpoint = endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+    if (configuredEndpoint && isAzureEndpoint(configuredEndpoint)) {
+        return 'azure';
+    }
+
+    return 'openai';
+}
+
+/**
+ * Whether a request may send its AI calls to Endpoint: its origin must be the OpenAI
+ * default, OPENAI_ENDPOINT, AZURE_OPENAI_ENDPOINT, LOCAL_AI_ENDPOINT or one of
+ * AI_ALLOWED_ENDPOINTS
+ */
+function isEndpointAllowed(endpoint) {
+    const origin = toOrigin(endpoint);
+    if (!origin) return false;
+
+    const allowed = [
+        OPENAI_ENDPOINT,
+        process.env.OPENAI_ENDPOINT,
+        process.env.AZURE_OPENAI_ENDPOINT,
+        process.env.LOCAL_AI_ENDPOINT,
+        ...String(process.env.AI_ALLOWED_ENDPOINTS || '').split(',')
+    ];
+    return allowed.some(url => toOrigin(url) === origin);
+}
+
+function toOrigin(url) {
+    if (!url || !String(url).trim()) return null;
+    try {
+        return new URL(String(url).trim()).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isAzureEndpoint(endpoint) {
+    try {
+        return AZURE_HOST_PATTERN.test(new URL(endpoint).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * OpenAI: Bearer authentication, model in the body
+ */
+function createOpenAiProvider({ endpoint, model }) {
+    const url = toChatCompletionsUrl(endpoint || OPENAI_ENDPOINT);
+
+    return {
+        name: 'openai',
+        modelId: model,
+        requiresApiKey: true,
+
+        send(payload, apiKey, timeoutMs) {
+            return postJson(url, {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            }, buildChatBody(payload, model), timeoutMs);
+        }
+    };
+}
+
+/**
+ * Azure OpenAI: api-key header; the deployment in the URL selects the model
+ * The endpoint may be the resource URL (https://name.openai.azure.com) or a full
+ * .../openai/deployments/{deployment}/chat/completions URL
+ */
+function createAzureProvider({ endpoint, deployment, apiVersion }) {
+    if (!endpoint) {
+        throw new Error('Azure OpenAI needs an endpoint (Endpoint field or AZURE_OPENAI_ENDPOINT)');
+    }
+
+    const url = new URL(endpoint);
+    const deploymentMatch = /\/openai\/deployments\/([^/]+)/.exec(url.pathname);
+
+    if (deploymentMatch) {
+        deployment = decodeURIComponent(deploymentMatch[1]);
+        if (!url.pathname.endsWith('/chat/completions')) {
+            url.pathname = `/openai/deployments/${deploymentMatch[1]}/chat/completions`;
+        }
+    } else {
+        if (!deployment) {
+            throw new Error('Azure OpenAI needs a deployment (Model field, AZURE_OPENAI_DEPLOYMENT, or a deployment URL)');
+        }
+        url.pathname = `/openai/deployments/${encodeURIComponent(deployment)}/chat/completions`;
+    }
+
+    if (apiVersion || !url.searchParams.has('api-version')) {
+        url.searchParams.set('api-version', apiVersion || AZURE_API_VERSION);
+    }
+
+    return {
+        name: 'azure',
+        modelId: `azure/${deployment}`,
+        requiresApiKey: true,
+
+        send(payload, apiKey, timeoutMs) {
+            return postJson(url.toString(), {
+                'Content-Type': 'application/json',
+                'api-key': apiKey
+            }, buildChatBody(payload, null), timeoutMs);
+        }
+    };
+}
+
+/**
+ * OpenAI-compatible local server; sends a Bearer key only when one is given
+ */
+function createLocalProvider({ endpoint, model }) {
+    const url = toChatCompletionsUrl(endpoint || LOCAL_ENDPOINT);
+
+    return {
+        name: 'local',
+        modelId: `local/${model}`,
+        requiresApiKey: false,
+
+        send(payload, apiKey, timeoutMs) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            return postJson(url, headers, buildChatBody(payload, model), timeoutMs);
+        }
+    };
+}
+
+/**
+ * Fake provider for tests
+ * Answers from `responses` (input text → output, or → { statusCode, body }), a
+ * JSON file of the same shape at responsesPath, or `respond(payload)`;
+ * otherwise echoes the input text. Sent payloads are recorded in `calls`.
+ */
+function createFakeProvider({ responses, responsesPath, respond } = {}) {
+    const table = responses || (responsesPath ? JSON.parse(fs.readFileSync(responsesPath, 'utf8')) : {});
+    const calls = [];
+
+    return {
+        name: 'fake',
+        modelId: 'fake',
+        requiresApiKey: false,
+        calls,
+
+        async send(payload) {
+            calls.push(payload);
+
+            let answer = respond ? await respond(payload) : undefined;
+            if (answer === undefined) {
+                answer = Object.prototype.hasOwnProperty.call(table, payload.input) ? table[payload.input] : payload.input;
+            }
+
+            if (answer && typeof answer === 'object') {
+                return { statusCode: answer.statusCode || 200, headers: answer.headers || {}, body: answer.body || '' };
+            }
+
+            return {
+                statusCode: 200,
+                headers: {},
+                body: JSON.stringify({ choices: [{ message: { role: 'assistant', content: String(answer) } }] })
+            };
+        }
+    };
+}
+
+/**
+ * Accepts base URLs ending in /v1 for OpenAI-style servers
+ */
+function toChatCompletionsUrl(endpoint) {
+    const url = new URL(endpoint);
+    if (/\/v1\/?$/.test(url.pathname)) {
+        url.pathname = url.pathname.replace(/\/?$/, '/chat/completions');
+    }
+    return url.toString();
+}
+
+function buildChatBody(payload, model) {
+    const body = {
+        messages: payload.messages,
+        temperature: payload.temperature,
+        max_tokens: payload.maxTokens
+    };
+    if (model) body.model = model;
+    return JSON.stringify(body);
+}
+
+/**
+ * Reads the assistant message from an OpenAI chat completion body
+ */
+function parseChatCompletion(body) {
+    const parsed = JSON.parse(body);
+    return parsed.choices?.[0]?.message?.content?.trim() || '';
+}
+
+/**
+ * Reads token usage from an OpenAI chat completion body
+ * Returns { promptTokens, completionTokens, totalTokens } or null when the server sent none
+ */
+function parseUsage(body) {
+    let usage;
+    try {
+        usage = JSON.parse(body).usage;
+    } catch (error) {
+        return null;
+    }
+    if (!usage || typeof usage !== 'object') return null;
+
+    const promptTokens = Number(usage.prompt_tokens) || 0;
+    const completionTokens = Number(usage.completion_tokens) || 0;
+    return { promptTokens, completionTokens, totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens };
+}
+
+/**
+ * POSTs a JSON body; rejects on network errors or when the whole request
+ * takes longer than timeoutMs
+ */
+function postJson(endpoint, headers, body, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(endpoint);
+        const protocol = url.protocol === 'https:' ? https : http;
+
+        const options = {
+            hostname: url.hostname,
+            port: url.port || (url.protocol === 'https:' ? 443 : 80),
+            path: url.pathname + url.search,
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Length': Buffer.byteLength(body)
+            }
+        };
+
+        const req = protocol.request(options, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+            });
+
+            res.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        const timer = setTimeout(() => {
+            req.destroy(createAiError(`AI request timed out after ${timeoutMs}ms`, 'timeout'));
+        }, timeoutMs);
+
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        req.write(body);
+        req.end();
+    });
+}
+
+function createAiError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    PROVIDERS,
+    getLlmProvider,
+    getRequestLlmProvider,
+    getAllowedProviders,
+    resolveProviderName,
+    isEndpointAllowed,
+    createOpenAiProvider,
+    createAzureProvider,
+    createLocalProvider,
+    createFakeProvider,
+    parseChatCompletion,
+    parseUsage,
+    postJson,
+    createAiError
+};
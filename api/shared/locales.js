@@ -0,0 +1,217 @@
+/**
+ * Locales
+ * Maps the language labels found in spreadsheets - BCP-47 tags ("es_ES", "pt-br"),
+ * names ("Español", "German") and legacy CRM codes ("UK") - to the language codes a
+ * CRM document declares in localizedContents
+ *
+ * Resolution, per label:
+ * 1. Legacy code (case-sensitive, so "UK" is English but "uk" stays Ukrainian)
+ * 2. Language name or alias (case- and accent-insensitive)
+ * 3. BCP-47 tag, canonicalized (lowercase language, uppercase region)
+ * Then the first declared code among: the tag, its configured fallbacks
+ * (pt-BR → pt), its base language, and any regional variant of the base (de → de-DE).
+ *
+ * Config location (in priority order):
+ * 1. LOCALE_CONFIG_PATH app setting
+ * 2. api/config/locales.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'locales.json');
+
+const TAG_PATTERN = /^[a-z]{2,3}(?:[-_][a-z0-9]{1,8})*$/i;
+
+let cachedConfig = null;
+
+/**
+ * Reads the locale table (cached for the default file)
+ */
+function loadLocaleConfig(configPath) {
+    if (!configPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    const filePath = configPath || process.env.LOCALE_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!configPath) {
+        cachedConfig = config;
+    }
+
+    return config;
+}
+
+/**
+ * Canonical BCP-47 casing: "PT_br" → "pt-BR", "zh-hant-tw" → "zh-Hant-TW"
+ */
+function normalizeTag(tag) {
+    return String(tag).trim().split(/[-_]/).map((part, index) => {
+        if (index === 0) return part.toLowerCase();
+        if (part.length === 2) return part.toUpperCase();
+        if (part.length === 4 && /^[a-z]+$/i.test(part)) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+        return part.toLowerCase();
+    }).join('-');
+}
+
+/**
+ * Language part of a tag: "pt-BR" → "pt"
+ */
+function baseLanguage(language) {
+    return String(language || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Resolves one label against the declared codes
+ * Returns { input, code, tag, via, declared, match } where code is the declared
+ * spelling when one matches, else the canonical tag; code is null for labels that are
+ * neither a known name nor a tag. declared is null when no codes were given; match is
+ * how the declared code was found: exact, fallback (configured), base or variant.
+ */
+function resolveLanguage(input, declaredCodes = [], config) {
+    config = config || loadLocaleConfig();
+    const label = String(input ?? '').trim();
+    const result = { input, code: null, tag: null, via: null, declared: declaredCodes.length > 0 ? false : null, match: null };
+
+    if (!label) return result;
+
+    const legacy = (config.legacyCodes || {})[label];
+    const named = legacy ? null : lookupName(label, config);
+
+    if (legacy) {
+        result.tag = normalizeTag(legacy);
+        result.via = 'legacy';
+    } else if (named) {
+        result.tag = named;
+        result.via = 'name';
+    } else if (TAG_PATTERN.test(label)) {
+        result.tag = normalizeTag(label);
+        result.via = 'tag';
+    } else {
+        return result;
+    }
+
+    result.code = result.tag;
+    if (declaredCodes.length === 0) return result;
+
+    const found = matchDeclared(result.tag, declaredCodes, config);
+    if (found) {
+        result.code = found.code;
+        result.declared = true;
+        result.match = found.match;
+    }
+
+    return result;
+}
+
+/**
+ * Names and aliases from the config, compared without case or accents
+ */
+function lookupName(label, config) {
+    const key = normalizeName(label);
+
+    for (const [code, entry] of Object.entries(config.languages || {})) {
+        const labels = [code, ...(entry.names || []), ...(entry.aliases || [])];
+        if (labels.some(candidate => normalizeName(candidate) === key)) {
+            return normalizeTag(code);
+        }
+    }
+
+    return null;
+}
+
+function normalizeName(name) {
+    return String(name).normalize('NFD').replace(/\p{M}/gu, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function matchDeclared(tag, declaredCodes, config) {
+    for (const candidate of fallbackChain(tag, config)) {
+        const code = declaredCodes.find(declared => declared.toLowerCase() === candidate.code.toLowerCase());
+        if (code) return { code, match: candidate.match };
+    }
+
+    // Any regional variant of the base language, e.g. "de" → "de-DE"
+    const base = baseLanguage(tag);
+    const variants = declaredCodes.filter(declared => baseLanguage(declared) === base).sort();
+    return variants.length > 0 ? { code: variants[0], match: 'variant' } : null;
+}
+
+/**
+ * The tag, its configured fallbacks, then each of those with subtags removed
+ */
+function fallbackChain(tag, config) {
+    const fallbacks = config.fallbacks || {};
+    const chain = [];
+    const add = (code, match) => {
+        if (code && !chain.some(existing => existing.code.toLowerCase() === code.toLowerCase())) chain.push({ code, match });
+    };
+
+    add(tag, 'exact');
+    for (let index = 0; index < chain.length; index++) {
+        const current = chain[index].code;
+        const configured = Object.keys(fallbacks).find(key => key.toLowerCase() === current.toLowerCase());
+        if (configured) add(normalizeTag(fallbacks[configured]), 'fallback');
+    }
+
+    for (const { code } of [...chain]) {
+        const parts = code.split('-');
+        while (parts.length > 1) {
+            parts.pop();
+            add(parts.join('-'), 'base');
+        }
+    }
+
+    return chain;
+}
+
+/**
+ * Resolves every label (e.g. the distinct LanguageCode values of a sheet)
+ * Returns { mapping: { label: code }, languages: [resolution], warnings } with
+ * warnings for labels that are unknown, not declared by the document, or that land
+ * on another regional variant (a configured fallback, or es-MX → es-ES)
+ */
+function resolveLanguages(labels, declaredCodes = [], config) {
+    const mapping = {};
+    const languages = [];
+    const warnings = [];
+
+    for (const label of [...new Set(labels.map(l => String(l ?? '').trim()).filter(Boolean))]) {
+        const resolution = resolveLanguage(label, declaredCodes, config);
+        languages.push(resolution);
+        mapping[label] = resolution.code || label;
+
+        if (!resolution.code) {
+            warnings.push({ type: 'unknown-language', language: label, message: `'${label}' is not a language name or code` });
+        } else if (resolution.declared === false) {
+            warnings.push({ type: 'undeclared-language', language: label, code: resolution.code, message: `${resolution.code === label ? label : `${label} (${resolution.code})`} is not declared in the document's localizedContents` });
+        } else if (resolution.match === 'fallback' || (resolution.match === 'variant' && resolution.tag.includes('-'))) {
+            warnings.push({ type: 'language-fallback', language: label, code: resolution.code, message: `${label} falls back to ${resolution.code}` });
+        }
+    }
+
+    return { mapping, languages, warnings };
+}
+
+/**
+ * Rewrites the LanguageCode of translation rows to the declared codes
+ * Returns { rows, mapping, warnings }; the input rows are not modified
+ */
+function normalizeRowLanguages(rows, declaredCodes = [], config) {
+    const { mapping, warnings } = resolveLanguages((rows || []).map(row => row && row.LanguageCode), declaredCodes, config);
+
+    const normalized = (rows || []).map(row => row && typeof row === 'object'
+        ? { ...row, LanguageCode: mapping[String(row.LanguageCode ?? '').trim()] ?? row.LanguageCode }
+        : row);
+
+    return { rows: normalized, mapping, warnings };
+}
+
+module.exports = {
+    loadLocaleConfig,
+    normalizeTag,
+    baseLanguage,
+    resolveLanguage,
+    resolveLanguages,
+    normalizeRowLanguages
+};
@@ -0,0 +1,239 @@
+/**
+ * Merge Diff
+ * Compares localizedContents before and after a merge and renders the result
+ * as Markdown or HTML for the CRM ticket in header.ticket
+ *
+ * Diff shape:
+ * { languages: { [lang]: { added, modified, unchanged } }, totals }
+ */
+
+// Handlebars mustaches, whitespace, words and single punctuation characters
+const TOKEN_PATTERN = /\{\{[^}]*\}\}|\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+// Above this many token pairs the inline diff falls back to delete + insert
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Diffs two language → key → text maps: the merged keys against the document before
+ * the merge. A merge only adds and overwrites keys, so keys missing from after are
+ * not part of the diff
+ */
+function diffLocalizedContents(before, after) {
+    before = before || {};
+    after = after || {};
+
+    const languages = {};
+    const totals = { added: 0, modified: 0, unchanged: 0 };
+
+    for (const language of Object.keys(after).sort()) {
+        const oldStrings = before[language] || {};
+        const newStrings = after[language] || {};
+        const entry = { added: [], modified: [], unchanged: [] };
+
+        for (const key of Object.keys(newStrings).sort()) {
+            if (!Object.prototype.hasOwnProperty.call(oldStrings, key)) {
+                entry.added.push({ key, new: newStrings[key] });
+            } else if (oldStrings[key] !== newStrings[key]) {
+                entry.modified.push({
+                    key,
+                    old: oldStrings[key],
+                    new: newStrings[key],
+                    inline: diffText(oldStrings[key], newStrings[key])
+                });
+            } else {
+                entry.unchanged.push(key);
+            }
+        }
+
+        totals.added += entry.added.length;
+        totals.modified += entry.modified.length;
+        totals.unchanged += entry.unchanged.length;
+        languages[language] = entry;
+    }
+
+    return { languages, totals };
+}
+
+/**
+ * Token-level inline diff of two strings
+ * Returns [{ op: 'equal' | 'delete' | 'insert', text }]
+ */
+function diffText(oldText, newText) {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return compact([
+            { op: 'delete', text: oldText },
+            { op: 'insert', text: newText }
+        ]);
+    }
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ op: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ op: 'delete', text: a[i++] });
+        } else {
+            ops.push({ op: 'insert', text: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ op: 'delete', text: a[i++] });
+    while (j < b.length) ops.push({ op: 'insert', text: b[j++] });
+
+    return compact(ops);
+}
+
+function tokenize(text) {
+    return text ? text.match(TOKEN_PATTERN) || [] : [];
+}
+
+/**
+ * Merges adjacent operations of the same kind and drops empty ones
+ */
+function compact(ops) {
+    const result = [];
+    for (const op of ops) {
+        if (!op.text) continue;
+        const last = result[result.length - 1];
+        if (last && last.op === op.op) {
+            last.text += op.text;
+        } else {
+            result.push({ ...op });
+        }
+    }
+    return result;
+}
+
+/**
+ * Title line from the CRM header (template key, ticket, version)
+ */
+function describeHeader(header) {
+    if (!header) return 'Translation changes';
+
+    const name = header.key?.stringKey || header.key?.name || 'CRM template';
+    const ticket = header.ticket ? ` (${header.ticket})` : '';
+    const version = header.version !== undefined ? ` - version ${header.version}` : '';
+    return `Translation changes for ${name}${ticket}${version}`;
+}
+
+/**
+ * Renders a diff as Markdown; inline changes use <del>/<ins>
+ */
+function renderMarkdown(diff, header) {
+    const lines = [`# ${describeHeader(header)}`, ''];
+    const { totals } = diff;
+
+    lines.push(`**${totals.added}** added, **${totals.modified}** modified, **${totals.unchanged}** unchanged`);
+
+    for (const [language, entry] of Object.entries(diff.languages)) {
+        if (entry.added.length + entry.modified.length === 0) continue;
+
+        lines.push('', `## ${language}`, '', '| Key | Change | Value |', '|-----|--------|-------|');
+
+        for (const item of entry.added) {
+            lines.push(`| \`${item.key}\` | added | <ins>${escapeMarkdownCell(item.new)}</ins> |`);
+        }
+        for (const item of entry.modified) {
+            lines.push(`| \`${item.key}\` | modified | ${item.inline.map(renderInlineOp).map(escapePipes).join('')} |`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a diff as a standalone HTML document
+ */
+function renderHtml(diff, header) {
+    const title = escapeHtml(describeHeader(header));
+    const { totals } = diff;
+    const sections = [];
+
+    for (const [language, entry] of Object.entries(diff.languages)) {
+        if (entry.added.length + entry.modified.length === 0) continue;
+
+        const rows = [
+            ...entry.added.map(item => row(item.key, 'added', `<ins>${escapeHtml(item.new)}</ins>`)),
+            ...entry.modified.map(item => row(item.key, 'modified', item.inline.map(renderInlineOp).join('')))
+        ];
+
+        sections.push(`<h2>${escapeHtml(language)}</h2>
+<table>
+<thead><tr><th>Key</th><th>Change</th><th>Value</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: sans-serif; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+td.value { font-family: monospace; white-space: pre-wrap; }
+ins { background: #e6ffec; text-decoration: none; }
+del { background: #ffebe9; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p><strong>${totals.added}</strong> added, <strong>${totals.modified}</strong> modified, <strong>${totals.unchanged}</strong> unchanged</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function row(key, change, value) {
+    return `<tr><td><code>${escapeHtml(key)}</code></td><td>${change}</td><td class="value">${value}</td></tr>`;
+}
+
+function renderInlineOp(op) {
+    const text = escapeHtml(op.text);
+    if (op.op === 'insert') return `<ins>${text}</ins>`;
+    if (op.op === 'delete') return `<del>${text}</del>`;
+    return text;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapePipes(text) {
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function escapeMarkdownCell(text) {
+    return escapePipes(escapeHtml(text));
+}
+
+module.exports = {
+    diffLocalizedContents,
+    diffText,
+    renderMarkdown,
+    renderHtml
+};
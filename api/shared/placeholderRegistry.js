@@ -0,0 +1,201 @@
+/**
+ * Placeholder Registry
+ * Loads placeholder → Handlebars variable mappings from configuration so the
+ * pattern converter and the AI prompts are built from one source
+ *
+ * Config location (in priority order):
+ * 1. PLACEHOLDER_CONFIG_PATH app setting
+ * 2. api/config/placeholders.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'placeholders.json');
+const DEFAULT_BRACKETS = ['[]', '<>'];
+
+let cachedConfig = null;
+const registryCache = new Map();
+
+/**
+ * Reads and validates the placeholder configuration file
+ * The default file is read once per Functions host and cached
+ */
+function loadPlaceholderConfig(configPath) {
+    if (!configPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    const filePath = configPath || process.env.PLACEHOLDER_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!Array.isArray(config.placeholders)) {
+        throw new Error(`Invalid placeholder config ${filePath}: "placeholders" array is required`);
+    }
+
+    for (const entry of config.placeholders) {
+        if (!entry.variable) {
+            throw new Error(`Invalid placeholder config ${filePath}: every entry needs a "variable"`);
+        }
+    }
+
+    if (!configPath) {
+        cachedConfig = config;
+    }
+
+    return config;
+}
+
+/**
+ * Returns the registry for a workspace (header.workspaceId), applying its overrides
+ * Workspace entries replace base entries with the same variable, or are appended
+ */
+function getPlaceholderRegistry(workspaceId, config) {
+    const useCache = !config;
+    const cacheKey = workspaceId === undefined || workspaceId === null ? '' : String(workspaceId);
+
+    if (useCache && registryCache.has(cacheKey)) {
+        return registryCache.get(cacheKey);
+    }
+
+    config = config || loadPlaceholderConfig();
+
+    const entries = new Map();
+    for (const entry of config.placeholders) {
+        entries.set(entry.variable, entry);
+    }
+
+    const override = cacheKey && config.workspaces ? config.workspaces[cacheKey] : null;
+    if (override && Array.isArray(override.placeholders)) {
+        for (const entry of override.placeholders) {
+            entries.set(entry.variable, { ...entries.get(entry.variable), ...entry });
+        }
+    }
+
+    const version = override && override.version
+        ? `${config.version || '0'}+${cacheKey}.${override.version}`
+        : String(config.version || '0');
+
+    const registry = createRegistry([...entries.values()], version);
+
+    if (useCache) {
+        registryCache.set(cacheKey, registry);
+    }
+
+    return registry;
+}
+
+/**
+ * Builds a registry with case-insensitive alias lookup for [X] and <x> variants
+ */
+function createRegistry(rawEntries, version) {
+    const entries = rawEntries.map(entry => ({
+        variable: entry.variable,
+        description: entry.description || '',
+        aliases: entry.aliases || [],
+        brackets: entry.brackets || DEFAULT_BRACKETS
+    }));
+
+    const lookup = new Map();
+    const names = new Map();
+    for (const entry of entries) {
+        names.set(entry.variable.toLowerCase(), entry.variable);
+        for (const alias of entry.aliases) {
+            names.set(normalizeAlias(alias), entry.variable);
+            for (const bracket of entry.brackets) {
+                lookup.set(bracket[0] + normalizeAlias(alias), entry.variable);
+            }
+        }
+    }
+
+    return {
+        version,
+        entries,
+
+        /**
+         * Resolves a bracketed placeholder ("[Sender name]", "<SENDER NAME>") to its variable
+         */
+        resolve(placeholder) {
+            if (!placeholder || placeholder.length < 3) return null;
+            const open = placeholder[0];
+            const inner = placeholder.substring(1, placeholder.length - 1);
+            return lookup.get(open + normalizeAlias(inner)) || null;
+        },
+
+        /**
+         * Resolves a bare name ("sender site code") or variable path to its variable
+         */
+        resolveName(name) {
+            if (!name) return null;
+            return names.get(normalizeAlias(name)) || null;
+        },
+
+        /**
+         * Preferred placeholder for a variable ("[Sender name]"), or null when it has no alias
+         */
+        placeholderFor(variable) {
+            const entry = entries.find(candidate => candidate.variable === variable);
+            if (!entry || entry.aliases.length === 0) return null;
+            return entry.brackets[0] === '<>' ? `<${entry.aliases[0].toLowerCase()}>` : `[${entry.aliases[0]}]`;
+        },
+
+        /**
+         * All alias names, used to repair placeholders with missing brackets
+         */
+        aliasNames() {
+            return entries.flatMap(entry => entry.aliases);
+        },
+
+        /**
+         * All known variable paths
+         */
+        variables() {
+            return entries.map(entry => entry.variable);
+        },
+
+        /**
+         * Entries that have at least one placeholder alias
+         */
+        placeholderEntries() {
+            return entries.filter(entry => entry.aliases.length > 0);
+        },
+
+        /**
+         * Formats an entry's aliases for prompts, e.g. "[Sender name] OR <sender name>"
+         */
+        formatAliases(entry) {
+            return entry.aliases.flatMap(alias => entry.brackets.map(bracket =>
+                bracket === '<>' ? `<${alias.toLowerCase()}>` : `[${alias}]`
+            )).join(' OR ');
+        }
+    };
+}
+
+/**
+ * Normalizes alias text for case/whitespace-insensitive matching
+ */
+function normalizeAlias(alias) {
+    return alias.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Extracts header.workspaceId from a CRM JSON document string, if present
+ */
+function getWorkspaceIdFromJson(jsonContext) {
+    if (!jsonContext) return null;
+
+    try {
+        const doc = typeof jsonContext === 'string' ? JSON.parse(jsonContext) : jsonContext;
+        const workspaceId = doc?.contentDoc?.header?.workspaceId;
+        return workspaceId === undefined ? null : workspaceId;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    loadPlaceholderConfig,
+    getPlaceholderRegistry,
+    createRegistry,
+    getWorkspaceIdFromJson
+};
@@ -0,0 +1,190 @@
+/**
+ * Prompt Context
+ * Picks what the AI sees of the template being translated: the existing conversions
+ * in localizedContents that best match the text (the same key in other languages,
+ * then similar texts, preferring the same language) and the context variables the
+ * template declares in dataLoadParameters, within a token budget
+ *
+ * The converter passes the AI_CONTEXT_TOKEN_BUDGET app setting as the budget
+ * (default 1000); tokens are estimated at 4 characters each
+ */
+
+const { parseCrmDocument, getLocalizedContents } = require('./crmDocument');
+
+const DEFAULT_TOKEN_BUDGET = 1000;
+const MAX_EXAMPLES = 12;
+const EXAMPLES_HEADING = 'EXISTING CONVERSIONS IN THIS TEMPLATE (match their style, helpers and variables):';
+
+const MUSTACHE_PATTERN = /\{\{[\s\S]*?\}\}/g;
+const STRING_LITERAL_PATTERN = /"(?:[^"\\]|\\.)*"/g;
+const PLACEHOLDER_PATTERN = /\[[^\[\]]+\]|<[^<>]+>/g;
+const CONDITIONAL_PATTERN = /\{\{#if|\b(?:IF|ELSE)\b/;
+
+let lastDocument = { jsonContext: null, context: null };
+
+/**
+ * Reads the parts of a CRM document used for prompts
+ * Returns { contextVariables: [{ name, type, lookupMode }], examples: [{ language, key, value, words }] }
+ * or null when jsonContext is not a CRM document. The last document is cached, since
+ * every text of a batch is converted against the same one.
+ */
+function getDocumentContext(jsonContext) {
+    if (!jsonContext) return null;
+    if (lastDocument.jsonContext === jsonContext) return lastDocument.context;
+
+    let context = null;
+    try {
+        const doc = parseCrmDocument(jsonContext);
+        const configuration = doc.contentDoc.content.configuration || {};
+
+        const contextVariables = (configuration.dataLoadParameters || [])
+            .filter(parameter => parameter && parameter.contextVarName && !parameter.isDeprecated)
+            .map(parameter => ({
+                name: parameter.contextVarName,
+                type: parameter.type || null,
+                lookupMode: parameter.lookupInfo?.userLookupMode || null
+            }));
+
+        // Only values that are already Handlebars teach the model anything
+        const examples = [];
+        for (const [language, keys] of Object.entries(getLocalizedContents(doc))) {
+            for (const [key, value] of Object.entries(keys || {})) {
+                if (typeof value === 'string' && value.includes('{{')) {
+                    examples.push({ language, key, value, words: wordsOf(templateText(value)) });
+                }
+            }
+        }
+
+        context = { contextVariables, examples };
+    } catch (error) {
+        context = null;
+    }
+
+    lastDocument = { jsonContext, context };
+    return context;
+}
+
+/**
+ * Text a reader would see: mustaches reduced to their string literals
+ */
+function templateText(value) {
+    return value.replace(MUSTACHE_PATTERN, mustache => (mustache.match(STRING_LITERAL_PATTERN) || [])
+        .map(literal => literal.slice(1, -1))
+        .join(' '));
+}
+
+function wordsOf(text) {
+    return new Set((String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []));
+}
+
+/**
+ * Jaccard similarity of two word sets
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Rough token count for budgeting (OpenAI averages ~4 characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Ranks the document's conversions for one text; the key itself in the same language
+ * is left out, since that is the value being replaced
+ * Returns [{ language, key, value, score, reason }], best first
+ */
+function rankExamples(documentContext, { key, language, text }) {
+    if (!documentContext) return [];
+
+    const textWords = wordsOf(String(text || '').replace(PLACEHOLDER_PATTERN, ' '));
+    const textHasConditional = CONDITIONAL_PATTERN.test(text || '');
+    const sameLanguage = (candidate) => Boolean(language) && candidate.toLowerCase() === String(language).toLowerCase();
+
+    return documentContext.examples
+        .filter(example => !(example.key === key && sameLanguage(example.language)))
+        .map(example => {
+            const sameKey = Boolean(key) && example.key === key;
+            const similar = similarity(textWords, example.words);
+            const score = (sameKey ? 1 : 0)
+                + similar
+                + (sameLanguage(example.language) ? 0.2 : 0)
+                + (textHasConditional && example.value.includes('{{#if') ? 0.25 : 0);
+
+            const reason = sameKey ? 'same key' : similar > 0 ? 'similar text' : 'same template';
+            return { language: example.language, key: example.key, value: example.value, score, reason };
+        })
+        .sort((a, b) => b.score - a.score || a.value.length - b.value.length);
+}
+
+/**
+ * Builds the prompt section for one text within the token budget
+ * Options: { key, language, text, tokenBudget }
+ * Returns { prompt, examples, contextVariables, tokens }; prompt is '' without a document
+ */
+function buildPromptContext(jsonContext, options = {}) {
+    const documentContext = getDocumentContext(jsonContext);
+    const empty = { prompt: '', examples: [], contextVariables: [], tokens: 0 };
+    if (!documentContext) return empty;
+
+    const tokenBudget = options.tokenBudget ?? DEFAULT_TOKEN_BUDGET;
+    const sections = [];
+
+    const { contextVariables } = documentContext;
+    if (contextVariables.length > 0) {
+        const variables = contextVariables
+            .map(variable => `- LoadedData.${variable.name}${variable.type ? ` (${[variable.type, variable.lookupMode].filter(Boolean).join(', ')})` : ''}`)
+            .join('\n');
+        sections.push(`DECLARED CONTEXT VARIABLES (this template loads only these; use no other LoadedData.* variables):\n${variables}`);
+    }
+
+    let tokens = estimateTokens([...sections, EXAMPLES_HEADING].join('\n\n'));
+    const examples = [];
+    const lines = [];
+
+    for (const example of rankExamples(documentContext, options)) {
+        if (examples.length >= MAX_EXAMPLES) break;
+
+        const line = `- [${example.language}] ${example.key}: ${example.value}`;
+        const lineTokens = estimateTokens(line) + 1;
+        if (tokens + lineTokens > tokenBudget) continue;
+
+        tokens += lineTokens;
+        examples.push(example);
+        lines.push(line);
+    }
+
+    if (lines.length > 0) {
+        sections.push(`${EXAMPLES_HEADING}\n${lines.join('\n')}`);
+    }
+
+    return { prompt: sections.join('\n\n'), examples, contextVariables, tokens };
+}
+
+/**
+ * Whether a registry variable may be used by a template that declares these
+ * context variables (everything outside LoadedData, e.g. localVars, is allowed)
+ */
+function isDeclaredVariable(variable, contextVariables) {
+    if (!contextVariables || contextVariables.length === 0) return true;
+
+    const [root, name] = variable.split('.');
+    return root !== 'LoadedData' || contextVariables.some(contextVariable => contextVariable.name === name);
+}
+
+module.exports = {
+    DEFAULT_TOKEN_BUDGET,
+    getDocumentContext,
+    rankExamples,
+    buildPromptContext,
+    isDeclaredVariable,
+    estimateTokens
+};
@@ -0,0 +1,292 @@
+/**
+ * Pseudocode Compiler
+ * Deterministically converts translator pseudocode into Handlebars blocks
+ *
+ * Grammar:
+ *   program   := (statement | text)*
+ *   statement := (IF | AND) condition body [ELSE body]
+ *                IF may also start mid-line after text ("Hello! IF ..."); AND only starts a line
+ *   condition := name ('==' | '!=') value
+ *   body      := '{' program '}' | rest of the line
+ *
+ * Example:
+ *   IF sender site code == 43 { AND paying Status == 'NOPAY' Someone likes you ELSE <sender name> likes you }
+ *   ELSE 💗 <sender name> is interested. Is it mutual?
+ */
+
+const PLACEHOLDER_PATTERN = /(\[([^\]]+)\]|<([^>]+)>)/g;
+
+/**
+ * Detects translator pseudocode: an uppercase IF followed by a comparison
+ */
+function isPseudocode(text) {
+    if (!text || text.includes('{{')) return false;
+    return /\bIF\b[^\n]*?(==|!=)/.test(text);
+}
+
+/**
+ * Compiles pseudocode to Handlebars
+ * Throws an Error with the failing offset when the text does not match the grammar
+ */
+function compilePseudocode(text, registry) {
+    const parser = { text, pos: 0, registry };
+    const nodes = parseProgram(parser, 'top');
+
+    if (parser.pos < text.length) {
+        fail(parser, `Unexpected '${text[parser.pos]}'`);
+    }
+
+    // Text that only looked like pseudocode must not pass through unconverted
+    if (!nodes.some(node => node.type === 'if')) {
+        parser.pos = 0;
+        fail(parser, 'No IF condition was found');
+    }
+
+    return emitProgram(trimNodes(nodes), registry);
+}
+
+/**
+ * Parses statements and text until the terminator for this mode:
+ * - top: end of input
+ * - block: closing '}'
+ * - inline: end of line, ELSE or '}'
+ */
+function parseProgram(parser, mode) {
+    const nodes = [];
+    let text = '';
+    let atStatementStart = true;
+
+    const flushText = () => {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (parser.pos < parser.text.length) {
+        const ch = parser.text[parser.pos];
+
+        if (atStatementStart) {
+            const keyword = peekKeyword(parser);
+
+            if (keyword === 'IF' || keyword === 'AND') {
+                flushText();
+                nodes.push(parseConditional(parser));
+                atStatementStart = mode === 'inline';
+                continue;
+            }
+            if (keyword === 'ELSE') {
+                if (mode === 'inline') break;
+                fail(parser, 'ELSE without a matching IF');
+            }
+        }
+
+        if (!atStatementStart && peekKeywordAt(parser, parser.pos) === 'IF' && isWordStart(parser.text, parser.pos)) {
+            flushText();
+            nodes.push(parseConditional(parser));
+            atStatementStart = mode === 'inline';
+            continue;
+        }
+
+        if (mode === 'inline') {
+            if (ch === '\n' || ch === '}') break;
+            if (peekKeywordAt(parser, parser.pos) === 'ELSE' && isWordStart(parser.text, parser.pos)) break;
+        }
+
+        if (ch === '}') {
+            if (mode === 'block') break;
+            fail(parser, "'}' without a matching '{'");
+        }
+
+        if (ch === '{') {
+            fail(parser, "'{' must follow an IF, AND or ELSE condition");
+        }
+
+        text += ch;
+        parser.pos++;
+
+        if (ch === '\n') {
+            atStatementStart = true;
+        } else if (!/[ \t]/.test(ch)) {
+            atStatementStart = false;
+        }
+    }
+
+    flushText();
+    return nodes;
+}
+
+/**
+ * Parses IF/AND condition body [ELSE body]
+ */
+function parseConditional(parser) {
+    const keyword = peekKeyword(parser);
+    const keywordOffset = parser.text.indexOf(keyword, parser.pos);
+    parser.pos = keywordOffset + keyword.length;
+
+    const condition = parseCondition(parser);
+    const consequent = parseBody(parser);
+
+    // ELSE may follow on the same line or on a following line
+    let alternate = null;
+    const save = parser.pos;
+    skipWhitespace(parser, true);
+    if (peekKeyword(parser) === 'ELSE') {
+        parser.pos = parser.text.indexOf('ELSE', parser.pos) + 4;
+        alternate = parseBody(parser);
+    } else {
+        parser.pos = save;
+    }
+
+    return { type: 'if', condition, consequent, alternate };
+}
+
+/**
+ * Parses "name == value" and resolves the name against the placeholder registry
+ */
+function parseCondition(parser) {
+    skipWhitespace(parser, false);
+
+    const rest = parser.text.substring(parser.pos);
+    const match = /^([^\n{}=!]+?)\s*(==|!=)\s*('([^'\n]*)'|"([^"\n]*)"|[^\s{}]+)/.exec(rest);
+    if (!match) {
+        fail(parser, "Expected a condition like 'sender site code == 43'");
+    }
+
+    const name = match[1].trim().replace(/^[\[<](.*)[\]>]$/, '$1');
+    const variable = parser.registry.resolveName(name);
+    if (!variable) {
+        fail(parser, `Unknown condition variable '${name}'`);
+    }
+
+    const quoted = match[4] !== undefined || match[5] !== undefined;
+    const value = quoted ? (match[4] !== undefined ? match[4] : match[5]) : match[3];
+
+    parser.pos += match[0].length;
+
+    return {
+        variable,
+        negate: match[2] === '!=',
+        value,
+        numeric: !quoted && /^-?\d+(\.\d+)?$/.test(value)
+    };
+}
+
+/**
+ * Parses a '{ ... }' block body or an inline body running to the end of the line
+ */
+function parseBody(parser) {
+    skipWhitespace(parser, false);
+
+    // A block may start on the next line
+    const save = parser.pos;
+    skipWhitespace(parser, true);
+    if (parser.text[parser.pos] === '{') {
+        const open = parser.pos;
+        parser.pos++;
+        const nodes = parseProgram(parser, 'block');
+        if (parser.text[parser.pos] !== '}') {
+            parser.pos = open;
+            fail(parser, "'{' is never closed");
+        }
+        parser.pos++;
+        return { block: true, nodes: trimNodes(nodes) };
+    }
+    parser.pos = save;
+
+    return { block: false, nodes: trimNodes(parseProgram(parser, 'inline')) };
+}
+
+/**
+ * Returns the keyword (IF, AND, ELSE) after horizontal whitespace, if any
+ */
+function peekKeyword(parser) {
+    let pos = parser.pos;
+    while (pos < parser.text.length && /[ \t\r]/.test(parser.text[pos])) pos++;
+    return peekKeywordAt(parser, pos);
+}
+
+function peekKeywordAt(parser, pos) {
+    const match = /^(IF|AND|ELSE)\b/.exec(parser.text.substring(pos, pos + 5));
+    return match ? match[1] : null;
+}
+
+function isWordStart(text, pos) {
+    return pos === 0 || /\s/.test(text[pos - 1]);
+}
+
+function skipWhitespace(parser, includeNewlines) {
+    const pattern = includeNewlines ? /\s/ : /[ \t\r]/;
+    while (parser.pos < parser.text.length && pattern.test(parser.text[parser.pos])) {
+        parser.pos++;
+    }
+}
+
+/**
+ * Trims whitespace around the first and last text nodes of a body
+ */
+function trimNodes(nodes) {
+    const result = nodes.map(node => ({ ...node }));
+
+    if (result.length > 0 && result[0].type === 'text') {
+        result[0].value = result[0].value.trimStart();
+    }
+    const last = result[result.length - 1];
+    if (last && last.type === 'text') {
+        last.value = last.value.trimEnd();
+    }
+
+    return result.filter(node => node.type !== 'text' || node.value.length > 0);
+}
+
+function fail(parser, message) {
+    const error = new Error(`Pseudocode syntax error at ${parser.pos}: ${message}`);
+    error.code = 'pseudocode_syntax';
+    error.offset = parser.pos;
+    throw error;
+}
+
+/**
+ * Emits Handlebars for parsed nodes
+ */
+function emitProgram(nodes, registry) {
+    return nodes.map(node => node.type === 'text'
+        ? substitutePlaceholders(node.value, registry)
+        : emitConditional(node, registry)
+    ).join('');
+}
+
+function emitConditional(node, registry) {
+    const { variable, negate, value, numeric } = node.condition;
+    const helper = negate ? 'unless' : 'if';
+    const subject = numeric ? `(Object.ToString ${variable})` : variable;
+
+    let output = `{{#${helper} (String.Equal ${subject} "${escapeQuotes(value)}")}}`;
+    output += emitBody(node.consequent, registry);
+    if (node.alternate) {
+        output += '{{else}}' + emitBody(node.alternate, registry);
+    }
+    return output + `{{/${helper}}}`;
+}
+
+function emitBody(body, registry) {
+    const content = emitProgram(body.nodes, registry);
+    return body.block ? `\n${content}\n` : content;
+}
+
+/**
+ * Replaces known placeholders in branch text with {{variable}}
+ */
+function substitutePlaceholders(text, registry) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+        const variable = registry.resolve(placeholder);
+        return variable ? `{{${variable}}}` : placeholder;
+    });
+}
+
+function escapeQuotes(text) {
+    return text.replace(/"/g, '\\"');
+}
+
+module.exports = {
+    isPseudocode,
+    compilePseudocode
+};
@@ -0,0 +1,107 @@
+/**
+ * Rate Limiter
+ * Token bucket per API key so concurrent AI calls stay under the provider's limits
+ *
+ * Buckets that are idle and full again are dropped (checked at most once a minute), so
+ * keys seen once are not kept for the life of the instance. A dropped bucket is
+ * recreated full, which is the state it was dropped in.
+ */
+
+const crypto = require('crypto');
+
+const PRUNE_INTERVAL_MS = 60000;
+
+const buckets = new Map();
+let lastPrune = Date.now();
+
+/**
+ * Creates a token bucket that refills `ratePerMinute` tokens per minute, up to `burst`
+ */
+function createTokenBucket({ ratePerMinute, burst }) {
+    const refillPerMs = ratePerMinute / 60000;
+    const capacity = Math.max(1, burst || ratePerMinute);
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+    let waiting = 0;
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) * refillPerMs);
+        lastRefill = now;
+    };
+
+    return {
+        /**
+         * Waits until a token is available, then takes it
+         * Callers are served in arrival order
+         */
+        acquire() {
+            waiting++;
+            const turn = queue.then(async () => {
+                refill();
+                while (tokens < 1) {
+                    await sleep(Math.ceil((1 - tokens) / refillPerMs));
+                    refill();
+                }
+                tokens -= 1;
+            }).finally(() => {
+                waiting--;
+            });
+            queue = turn.catch(() => {});
+            return turn;
+        },
+
+        /**
+         * Whether nobody is waiting and the bucket has refilled to capacity
+         */
+        isIdle() {
+            if (waiting > 0) return false;
+            refill();
+            return tokens >= capacity;
+        }
+    };
+}
+
+/**
+ * Returns the shared bucket for an API key
+ * Keys are hashed so the raw key is never held as a map key
+ */
+function getRateLimiter(apiKey, options) {
+    const id = crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+    if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+        pruneRateLimiters();
+    }
+
+    if (!buckets.has(id)) {
+        buckets.set(id, createTokenBucket(options));
+    }
+
+    return buckets.get(id);
+}
+
+/**
+ * Drops idle buckets; returns the number removed
+ */
+function pruneRateLimiters() {
+    let removed = 0;
+    for (const [id, bucket] of buckets) {
+        if (!bucket.isIdle()) continue;
+        buckets.delete(id);
+        removed++;
+    }
+    lastPrune = Date.now();
+    return removed;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    createTokenBucket,
+    getRateLimiter,
+    pruneRateLimiters,
+    sleep
+};
@@ -0,0 +1,260 @@
+/**
+ * Reverse Converter
+ * Turns the Handlebars subset back into translator-friendly text for hand-off:
+ * - {{Variable}} and String.Concat/String.Append → "Hi [Sender name], welcome!"
+ * - gender and plural #if blocks → "him/her", "[Unread count] message/messages"
+ * - other #if/#unless blocks → IF/ELSE pseudocode
+ *
+ * Every result is checked by converting it forward again (pseudocode compiler, then
+ * pattern matching); when that does not give back an equivalent template, the
+ * original Handlebars is returned unchanged, which the forward converter passes through.
+ */
+
+const { parseHandlebars } = require('./handlebarsValidator');
+const { isPseudocode, compilePseudocode } = require('./pseudocodeCompiler');
+const { getInflectionTable } = require('./inflections');
+const { convertWithPatterns } = require('./converter');
+
+const CONCAT_HELPERS = ['String.Concat', 'String.Append'];
+
+// Forward conversion runs silently while checking a reverse conversion
+const quietContext = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+/**
+ * Reverse-converts one template
+ * Returns { text, reversible, reason } - text is the original template when not reversible
+ */
+function reverseConvert(template, registry, language) {
+    const source = String(template ?? '');
+    const { ast, diagnostics } = parseHandlebars(source);
+
+    if (diagnostics.some(d => d.severity === 'error')) {
+        return { text: source, reversible: false, reason: 'Template is not valid Handlebars' };
+    }
+
+    const table = getInflectionTable(language);
+    let reason = null;
+
+    // Slash forms (him/her) read best; pseudocode is the fallback when they do not round-trip
+    for (const slashForms of [true, false]) {
+        let text;
+        try {
+            text = reverseNodes(ast.body, { registry, table, slashForms });
+        } catch (error) {
+            reason = error.message;
+            continue;
+        }
+
+        if (isEquivalentTemplate(convertForward(text, registry, language), source)) {
+            return { text, reversible: true };
+        }
+        reason = 'Converting the text forward again does not give the same template';
+    }
+
+    return { text: source, reversible: false, reason };
+}
+
+/**
+ * The forward conversion used without AI: pseudocode compiler, else pattern matching
+ */
+function convertForward(text, registry, language) {
+    if (isPseudocode(text)) {
+        try {
+            return compilePseudocode(text, registry);
+        } catch (error) {
+            return null;
+        }
+    }
+    return convertWithPatterns(text, registry, quietContext, language);
+}
+
+function reverseNodes(nodes, options) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'Text':
+                return node.value;
+            case 'Mustache':
+                return reverseMustache(node, options);
+            case 'Block':
+                return reverseBlock(node, options);
+            default:
+                throw new Error(`Cannot reverse ${node.type}`);
+        }
+    }).join('');
+}
+
+function reverseMustache(node, { registry }) {
+    if (node.params.length === 0 && node.hash.length === 0) {
+        return placeholderFor(node.path.original, registry);
+    }
+
+    if (CONCAT_HELPERS.includes(node.path.original) && node.hash.length === 0) {
+        return node.params.map(param => {
+            if (param.type === 'String') return param.value;
+            if (param.type === 'Path') return placeholderFor(param.original, registry);
+            throw new Error(`Cannot reverse ${param.type} argument of ${node.path.original}`);
+        }).join('');
+    }
+
+    throw new Error(`Cannot reverse {{${node.path.original} ...}}`);
+}
+
+function placeholderFor(variable, registry) {
+    const placeholder = registry.placeholderFor(variable);
+    if (!placeholder) {
+        throw new Error(`${variable} has no placeholder alias`);
+    }
+    return placeholder;
+}
+
+/**
+ * {{#if (String.Equal subject "value")}} where subject is a variable or (Object.ToString variable)
+ */
+function readCondition(node) {
+    const [condition] = node.params;
+    if (node.params.length !== 1 || condition.type !== 'SubExpression' || condition.path.original !== 'String.Equal') {
+        throw new Error(`Cannot reverse {{#${node.helper}}} condition`);
+    }
+
+    const [subject, value] = condition.params;
+    if (!value || (value.type !== 'String' && value.type !== 'Number')) {
+        throw new Error('Condition value must be a literal');
+    }
+
+    if (subject.type === 'Path') {
+        return { variable: subject.original, toString: false, value: String(value.value) };
+    }
+    if (subject.type === 'SubExpression' && subject.path.original === 'Object.ToString'
+        && subject.params.length === 1 && subject.params[0].type === 'Path') {
+        return { variable: subject.params[0].original, toString: true, value: String(value.value) };
+    }
+
+    throw new Error('Condition subject must be a variable');
+}
+
+function reverseBlock(node, options) {
+    const condition = readCondition(node);
+    const consequent = reverseNodes(node.program.body, options);
+    const alternate = node.inverse ? reverseNodes(node.inverse.body, options) : null;
+
+    if (options.slashForms && node.helper === 'if' && alternate !== null
+        && isWord(consequent) && isWord(alternate)) {
+        const { table } = options;
+
+        // Gender: forward emits female in the #if branch
+        if (condition.variable === table.genderVariable && condition.toString && condition.value === table.femaleValue) {
+            return `${alternate}/${consequent}`;
+        }
+        // Plural: singular in the #if branch
+        if (condition.toString && table.singularCounts.map(String).includes(condition.value)) {
+            return `${consequent}/${alternate}`;
+        }
+    }
+
+    const name = options.registry.placeholderFor(condition.variable)?.slice(1, -1) || condition.variable;
+    const operator = node.helper === 'unless' ? '!=' : '==';
+
+    let value;
+    if (condition.toString && /^-?\d+(\.\d+)?$/.test(condition.value)) {
+        value = condition.value;
+    } else if (!condition.toString && !condition.value.includes("'")) {
+        value = `'${condition.value}'`;
+    } else if (!condition.toString && !condition.value.includes('"')) {
+        value = `"${condition.value}"`;
+    } else {
+        throw new Error(`Cannot write condition value '${condition.value}' as pseudocode`);
+    }
+
+    let output = `IF ${name} ${operator} ${value} ${pseudocodeBody(consequent)}`;
+    if (alternate !== null) {
+        output += ` ELSE ${pseudocodeBody(alternate)}`;
+    }
+    return output;
+}
+
+/**
+ * Single-line bodies stay inline; bodies the compiler wraps in newlines use { }
+ */
+function pseudocodeBody(text) {
+    if (!text.includes('\n') && text === text.trim()) {
+        return text;
+    }
+    if (text.length >= 2 && text.startsWith('\n') && text.endsWith('\n') && text.slice(1, -1) === text.slice(1, -1).trim()) {
+        return `{${text}}`;
+    }
+    throw new Error('Branch text has leading or trailing whitespace that pseudocode cannot keep');
+}
+
+function isWord(text) {
+    return /^\p{L}+$/u.test(text);
+}
+
+/**
+ * Whether two templates render the same: text and variables are compared after
+ * flattening String.Concat/String.Append and merging adjacent text
+ */
+function isEquivalentTemplate(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    if (a === b) return true;
+
+    const left = normalizeTemplate(a);
+    const right = normalizeTemplate(b);
+    return left !== null && right !== null && JSON.stringify(left) === JSON.stringify(right);
+}
+
+function normalizeTemplate(source) {
+    const { ast, diagnostics } = parseHandlebars(source);
+    if (diagnostics.some(d => d.severity === 'error')) return null;
+    return normalizeNodes(ast.body, source);
+}
+
+function normalizeNodes(nodes, source) {
+    const parts = [];
+    const pushText = (text) => {
+        if (!text) return;
+        const last = parts[parts.length - 1];
+        if (last && last.type === 'text') last.value += text;
+        else parts.push({ type: 'text', value: text });
+    };
+
+    for (const node of nodes) {
+        if (node.type === 'Text') {
+            pushText(node.value);
+        } else if (node.type === 'Mustache' && node.params.length === 0 && node.hash.length === 0) {
+            parts.push({ type: 'var', value: node.path.original });
+        } else if (node.type === 'Mustache' && CONCAT_HELPERS.includes(node.path.original) && node.hash.length === 0) {
+            for (const param of node.params) {
+                if (param.type === 'String' || param.type === 'Number') pushText(String(param.value));
+                else parts.push(param.type === 'Path' ? { type: 'var', value: param.original } : { type: 'expr', value: serializeExpression(param) });
+            }
+        } else if (node.type === 'Block') {
+            parts.push({
+                type: 'block',
+                helper: node.helper,
+                params: node.params.map(serializeExpression),
+                program: normalizeNodes(node.program.body, source),
+                inverse: node.inverse ? normalizeNodes(node.inverse.body, source) : []
+            });
+        } else {
+            parts.push({ type: 'expr', value: source.substring(node.offset, node.offset + node.length) });
+        }
+    }
+
+    return parts;
+}
+
+function serializeExpression(node) {
+    switch (node.type) {
+        case 'Path': return node.original;
+        case 'String': return JSON.stringify(node.value);
+        case 'Number': return JSON.stringify(String(node.value));
+        case 'Boolean': return String(node.value);
+        case 'SubExpression': return `(${[node.path.original, ...node.params.map(serializeExpression)].join(' ')})`;
+        default: return node.type;
+    }
+}
+
+module.exports = {
+    reverseConvert,
+    isEquivalentTemplate
+};
@@ -0,0 +1,382 @@
+/**
+ * Secret Providers
+ * Finds the AI API key through a chain of providers, first valid key wins:
+ * 1. request: the key the caller sent (ApiKey), never cached
+ * 2. env: App Settings (AZURE_OPENAI_API_KEY for the azure provider, then OPENAI_API_KEY)
+ * 3. keyvault: Azure Key Vault over REST with a managed identity token
+ *    (KEYVAULT_URL, IDENTITY_ENDPOINT, IDENTITY_HEADER); both endpoints can be a local stand-in
+ * 4. file: a JSON file of { "OPENAI_API_KEY": "sk-..." } for local development
+ *    (SECRETS_FILE, default api/secrets.local.json)
+ *
+ * SECRET_PROVIDERS (comma-separated) changes the order or drops providers.
+ * Keys found by env, keyvault and file are cached for SECRET_CACHE_TTL_SECONDS (default: 3600).
+ * When the AI rejects a cached key (401) the cache is dropped and the chain is asked again,
+ * so a key rotated in Key Vault is picked up without waiting for the TTL.
+ *
+ * Keys are never logged; log lines name the provider and secret only.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const DEFAULT_PROVIDERS = ['request', 'env', 'keyvault', 'file'];
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const DEFAULT_SECRETS_FILE = path.join(__dirname, '..', 'secrets.local.json');
+const KEYVAULT_API_VERSION = '7.4';
+const KEYVAULT_RESOURCE = 'https://vault.azure.net';
+const IDENTITY_API_VERSION = '2019-08-01';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Tokens are renewed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// How long a rejected key with no replacement is not looked up again
+const STALE_RETRY_MS = 30 * 1000;
+
+let defaultChain;
+
+/**
+ * Validates API key format for security
+ */
+function isValidApiKeyFormat(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') return false;
+
+    // OpenAI API keys start with 'sk-'
+    // Azure OpenAI keys are alphanumeric, 32+ chars
+    const isOpenAI = apiKey.startsWith('sk-') && apiKey.length > 20;
+    const isAzure = /^[a-zA-Z0-9]{32,}$/.test(apiKey);
+
+    return isOpenAI || isAzure;
+}
+
+/**
+ * App Setting names of the key for an LLM provider, in priority order
+ */
+function getApiKeySecretNames(providerName = 'openai') {
+    return providerName === 'azure'
+        ? ['AZURE_OPENAI_API_KEY', 'OPENAI_API_KEY']
+        : ['OPENAI_API_KEY'];
+}
+
+/**
+ * The key sent with the request
+ */
+function createRequestSecretProvider() {
+    return {
+        name: 'request',
+        cacheable: false,
+        async getSecret(name, request = {}) {
+            return request.apiKey || null;
+        }
+    };
+}
+
+/**
+ * App Settings / environment variables
+ */
+function createEnvSecretProvider(env = process.env) {
+    return {
+        name: 'env',
+        cacheable: true,
+        async getSecret(name) {
+            return env[name] || null;
+        }
+    };
+}
+
+/**
+ * Azure Key Vault secrets, read with a managed identity token
+ * Secret names: <NAME>_SECRET_NAME app setting (OPENAI_SECRET_NAME for OPENAI_API_KEY),
+ * else the setting name with dashes (OPENAI-API-KEY). Returns null when KEYVAULT_URL is not set.
+ */
+function createKeyVaultSecretProvider({ vaultUrl, identityEndpoint, identityHeader, clientId, env = process.env, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    let token = null;
+
+    const getToken = async () => {
+        if (token && token.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+            return token.value;
+        }
+        if (!identityEndpoint || !identityHeader) {
+            throw new Error('Managed identity is not available (IDENTITY_ENDPOINT and IDENTITY_HEADER are not set)');
+        }
+
+        const url = new URL(identityEndpoint);
+        url.searchParams.set('resource', KEYVAULT_RESOURCE);
+        url.searchParams.set('api-version', IDENTITY_API_VERSION);
+        if (clientId) url.searchParams.set('client_id', clientId);
+
+        const response = await getJson(url, { 'X-IDENTITY-HEADER': identityHeader }, timeoutMs);
+        if (response.statusCode !== 200 || !response.json?.access_token) {
+            throw new Error(`Managed identity token request failed: ${response.statusCode}`);
+        }
+
+        // expires_on is epoch seconds (as a string); fall back to expires_in
+        const expiresOn = Number(response.json.expires_on) * 1000 || Date.now() + (Number(response.json.expires_in) || 3600) * 1000;
+        token = { value: response.json.access_token, expiresAt: expiresOn };
+        return token.value;
+    };
+
+    return {
+        name: 'keyvault',
+        cacheable: true,
+
+        getSecretName(name) {
+            return env[`${name.replace(/_API_KEY$/, '')}_SECRET_NAME`] || name.replace(/_/g, '-');
+        },
+
+        async getSecret(name) {
+            if (!vaultUrl) return null;
+
+            const secretName = this.getSecretName(name);
+            const url = new URL(`secrets/${encodeURIComponent(secretName)}`, vaultUrl.replace(/\/?$/, '/'));
+            url.searchParams.set('api-version', KEYVAULT_API_VERSION);
+
+            let response = await getJson(url, { Authorization: `Bearer ${await getToken()}` }, timeoutMs);
+            if (response.statusCode === 401) {
+                // Token revoked or expired early: one retry with a new one
+                token = null;
+                response = await getJson(url, { Authorization: `Bearer ${await getToken()}` }, timeoutMs);
+            }
+
+            if (response.statusCode === 404) return null;
+            if (response.statusCode !== 200) {
+                const reason = response.json?.error?.message || response.statusCode;
+                throw new Error(`Key Vault secret ${secretName}: ${reason}`);
+            }
+            if (response.json?.attributes?.enabled === false) return null;
+
+            return response.json?.value || null;
+        }
+    };
+}
+
+/**
+ * A JSON file of { "<App Setting name>": "<key>" }; a missing file has no secrets
+ */
+function createFileSecretProvider({ filePath = DEFAULT_SECRETS_FILE } = {}) {
+    return {
+        name: 'file',
+        cacheable: true,
+        filePath,
+
+        async getSecret(name) {
+            let content;
+            try {
+                content = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+
+            const secrets = JSON.parse(content);
+            return typeof secrets[name] === 'string' ? secrets[name] : null;
+        }
+    };
+}
+
+/**
+ * Asks providers in order for the first secret that passes validate
+ * Options: { providers, ttlMs, validate }
+ */
+function createSecretChain({ providers, ttlMs = DEFAULT_CACHE_TTL_SECONDS * 1000, validate = isValidApiKeyFormat }) {
+    // "<provider>:<name>" → { value, expiresAt }, and lookups in flight so they are shared
+    const cache = new Map();
+    const pending = new Map();
+    const refreshing = new Map();
+
+    const lookup = (provider, name, request, context) => {
+        if (!provider.cacheable) {
+            return provider.getSecret(name, request);
+        }
+
+        const cacheKey = `${provider.name}:${name}`;
+        const cached = cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return Promise.resolve(cached.value);
+        }
+        if (pending.has(cacheKey)) {
+            return pending.get(cacheKey);
+        }
+
+        const fetching = (async () => {
+            try {
+                const value = await provider.getSecret(name, request);
+                // Missing secrets are cached too, so an unused Key Vault is not asked every request
+                cache.set(cacheKey, { value, expiresAt: Date.now() + ttlMs });
+                if (value && context) context.log(`🔑 Loaded ${name} from ${provider.name}`);
+                return value;
+            } finally {
+                pending.delete(cacheKey);
+            }
+        })();
+        pending.set(cacheKey, fetching);
+        return fetching;
+    };
+
+    const chain = {
+        providers,
+
+        /**
+         * First valid secret for names: { value, provider, name }, or null
+         * request: { apiKey } for the request provider. Failing providers are logged and skipped.
+         */
+        async resolve(names, { request, context } = {}) {
+            for (const provider of providers) {
+                for (const name of names) {
+                    let value;
+                    try {
+                        value = await lookup(provider, name, request, context);
+                    } catch (error) {
+                        if (context) context.log.warn(`⚠️ Secret provider ${provider.name} failed for ${name}: ${error.message}`);
+                        continue;
+                    }
+
+                    if (!value) continue;
+                    if (!validate(value)) {
+                        if (context && provider.name !== 'request') {
+                            context.log.warn(`⚠️ ${name} from ${provider.name} is not a valid API key - skipped`);
+                        }
+                        continue;
+                    }
+                    return { value, provider: provider.name, name };
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Drops cached entries holding a rejected key and resolves again
+         * Returns the replacement, or null when the key did not come from the cache or
+         * nothing else is configured. Concurrent refreshes of one key share a lookup.
+         */
+        refresh(staleValue, names, { context } = {}) {
+            if (refreshing.has(staleValue)) {
+                return refreshing.get(staleValue);
+            }
+
+            const stale = [...cache.entries()].filter(([, entry]) => entry.value === staleValue);
+            if (stale.length === 0) {
+                return Promise.resolve(null);
+            }
+
+            stale.forEach(([cacheKey]) => cache.delete(cacheKey));
+            const refreshed = chain.resolve(names, { context }).then(found => {
+                return found && found.value !== staleValue ? found : null;
+            });
+
+            // A replacement is kept for the TTL so requests still holding the old key switch
+            // without another lookup; "nothing newer" only briefly, so a rotation soon after is seen
+            refreshing.set(staleValue, refreshed);
+            refreshed.then(found => {
+                setTimeout(() => refreshing.delete(staleValue), found ? ttlMs : STALE_RETRY_MS).unref();
+            });
+            return refreshed;
+        },
+
+        clear() {
+            cache.clear();
+            refreshing.clear();
+        }
+    };
+
+    return chain;
+}
+
+/**
+ * Creates the named providers from app settings
+ */
+function createSecretProviders(names, env = process.env) {
+    const factories = {
+        request: () => createRequestSecretProvider(),
+        env: () => createEnvSecretProvider(env),
+        keyvault: () => createKeyVaultSecretProvider({
+            vaultUrl: env.KEYVAULT_URL,
+            identityEndpoint: env.IDENTITY_ENDPOINT,
+            identityHeader: env.IDENTITY_HEADER,
+            clientId: env.AZURE_CLIENT_ID,
+            env
+        }),
+        file: () => createFileSecretProvider({ filePath: env.SECRETS_FILE || DEFAULT_SECRETS_FILE })
+    };
+
+    return names.map(name => {
+        if (!factories[name]) {
+            throw new Error(`Unknown secret provider '${name}'. Supported: ${Object.keys(factories).join(', ')}`);
+        }
+        return factories[name]();
+    });
+}
+
+/**
+ * Returns the secret chain configured by app settings
+ */
+function getSecretChain() {
+    if (!defaultChain) {
+        const names = process.env.SECRET_PROVIDERS
+            ? process.env.SECRET_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+            : DEFAULT_PROVIDERS;
+        const ttlSeconds = process.env.SECRET_CACHE_TTL_SECONDS !== undefined
+            ? Number(process.env.SECRET_CACHE_TTL_SECONDS)
+            : DEFAULT_CACHE_TTL_SECONDS;
+
+        defaultChain = createSecretChain({ providers: createSecretProviders(names), ttlMs: ttlSeconds * 1000 });
+    }
+    return defaultChain;
+}
+
+/**
+ * GETs a URL; resolves with { statusCode, json } (json is null for non-JSON bodies)
+ */
+function getJson(url, headers, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const protocol = url.protocol === 'https:' ? https : http;
+
+        const req = protocol.get(url, { headers: { Accept: 'application/json', ...headers } }, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                clearTimeout(timer);
+                let json = null;
+                try {
+                    json = JSON.parse(data);
+                } catch (error) {
+                    // Not JSON: callers go by the status code
+                }
+                resolve({ statusCode: res.statusCode, json });
+            });
+
+            res.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        const timer = setTimeout(() => {
+            req.destroy(new Error(`${url.host} did not answer within ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    isValidApiKeyFormat,
+    getApiKeySecretNames,
+    createRequestSecretProvider,
+    createEnvSecretProvider,
+    createKeyVaultSecretProvider,
+    createFileSecretProvider,
+    createSecretChain,
+    createSecretProviders,
+    getSecretChain
+};
@@ -0,0 +1,363 @@
+/**
+ * Spreadsheet
+ * Reads translation sheets from .xlsx and .csv files without dependencies, for
+ * tools that run outside the browser (the browser uses SheetJS in excelInterop.js)
+ *
+ * - XLSX: ZIP entries inflated with zlib, cell values from the sheet and shared
+ *   strings XML (read with xmlParser.js); formulas give their cached value and numbers
+ *   their stored text
+ * - CSV: RFC 4180 quoting, comma/semicolon/tab detected from the header line
+ *
+ * Sheets have the excelInterop shape: { name, index, hidden, headers, rows } with
+ * rows keyed by header and '' for empty cells. Blank rows are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseXml, localName, childElements, descendants, textContent } = require('./xmlParser');
+
+// Same column names the Blazor page detects, exact match first, then partial
+const LANGUAGE_COLUMNS = ['LanguageCode', 'Language', 'Lang', 'Locale', 'Culture', 'CultureCode'];
+const KEY_COLUMNS = ['TranslationKey', 'Key', 'Name', 'Field', 'Property', '__EMPTY'];
+const VALUE_COLUMNS = ['Value', 'Translation', 'Text', 'Content', 'Message'];
+const TEMPLATE_COLUMNS = ['StringKey', 'Template', 'TemplateKey'];
+
+/**
+ * Reads a .xlsx or .csv file
+ * Options: { sheets: names to return (default all) }
+ * Returns { sheetNames, sheets, warnings }
+ */
+function readSpreadsheet(filePath, options = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+    const buffer = fs.readFileSync(filePath);
+
+    if (extension === '.csv' || extension === '.txt') {
+        const name = path.basename(filePath, extension);
+        const { headers, rows } = toRecords(parseCsv(buffer.toString('utf8')));
+        return { sheetNames: [name], sheets: [{ name, index: 0, hidden: false, headers, rows }], warnings: [] };
+    }
+
+    if (extension === '.xlsx') {
+        return readXlsx(buffer, options);
+    }
+
+    throw new Error(`${path.basename(filePath)}: unsupported spreadsheet type '${extension}' (use .xlsx or .csv)`);
+}
+
+/**
+ * Reads the sheets of an .xlsx workbook
+ */
+function readXlsx(buffer, options = {}) {
+    const entries = readZip(buffer);
+    const readXml = (name) => entries.has(name) ? parseXml(entries.get(name).toString('utf8')) : null;
+
+    const workbook = readXml('xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+    }
+
+    const targets = {};
+    const relationships = readXml('xl/_rels/workbook.xml.rels');
+    for (const relationship of relationships ? descendants(relationships, 'Relationship') : []) {
+        const target = relationship.attributes.Target || '';
+        targets[relationship.attributes.Id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    const sharedStringsXml = readXml('xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml
+        ? descendants(sharedStringsXml, 'si').map(stringText)
+        : [];
+
+    const sheetElements = descendants(workbook, 'sheet');
+    const sheetNames = sheetElements.map(sheet => sheet.attributes.name);
+    const selected = Array.isArray(options.sheets) && options.sheets.length > 0 ? options.sheets : sheetNames;
+    const sheets = [];
+    const warnings = [];
+
+    for (const name of selected) {
+        const index = sheetNames.indexOf(name);
+        if (index === -1) {
+            warnings.push({ sheet: name, type: 'missing-sheet', message: `Sheet "${name}" was not found in the workbook` });
+            continue;
+        }
+
+        const element = sheetElements[index];
+        const hidden = Boolean(element.attributes.state && element.attributes.state !== 'visible');
+        if (hidden) {
+            warnings.push({ sheet: name, type: 'hidden-sheet', message: `Sheet "${name}" is hidden` });
+        }
+
+        const relationshipId = Object.keys(element.attributes).find(key => key === 'r:id' || key.endsWith(':id'));
+        const sheetXml = readXml(targets[element.attributes[relationshipId]]);
+        const { headers, rows } = sheetXml
+            ? readWorksheet(sheetXml, sharedStrings, name, warnings)
+            : { headers: [], rows: [] };
+
+        sheets.push({ name, index, hidden, headers, rows });
+    }
+
+    return { sheetNames, sheets, warnings };
+}
+
+/**
+ * Cells of one worksheet as records, with the layout warnings excelInterop gives
+ */
+function readWorksheet(sheetXml, sharedStrings, name, warnings) {
+    const grid = [];
+
+    for (const row of descendants(sheetXml, 'row')) {
+        const rowNumber = Number(row.attributes.r) || grid.length + 1;
+        const cells = [];
+
+        for (const cell of childElements(row, 'c')) {
+            const column = cell.attributes.r ? columnIndex(cell.attributes.r) : cells.length;
+            cells[column] = cellValue(cell, sharedStrings);
+        }
+
+        if (row.attributes.hidden === '1' || row.attributes.hidden === 'true') {
+            warnings.push({ sheet: name, type: 'hidden-row', row: rowNumber, message: `Row ${rowNumber} is hidden but will be imported` });
+        }
+
+        grid[rowNumber - 1] = Array.from(cells, value => value ?? '');
+    }
+
+    for (const merge of descendants(sheetXml, 'mergeCell')) {
+        const range = merge.attributes.ref;
+        warnings.push({ sheet: name, type: 'merged-cells', range, message: `Merged cells ${range}: only the first cell has a value` });
+    }
+
+    const records = toRecords(Array.from(grid, row => row || []));
+    records.headers.forEach((header, index) => {
+        if (header.startsWith('__EMPTY') && records.rows.some(row => row[header])) {
+            warnings.push({ sheet: name, type: 'empty-header', column: index, message: `Column ${index + 1} has values but no header` });
+        }
+    });
+
+    return records;
+}
+
+function cellValue(cell, sharedStrings) {
+    const type = cell.attributes.t;
+    const valueElement = childElements(cell, 'v')[0];
+    const raw = valueElement ? textContent(valueElement) : '';
+
+    switch (type) {
+        case 's': return sharedStrings[Number(raw)] ?? '';
+        case 'inlineStr': {
+            const inline = childElements(cell, 'is')[0];
+            return inline ? stringText(inline) : '';
+        }
+        case 'b': return raw === '1' ? 'TRUE' : 'FALSE';
+        default: return raw;
+    }
+}
+
+/**
+ * "AB12" → 27
+ */
+function columnIndex(reference) {
+    const letters = /^[A-Z]+/i.exec(reference)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * First row as headers, the rest as objects; blank rows are skipped and columns
+ * without a header are keyed like SheetJS does (__EMPTY, __EMPTY_1, ...)
+ */
+function toRecords(grid) {
+    const headers = (grid[0] || []).map(value => String(value ?? '').trim());
+    const width = Math.max(0, ...grid.map(cells => cells.length));
+    const names = [];
+    let unnamed = 0;
+
+    for (let index = 0; index < width; index++) {
+        names.push(headers[index] || (unnamed++ === 0 ? '__EMPTY' : `__EMPTY_${unnamed - 1}`));
+    }
+
+    const rows = [];
+    for (const cells of grid.slice(1)) {
+        if (!cells.some(value => String(value ?? '').trim() !== '')) continue;
+
+        const row = {};
+        names.forEach((name, index) => {
+            row[name] = String(cells[index] ?? '');
+        });
+        rows.push(row);
+    }
+
+    return { headers: names, rows };
+}
+
+/**
+ * Parses CSV text into rows of cells
+ */
+function parseCsv(text) {
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let pos = 0; pos < text.length; pos++) {
+        const ch = text[pos];
+
+        if (quoted) {
+            if (ch === '"' && text[pos + 1] === '"') {
+                cell += '"';
+                pos++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[pos + 1] === '\n') pos++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Turns a sheet into translation rows ({ LanguageCode, TranslationKey, Value, StringKey })
+ * Standard sheets have language/key/value columns; matrix sheets have a key column
+ * and one column per language. Returns { format, rows } or null when no key column exists.
+ */
+function toTranslationRows(sheet) {
+    const templateColumn = detectColumn(sheet.headers, TEMPLATE_COLUMNS);
+    const columns = sheet.headers.filter(header => header && header !== templateColumn);
+    const hasValues = (column) => sheet.rows.some(row => String(row[column] ?? '').trim() !== '');
+    const languageColumn = detectColumn(columns, LANGUAGE_COLUMNS);
+    const keyColumn = detectColumn(columns, KEY_COLUMNS);
+    const valueColumn = detectColumn(columns, VALUE_COLUMNS);
+
+    if (!keyColumn) return null;
+
+    const stringKeyOf = (row) => (templateColumn ? String(row[templateColumn] ?? '').trim() : '') || null;
+
+    if (languageColumn && valueColumn) {
+        return {
+            format: 'standard',
+            rows: sheet.rows.map(row => ({
+                LanguageCode: row[languageColumn],
+                TranslationKey: row[keyColumn],
+                Value: row[valueColumn],
+                StringKey: stringKeyOf(row)
+            }))
+        };
+    }
+
+    const languageColumns = columns.filter(header => header !== keyColumn && !(header.startsWith('__EMPTY') && !hasValues(header)));
+    return {
+        format: 'matrix',
+        rows: sheet.rows.flatMap(row => languageColumns
+            .filter(language => String(row[language] ?? '').trim() !== '')
+            .map(language => ({
+                LanguageCode: language,
+                TranslationKey: row[keyColumn],
+                Value: row[language],
+                StringKey: stringKeyOf(row)
+            })))
+    };
+}
+
+function detectColumn(columns, names) {
+    for (const name of names) {
+        const match = columns.find(column => column.toLowerCase() === name.toLowerCase());
+        if (match) return match;
+    }
+    for (const name of names) {
+        const match = columns.find(column => column.toLowerCase().includes(name.toLowerCase()));
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Reads the entries of a ZIP archive (stored or deflated) into name → Buffer
+ */
+function readZip(buffer) {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive (end of central directory not found)');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = new Map();
+
+    for (let index = 0; index < count; index++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+
+        if (method === 0) entries.set(name, data);
+        else if (method === 8) entries.set(name, zlib.inflateRawSync(data));
+        else throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Text of a shared or inline string: its <t> runs, without phonetic runs (rPh)
+ */
+function stringText(element) {
+    return element.children.map(child => {
+        if (typeof child === 'string') return '';
+        const name = localName(child.name);
+        if (name === 't') return textContent(child);
+        if (name === 'rPh') return '';
+        return stringText(child);
+    }).join('');
+}
+
+module.exports = {
+    readSpreadsheet,
+    readXlsx,
+    parseCsv,
+    toTranslationRows
+};
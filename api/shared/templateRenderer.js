@@ -0,0 +1,304 @@
+/**
+ * Template Renderer
+ * Renders the Handlebars subset locally so converted templates can be previewed
+ * against sample LoadedData profiles, and builds scenarios that reach every
+ * #if/#unless branch
+ *
+ * Helpers mirror the CRM renderer: String.Equal compares without type coercion,
+ * which is why numbers are wrapped in Object.ToString before comparing.
+ * Output is not HTML-escaped.
+ *
+ * Profiles location (in priority order):
+ * 1. PREVIEW_PROFILES_PATH app setting
+ * 2. api/config/previewProfiles.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHandlebars } = require('./handlebarsValidator');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'config', 'previewProfiles.json');
+
+const HELPER_FUNCTIONS = {
+    'String.Concat': (...args) => args.map(toText).join(''),
+    'String.Append': (...args) => args.map(toText).join(''),
+    'String.Equal': (a, b) => a === b,
+    'Object.ToString': (value) => toText(value)
+};
+
+let cachedProfiles = null;
+
+/**
+ * Reads the sample profiles (cached for the default file)
+ */
+function loadPreviewProfiles(profilesPath) {
+    if (!profilesPath && cachedProfiles) {
+        return cachedProfiles;
+    }
+
+    const filePath = profilesPath || process.env.PREVIEW_PROFILES_PATH || DEFAULT_PROFILES_PATH;
+    const profiles = JSON.parse(fs.readFileSync(filePath, 'utf8')).profiles || [];
+
+    if (!profilesPath) {
+        cachedProfiles = profiles;
+    }
+
+    return profiles;
+}
+
+/**
+ * Renders a template against data
+ * Returns { text, branches } where branches lists the block branches taken
+ * ("#if@12:then" / "#if@12:else"); throws when the template does not parse
+ */
+function renderTemplate(source, data) {
+    const ast = parseTemplate(source);
+    const branches = [];
+    const text = renderNodes(ast.body, data || {}, branches);
+    return { text, branches };
+}
+
+function parseTemplate(source) {
+    const { ast, diagnostics } = parseHandlebars(String(source ?? ''));
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Cannot render invalid template: ${errors[0].message}`);
+    }
+    return ast;
+}
+
+function renderNodes(nodes, data, branches) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'Text':
+                return node.value;
+            case 'Mustache':
+                return toText(node.params.length === 0 && !HELPER_FUNCTIONS[node.path.original]
+                    ? lookup(data, node.path.original)
+                    : callHelper(node, data));
+            case 'Block': {
+                const value = evaluate(node.params[0], data);
+                const truthy = node.helper === 'unless' ? !isTruthy(value) : isTruthy(value);
+                branches.push(branchId(node, truthy));
+                if (truthy) return renderNodes(node.program.body, data, branches);
+                return node.inverse ? renderNodes(node.inverse.body, data, branches) : '';
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function callHelper(node, data) {
+    const helper = HELPER_FUNCTIONS[node.path.original];
+    if (!helper) {
+        throw new Error(`Unknown helper '${node.path.original}'`);
+    }
+    return helper(...node.params.map(param => evaluate(param, data)));
+}
+
+function evaluate(node, data) {
+    switch (node.type) {
+        case 'Path': return lookup(data, node.original);
+        case 'String':
+        case 'Number':
+        case 'Boolean': return node.value;
+        case 'SubExpression': return callHelper(node, data);
+        default: return undefined;
+    }
+}
+
+function lookup(data, variable) {
+    return variable.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), data);
+}
+
+function toText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// Handlebars truthiness: false, null, undefined, '', 0 and [] are falsy
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+function branchId(node, taken) {
+    return `#${node.helper}@${node.offset}:${taken ? 'then' : 'else'}`;
+}
+
+/**
+ * Builds one scenario per reachable block branch, starting from base data
+ * Returns [{ name, assignments, data }] plus every branch id in the template
+ */
+function buildBranchScenarios(source, baseData, profiles = []) {
+    const ast = parseTemplate(source);
+    const targets = [];
+    collectBranches(ast.body, [], targets);
+
+    const scenarios = [];
+    const seen = new Set();
+    const unreachable = [];
+
+    for (const target of targets) {
+        const assignments = {};
+        let reachable = true;
+
+        for (const requirement of [...target.path, { condition: target.condition, truthy: target.truthy }]) {
+            const value = chooseValue(requirement, profiles);
+            const variable = requirement.condition.variable;
+
+            if (value === undefined || (variable in assignments && assignments[variable] !== value)) {
+                reachable = false;
+                break;
+            }
+            assignments[variable] = value;
+        }
+
+        if (!reachable) {
+            unreachable.push(target.id);
+            continue;
+        }
+
+        const key = JSON.stringify(assignments);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const data = JSON.parse(JSON.stringify(baseData || {}));
+        for (const [variable, value] of Object.entries(assignments)) {
+            assign(data, variable, value);
+        }
+
+        scenarios.push({
+            name: Object.entries(assignments).map(([variable, value]) => `${variable} = ${JSON.stringify(value)}`).join(', '),
+            assignments,
+            data
+        });
+    }
+
+    return { scenarios, branches: targets.map(target => target.id), unreachable };
+}
+
+/**
+ * Lists every branch with the outer conditions needed to reach it
+ */
+function collectBranches(nodes, outer, targets) {
+    for (const node of nodes) {
+        if (node.type !== 'Block') continue;
+
+        const condition = describeCondition(node.params[0]);
+        for (const taken of [true, false]) {
+            // #unless renders its body when the condition is false
+            const truthy = node.helper === 'unless' ? !taken : taken;
+            targets.push({ id: branchId(node, taken), condition, truthy, path: outer });
+
+            const body = taken ? node.program.body : (node.inverse ? node.inverse.body : []);
+            collectBranches(body, [...outer, { condition, truthy }], targets);
+        }
+    }
+}
+
+/**
+ * Reduces a condition to the variable it tests:
+ * - (String.Equal V "x") / (String.Equal (Object.ToString V) "x")
+ * - a bare variable (truthiness)
+ */
+function describeCondition(param) {
+    if (param && param.type === 'Path') {
+        return { variable: param.original, kind: 'truthy' };
+    }
+
+    if (param && param.type === 'SubExpression' && param.path.original === 'String.Equal' && param.params.length === 2) {
+        const [subject, expected] = param.params;
+        const literal = expected.type === 'String' || expected.type === 'Number' || expected.type === 'Boolean';
+
+        if (literal && subject.type === 'Path') {
+            return { variable: subject.original, kind: 'equal', value: expected.value };
+        }
+        if (literal && subject.type === 'SubExpression' && subject.path.original === 'Object.ToString'
+            && subject.params.length === 1 && subject.params[0].type === 'Path') {
+            return { variable: subject.params[0].original, kind: 'equal-text', value: toText(expected.value) };
+        }
+    }
+
+    return { variable: null, kind: 'unknown' };
+}
+
+/**
+ * A value for the condition's variable that makes it true or false, preferring
+ * values from the sample profiles; undefined when none can be chosen
+ */
+function chooseValue({ condition, truthy }, profiles) {
+    if (!condition.variable) return undefined;
+
+    const samples = profiles
+        .map(profile => lookup(profile.data || {}, condition.variable))
+        .filter(value => value !== undefined);
+
+    if (condition.kind === 'truthy') {
+        const sample = samples.find(value => isTruthy(value) === truthy);
+        if (sample !== undefined) return sample;
+        return truthy ? 'Sample' : '';
+    }
+
+    if (condition.kind === 'equal') {
+        if (truthy) return condition.value;
+        const sample = samples.find(value => value !== condition.value);
+        return sample !== undefined ? sample : `not ${condition.value}`;
+    }
+
+    // equal-text: numeric strings become numbers, as CRM data has them
+    if (truthy) {
+        return /^-?\d+(\.\d+)?$/.test(condition.value) ? Number(condition.value) : condition.value;
+    }
+    const sample = samples.find(value => toText(value) !== condition.value);
+    return sample !== undefined ? sample : `not ${condition.value}`;
+}
+
+function assign(data, variable, value) {
+    const parts = variable.split('.');
+    let target = data;
+    for (const part of parts.slice(0, -1)) {
+        if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Renders a template for every profile and every branch scenario
+ * Returns { profiles: [{ name, text }], branches: [{ name, assignments, text }],
+ * coverage: { total, covered, uncovered } }
+ */
+function previewTemplate(source, profiles) {
+    const covered = new Set();
+
+    const profileResults = profiles.map(profile => {
+        const { text, branches } = renderTemplate(source, profile.data);
+        branches.forEach(branch => covered.add(branch));
+        return { name: profile.name, text };
+    });
+
+    const base = profiles[0] ? profiles[0].data : {};
+    const { scenarios, branches: allBranches } = buildBranchScenarios(source, base, profiles);
+
+    const branchResults = scenarios.map(scenario => {
+        const { text, branches } = renderTemplate(source, scenario.data);
+        branches.forEach(branch => covered.add(branch));
+        return { name: scenario.name, assignments: scenario.assignments, text };
+    });
+
+    const uncovered = allBranches.filter(branch => !covered.has(branch));
+
+    return {
+        profiles: profileResults,
+        branches: branchResults,
+        coverage: { total: allBranches.length, covered: allBranches.length - uncovered.length, uncovered }
+    };
+}
+
+module.exports = {
+    loadPreviewProfiles,
+    renderTemplate,
+    buildBranchScenarios,
+    previewTemplate
+};
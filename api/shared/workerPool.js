@@ -0,0 +1,32 @@
+/**
+ * Worker Pool
+ * Runs an async worker over items with bounded concurrency
+ */
+
+/**
+ * Calls worker(item, index) for every item, at most `concurrency` at a time
+ * Resolves when all workers finish; a rejected worker rejects the pool,
+ * so workers should handle their own errors
+ */
+async function runPool(items, concurrency, worker) {
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(runner());
+    }
+
+    await Promise.all(runners);
+}
+
+module.exports = {
+    runPool
+};
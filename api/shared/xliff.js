@@ -0,0 +1,444 @@
+/**
+ * XLIFF
+ * Exports localizedContents to XLIFF 1.2 / 2.0 for localization vendors and reads
+ * their returned files back into ConvertBatch Texts ("langCode|translationKey" → text)
+ *
+ * Handlebars is protected as inline codes so translation tools cannot change it:
+ * - every {{...}} becomes a placeholder (1.2 <ph>, 2.0 <ph dataRef>)
+ * - {{String.Concat "text" Variable ...}} (and String.Append) is opened up so its string
+ *   literals are translatable: the helper is a paired code (1.2 <bpt>/<ept>, 2.0 <sc>/<ec>)
+ *   around the text, with a placeholder per variable, and is rebuilt on import
+ */
+
+const { parseHandlebars } = require('./handlebarsValidator');
+const { parseXml, localName, childElements, descendants, textContent } = require('./xmlParser');
+
+const XLIFF_VERSIONS = ['1.2', '2.0'];
+
+// Helpers whose arguments are joined into one string
+const CONCAT_HELPERS = ['String.Concat', 'String.Append'];
+const CONCAT_END = '}}';
+
+/**
+ * Builds one XLIFF file per target language
+ * Options: { version: '1.2' | '2.0', sourceLanguage, targetLanguages, original }
+ * Returns [{ language, fileName, content }]
+ */
+function exportXliff(localizedContents, options = {}) {
+    const version = String(options.version || '1.2');
+    if (!XLIFF_VERSIONS.includes(version)) {
+        throw new Error(`XLIFF version must be one of: ${XLIFF_VERSIONS.join(', ')}`);
+    }
+
+    const languages = Object.keys(localizedContents || {});
+    const sourceLanguage = options.sourceLanguage || (languages.includes('en') ? 'en' : languages[0]);
+    if (!sourceLanguage || !localizedContents[sourceLanguage]) {
+        throw new Error(`Source language '${sourceLanguage || ''}' is not in localizedContents`);
+    }
+
+    const targetLanguages = options.targetLanguages && options.targetLanguages.length > 0
+        ? options.targetLanguages
+        : languages.filter(language => language !== sourceLanguage);
+    const original = options.original || 'translations';
+
+    return targetLanguages.map(language => {
+        const units = Object.entries(localizedContents[sourceLanguage]).map(([key, source]) => ({
+            key,
+            source: String(source ?? ''),
+            target: localizedContents[language]?.[key]
+        }));
+
+        const content = version === '1.2'
+            ? renderXliff12(units, sourceLanguage, language, original)
+            : renderXliff20(units, sourceLanguage, language, original);
+
+        return { language, fileName: `${original}.${language}.xlf`, content };
+    });
+}
+
+/**
+ * Reads an XLIFF 1.2 or 2.0 document
+ * Returns { texts, warnings } - texts keyed by "langCode|translationKey";
+ * units without a target are skipped with a warning
+ */
+function importXliff(xml) {
+    const root = parseXml(xml).children.find(node => typeof node === 'object');
+    if (!root || localName(root.name) !== 'xliff') {
+        throw new Error('Not an XLIFF document: missing <xliff> root element');
+    }
+
+    const version = root.attributes.version || '';
+    const texts = {};
+    const warnings = [];
+
+    if (version.startsWith('1.')) {
+        for (const file of childElements(root, 'file')) {
+            const language = file.attributes['target-language'];
+            if (!language) {
+                warnings.push({ type: 'missing-language', message: `<file original="${file.attributes.original || ''}"> has no target-language` });
+                continue;
+            }
+            for (const unit of descendants(file, 'trans-unit')) {
+                const key = unit.attributes.resname || unit.attributes.id;
+                const target = childElements(unit, 'target')[0];
+                addUnit(texts, warnings, language, key, target ? readSegments12(target, key, warnings) : null);
+            }
+        }
+    } else if (version.startsWith('2.')) {
+        const language = root.attributes.trgLang;
+        if (!language) {
+            throw new Error('XLIFF 2.0 document has no trgLang');
+        }
+        for (const unit of descendants(root, 'unit')) {
+            const key = unit.attributes.name || unit.attributes.id;
+            const data = {};
+            for (const item of descendants(unit, 'data')) {
+                data[item.attributes.id] = textContent(item);
+            }
+
+            let segments = null;
+            for (const part of unit.children.filter(node => typeof node === 'object')) {
+                const name = localName(part.name);
+                if (name !== 'segment' && name !== 'ignorable') continue;
+                const target = childElements(part, 'target')[0];
+                if (!target) {
+                    segments = null;
+                    break;
+                }
+                segments = (segments || []).concat(readSegments20(target, data, key, warnings));
+            }
+            addUnit(texts, warnings, language, key, segments);
+        }
+    } else {
+        throw new Error(`Unsupported XLIFF version '${version}'`);
+    }
+
+    return { texts, warnings };
+}
+
+function addUnit(texts, warnings, language, key, segments) {
+    if (!key) {
+        warnings.push({ type: 'missing-key', language, message: 'Unit without resname/name or id skipped' });
+        return;
+    }
+    if (!segments) {
+        warnings.push({ type: 'missing-target', language, key, message: `${key} has no translation` });
+        return;
+    }
+
+    const { text, balanced } = fromSegments(segments);
+    if (!balanced) {
+        warnings.push({ type: 'broken-concat', language, key, message: `${key}: concatenation markers are unbalanced` });
+    }
+    texts[`${language}|${key}`] = text;
+}
+
+/**
+ * Splits Handlebars text into text runs and protected codes
+ * Returns [{ type: 'text' | 'code' | 'start' | 'end', value }]
+ */
+function toSegments(value) {
+    const segments = [];
+    const pushText = (text) => {
+        if (!text) return;
+        const last = segments[segments.length - 1];
+        if (last && last.type === 'text') last.value += text;
+        else segments.push({ type: 'text', value: text });
+    };
+
+    let pos = 0;
+    while (pos < value.length) {
+        const open = value.indexOf('{{', pos);
+        if (open === -1) break;
+        const close = findMustacheEnd(value, open);
+        if (close === -1) break;
+
+        pushText(value.substring(pos, open));
+        const code = value.substring(open, close);
+        const concat = getConcatCall(code);
+
+        if (concat) {
+            segments.push({ type: 'start', value: `{{${concat.helper}` });
+            for (const param of concat.params) {
+                if (param.type === 'String') pushText(param.value);
+                else segments.push({ type: 'code', value: `{{${param.original}}}` });
+            }
+            segments.push({ type: 'end', value: CONCAT_END });
+        } else {
+            segments.push({ type: 'code', value: code });
+        }
+        pos = close;
+    }
+
+    pushText(value.substring(pos));
+    return segments;
+}
+
+/**
+ * Rebuilds Handlebars from segments; String.Concat runs become helper calls again
+ */
+function fromSegments(segments) {
+    let output = '';
+    let helper = null;
+    let parts = null;
+    let balanced = true;
+
+    for (const segment of segments) {
+        const type = segment.type === 'code' ? classifyCode(segment.value) : segment.type;
+
+        if (type === 'start') {
+            if (parts) balanced = false;
+            helper = segment.value.substring(2);
+            parts = [];
+        } else if (type === 'end' && parts) {
+            output += parts.length > 0 ? `{{${helper} ${parts.join(' ')}}}` : '';
+            parts = null;
+        } else if (parts) {
+            if (type === 'text') {
+                if (segment.value) parts.push(`"${escapeQuotes(segment.value)}"`);
+            } else {
+                parts.push(segment.value.replace(/^\{\{\s*|\s*\}\}$/g, ''));
+            }
+        } else {
+            if (type === 'end') balanced = false;
+            output += segment.value;
+        }
+    }
+
+    if (parts) {
+        balanced = false;
+        output += `{{${helper} ${parts.join(' ')}}}`;
+    }
+
+    return { text: output, balanced };
+}
+
+function classifyCode(code) {
+    if (CONCAT_HELPERS.some(helper => code === `{{${helper}`)) return 'start';
+    if (code === CONCAT_END) return 'end';
+    return 'code';
+}
+
+/**
+ * { helper, params } of a String.Concat/String.Append mustache made only of strings
+ * and variables, else null
+ */
+function getConcatCall(code) {
+    if (!CONCAT_HELPERS.some(helper => code.startsWith(`{{${helper} `))) return null;
+
+    const { ast, diagnostics } = parseHandlebars(code);
+    const node = ast.body[0];
+    if (diagnostics.length > 0 || ast.body.length !== 1 || node.type !== 'Mustache') return null;
+    if (!CONCAT_HELPERS.includes(node.path.original) || node.hash.length > 0) return null;
+    if (!node.params.every(param => param.type === 'String' || param.type === 'Path')) return null;
+
+    return { helper: node.path.original, params: node.params };
+}
+
+/**
+ * Index just past the '}}' closing the mustache at `open`, skipping quoted strings
+ */
+function findMustacheEnd(text, open) {
+    let quote = null;
+    for (let i = open + 2; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '}' && text[i + 1] === '}') {
+            return text[i + 2] === '}' ? i + 3 : i + 2;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Gives each code an id shared by source and target: the nth occurrence of the
+ * same code gets the same id on both sides
+ */
+function createCodeIds() {
+    const ids = new Map();
+    let next = 1;
+
+    return (segments) => {
+        const seen = new Map();
+        const starts = [];
+
+        return segments.map(segment => {
+            if (segment.type === 'text') return segment;
+            if (segment.type === 'end') {
+                return { ...segment, id: starts.pop() ?? next++ };
+            }
+
+            const occurrence = (seen.get(segment.value) || 0) + 1;
+            seen.set(segment.value, occurrence);
+            const key = `${segment.value}#${occurrence}`;
+            if (!ids.has(key)) ids.set(key, next++);
+
+            const id = ids.get(key);
+            if (segment.type === 'start') starts.push(id);
+            return { ...segment, id };
+        });
+    };
+}
+
+function renderXliff12(units, sourceLanguage, targetLanguage, original) {
+    const body = units.map(unit => {
+        const assignIds = createCodeIds();
+        const source = renderInline12(assignIds(toSegments(unit.source)));
+        const target = unit.target !== undefined && unit.target !== null
+            ? `\n        <target>${renderInline12(assignIds(toSegments(String(unit.target))))}</target>`
+            : '';
+        return `      <trans-unit id="${escapeXml(unit.key)}" resname="${escapeXml(unit.key)}" xml:space="preserve">
+        <source>${source}</source>${target}
+      </trans-unit>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file original="${escapeXml(original)}" source-language="${escapeXml(sourceLanguage)}" target-language="${escapeXml(targetLanguage)}" datatype="plaintext">
+    <body>
+${body.join('\n')}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+function renderInline12(segments) {
+    return segments.map(segment => {
+        switch (segment.type) {
+            case 'text': return escapeXml(segment.value);
+            case 'start': return `<bpt id="${segment.id}">${escapeXml(segment.value)}</bpt>`;
+            case 'end': return `<ept id="${segment.id}">${escapeXml(segment.value)}</ept>`;
+            default: return `<ph id="${segment.id}">${escapeXml(segment.value)}</ph>`;
+        }
+    }).join('');
+}
+
+function renderXliff20(units, sourceLanguage, targetLanguage, original) {
+    const body = units.map((unit, index) => {
+        const assignIds = createCodeIds();
+        const data = new Map();
+        const dataRef = (code) => {
+            if (!data.has(code)) data.set(code, `d${data.size + 1}`);
+            return data.get(code);
+        };
+
+        const source = renderInline20(assignIds(toSegments(unit.source)), dataRef);
+        const hasTarget = unit.target !== undefined && unit.target !== null;
+        const target = hasTarget ? renderInline20(assignIds(toSegments(String(unit.target))), dataRef) : '';
+
+        const originalData = data.size > 0
+            ? `\n      <originalData>\n${[...data].map(([code, id]) => `        <data id="${id}">${escapeXml(code)}</data>`).join('\n')}\n      </originalData>`
+            : '';
+
+        return `    <unit id="u${index + 1}" name="${escapeXml(unit.key)}">${originalData}
+      <segment>
+        <source xml:space="preserve">${source}</source>${hasTarget ? `\n        <target xml:space="preserve">${target}</target>` : ''}
+      </segment>
+    </unit>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">
+  <file id="f1" original="${escapeXml(original)}">
+${body.join('\n')}
+  </file>
+</xliff>
+`;
+}
+
+function renderInline20(segments, dataRef) {
+    return segments.map(segment => {
+        switch (segment.type) {
+            case 'text': return escapeXml(segment.value);
+            case 'start': return `<sc id="${segment.id}" dataRef="${dataRef(segment.value)}"/>`;
+            case 'end': return `<ec startRef="${segment.id}" dataRef="${dataRef(segment.value)}"/>`;
+            default: return `<ph id="${segment.id}" dataRef="${dataRef(segment.value)}"/>`;
+        }
+    }).join('');
+}
+
+/**
+ * Inline content of a 1.2 <target>: text, <ph>/<bpt>/<ept>/<it> codes, <g>/<mrk> wrappers
+ */
+function readSegments12(element, key, warnings) {
+    const segments = [];
+
+    for (const node of element.children) {
+        if (typeof node === 'string') {
+            segments.push({ type: 'text', value: node });
+            continue;
+        }
+
+        const name = localName(node.name);
+        if (['ph', 'bpt', 'ept', 'it'].includes(name)) {
+            segments.push({ type: 'code', value: textContent(node) });
+        } else if (name === 'g' || name === 'mrk') {
+            segments.push(...readSegments12(node, key, warnings));
+        } else {
+            warnings.push({ type: 'unsupported-inline', key, message: `${key}: <${name}> ignored` });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Inline content of a 2.0 <target>: text, <ph>/<sc>/<ec> codes, <pc>/<mrk> wrappers
+ */
+function readSegments20(element, data, key, warnings) {
+    const segments = [];
+    const code = (ref) => {
+        if (data[ref] === undefined) {
+            warnings.push({ type: 'missing-data', key, message: `${key}: no originalData for '${ref}'` });
+            return { type: 'text', value: '' };
+        }
+        return { type: 'code', value: data[ref] };
+    };
+
+    for (const node of element.children) {
+        if (typeof node === 'string') {
+            segments.push({ type: 'text', value: node });
+            continue;
+        }
+
+        const name = localName(node.name);
+        if (name === 'ph' || name === 'sc' || name === 'ec') {
+            segments.push(code(node.attributes.dataRef));
+        } else if (name === 'pc') {
+            segments.push(code(node.attributes.dataRefStart));
+            segments.push(...readSegments20(node, data, key, warnings));
+            segments.push(code(node.attributes.dataRefEnd));
+        } else if (name === 'mrk') {
+            segments.push(...readSegments20(node, data, key, warnings));
+        } else {
+            warnings.push({ type: 'unsupported-inline', key, message: `${key}: <${name}> ignored` });
+        }
+    }
+
+    return segments;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeQuotes(text) {
+    return text.replace(/"/g, '\\"');
+}
+
+module.exports = {
+    XLIFF_VERSIONS,
+    exportXliff,
+    importXliff,
+    toSegments,
+    fromSegments
+};
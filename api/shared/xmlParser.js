@@ -0,0 +1,125 @@
+/**
+ * XML Parser
+ * Minimal XML reader shared by the XLIFF import (xliff.js) and the XLSX reader
+ * (spreadsheet.js). It reads well-formed documents only: no DTDs, external
+ * entities or namespace resolution (names keep their prefix; see localName)
+ */
+
+/**
+ * Parses elements, attributes, text, CDATA and entities
+ * Returns a document node { children } where children are element nodes
+ * ({ name, attributes, children }) or strings
+ */
+function parseXml(xml) {
+    const document = { name: '#document', attributes: {}, children: [] };
+    const stack = [document];
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid XML at ${pos}: ${message}`);
+    };
+
+    while (pos < xml.length) {
+        const parent = stack[stack.length - 1];
+        const lt = xml.indexOf('<', pos);
+
+        if (lt === -1 || lt > pos) {
+            const text = xml.substring(pos, lt === -1 ? xml.length : lt);
+            if (stack.length > 1) parent.children.push(decodeEntities(text));
+            if (lt === -1) break;
+            pos = lt;
+            continue;
+        }
+
+        if (xml.startsWith('<!--', pos)) {
+            const end = xml.indexOf('-->', pos);
+            if (end === -1) fail('unterminated comment');
+            pos = end + 3;
+        } else if (xml.startsWith('<![CDATA[', pos)) {
+            const end = xml.indexOf(']]>', pos);
+            if (end === -1) fail('unterminated CDATA');
+            parent.children.push(xml.substring(pos + 9, end));
+            pos = end + 3;
+        } else if (xml.startsWith('<?', pos) || xml.startsWith('<!', pos)) {
+            const end = xml.indexOf('>', pos);
+            if (end === -1) fail('unterminated declaration');
+            pos = end + 1;
+        } else if (xml.startsWith('</', pos)) {
+            const end = xml.indexOf('>', pos);
+            if (end === -1) fail('unterminated closing tag');
+            const name = xml.substring(pos + 2, end).trim();
+            if (stack.length < 2 || parent.name !== name) fail(`unexpected </${name}>`);
+            stack.pop();
+            pos = end + 1;
+        } else {
+            const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.substring(pos));
+            if (!match) fail('malformed tag');
+
+            const attributes = {};
+            for (const attribute of match[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+            }
+
+            const element = { name: match[1], attributes, children: [] };
+            parent.children.push(element);
+            if (!match[3]) stack.push(element);
+            pos += match[0].length;
+        }
+    }
+
+    if (stack.length > 1) {
+        fail(`<${stack[stack.length - 1].name}> is never closed`);
+    }
+
+    return document;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : Number(name.substring(1)));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+}
+
+/**
+ * Element name without its namespace prefix (x:row → row)
+ */
+function localName(name) {
+    return name.substring(name.indexOf(':') + 1);
+}
+
+/**
+ * Child elements with this local name
+ */
+function childElements(element, name) {
+    return element.children.filter(node => typeof node === 'object' && localName(node.name) === name);
+}
+
+/**
+ * Elements with this local name below element, not looking inside a match
+ */
+function descendants(element, name, result = []) {
+    for (const node of element.children) {
+        if (typeof node !== 'object') continue;
+        if (localName(node.name) === name) result.push(node);
+        else descendants(node, name, result);
+    }
+    return result;
+}
+
+/**
+ * Concatenated text of an element and its descendants
+ */
+function textContent(element) {
+    return element.children.map(node => typeof node === 'string' ? node : textContent(node)).join('');
+}
+
+module.exports = {
+    parseXml,
+    localName,
+    childElements,
+    descendants,
+    textContent
+};
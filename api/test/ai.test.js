@@ -0,0 +1,106 @@
+/**
+ * AI path tests against cli/mock-openai.js, which replays test/recordings/openai.json
+ * so no network or key is needed
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.AI_RATE_LIMIT_PER_MINUTE = '6000';
+process.env.AI_MAX_RETRIES = '2';
+
+const { DEFAULT_MODEL, convertTexts } = require('../shared/converter');
+const { getLlmProvider } = require('../shared/llmProviders');
+const { startMockOpenAi } = require('../cli/mock-openai');
+
+const API_KEY = `sk-test-${'0'.repeat(24)}`;
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+
+describe('AI conversion with recorded responses', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMockOpenAi({ recordingsPath: path.join(__dirname, 'recordings', 'openai.json') });
+    });
+
+    after(async () => {
+        await mock.close();
+    });
+
+    const convert = (texts, mode = 'ai') => convertTexts(texts, {
+        mode,
+        apiKey: API_KEY,
+        provider: getLlmProvider({ provider: 'openai', endpoint: mock.url }, DEFAULT_MODEL),
+        cache: null,
+        glossary: null
+    }, context);
+
+    test('hybrid mode sends complex texts to the AI and simple ones to patterns', async () => {
+        const { results, items, summary } = await convert({
+            'en|body': 'Hi [Recipient name]. [Sender name] wrote. Reply now.',
+            'en|subject': '[Sender name] likes you.'
+        }, 'hybrid');
+
+        assert.equal(items['en|body'].method, 'ai');
+        assert.equal(results['en|body'], '{{String.Concat "Hi " LoadedData.RecipientProfile.Handle ". " LoadedData.SenderProfile.Handle " wrote. Reply now."}}');
+        assert.equal(items['en|subject'].method, 'pattern');
+        assert.equal(results['en|subject'], '{{String.Concat LoadedData.SenderProfile.Handle " likes you."}}');
+        assert.deepEqual(summary.usage, { aiCalls: 1, promptTokens: 812, completionTokens: 31, totalTokens: 843 });
+    });
+
+    test('sends the API key and model', async () => {
+        const before = mock.requests.length;
+        await convert({ 'en|gender': '[Sender name] likes you. Message him/her for free' });
+
+        const request = mock.requests[before];
+        assert.equal(request.headers.authorization, `Bearer ${API_KEY}`);
+        assert.equal(request.payload.model, DEFAULT_MODEL);
+        assert.equal(request.input, '[Sender name] likes you. Message him/her for free');
+    });
+
+    test('identical texts share one AI call', async () => {
+        const before = mock.requests.length;
+        const { items } = await convert({
+            'en|a': '[Sender name] likes you. Message him/her for free',
+            'de|a': '[Sender name] likes you. Message him/her for free'
+        });
+
+        assert.equal(mock.requests.length - before, 1);
+        assert.deepEqual(Object.values(items).map(item => item.method).sort(), ['ai', 'cache']);
+    });
+
+    test('retries a 429 and counts both calls', async () => {
+        const { results, items, summary } = await convert({ 'en|online': 'If [Sender name] is online, say hi' });
+
+        assert.equal(items['en|online'].status, 'converted');
+        assert.equal(results['en|online'], '{{String.Concat "If " LoadedData.SenderProfile.Handle " is online, say hi"}}');
+        assert.equal(summary.usage.aiCalls, 2);
+    });
+
+    test('rejects recorded output that is not valid Handlebars', async () => {
+        const text = 'For each match, check [Sender name]';
+        const { results, items } = await convert({ 'en|each': text });
+
+        assert.equal(items['en|each'].status, 'failed');
+        assert.equal(results['en|each'], text);
+        assert.ok(items['en|each'].errors.length > 0);
+    });
+
+    test('fails the text on a rejected key without retrying', async () => {
+        const before = mock.requests.length;
+        const { items } = await convert({ 'en|height': 'Your [Sender height] is hidden.' });
+
+        assert.equal(items['en|height'].status, 'failed');
+        assert.equal(items['en|height'].errors[0].code, 'ai_error');
+        assert.equal(mock.requests.length - before, 1);
+    });
+
+    test('unrecorded inputs fail and are reported by the mock', async () => {
+        const text = 'Nothing recorded for [Sender name] here. Really.';
+        const { items } = await convert({ 'en|unknown': text });
+
+        assert.equal(items['en|unknown'].status, 'failed');
+        assert.ok(mock.misses.includes(text));
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Origin and credential checks on every function, and where the server's API key may be sent
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-auth-test-'));
+const CALLER_KEY = 'caller-key-for-tests';
+const SERVER_KEY = `sk-server-${'1'.repeat(24)}`;
+const CALLER_OPENAI_KEY = `sk-caller-${'2'.repeat(24)}`;
+
+fs.writeFileSync(path.join(TEMP_DIR, 'callers.json'), JSON.stringify({
+    version: '1',
+    callers: [{ id: 'crm-team', keyHash: crypto.createHash('sha256').update(CALLER_KEY).digest('hex') }]
+}));
+
+process.env.CALLERS_CONFIG_PATH = path.join(TEMP_DIR, 'callers.json');
+process.env.QUOTA_STORE_DIR = path.join(TEMP_DIR, 'quota');
+process.env.JOB_STORE_DIR = path.join(TEMP_DIR, 'jobs');
+process.env.AUDIT_LOG_DISABLED = 'true';
+process.env.CONVERSION_CACHE_DISABLED = 'true';
+process.env.SECRET_PROVIDERS = 'request,env';
+process.env.OPENAI_API_KEY = SERVER_KEY;
+process.env.AI_MAX_RETRIES = '0';
+
+const { startMockOpenAi } = require('../cli/mock-openai');
+const { getAuthSettings, anonymousId } = require('../shared/callerAuth');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', '..', 'sample-data', 'CRM_Email_Content_message.received__0__0__1'), 'utf8');
+
+// One request per function that passes its own body validation
+const ENDPOINTS = {
+    ConvertBatch: { body: { Texts: { 'en|a': 'Hi' }, Mode: 'pattern' } },
+    Merge: { body: { Document: SAMPLE, Rows: [], Mode: 'pattern' } },
+    Jobs: { params: {}, body: { Texts: { 'en|a': 'Hi' }, Mode: 'pattern' } },
+    CheckConsistency: { body: { Document: SAMPLE } },
+    Locales: { body: { Languages: ['Norwegian'], Declared: ['nb'] } },
+    Preview: { body: { Text: 'Hi' } },
+    ReverseConvert: { body: { Texts: { 'en|a': 'Hi' } } },
+    Xliff: { params: { action: 'export' }, body: { Document: SAMPLE, SourceLanguage: 'en', TargetLanguage: 'es' } }
+};
+
+const invoke = async (name, request = {}) => {
+    const context = { log: Object.assign(() => {}, { warn() {}, error() {} }), invocationId: 'test' };
+    await require(`../${name}`)(context, { method: 'POST', headers: {}, params: {}, query: {}, ...ENDPOINTS[name], ...request });
+    return context.res;
+};
+
+describe('caller checks on every function', () => {
+    beforeEach(() => {
+        delete process.env.AUTH_MODE;
+        delete process.env.ALLOWED_ORIGINS;
+    });
+
+    after(() => {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    for (const name of Object.keys(ENDPOINTS)) {
+        test(`${name} needs credentials when AUTH_MODE is required`, async () => {
+            process.env.AUTH_MODE = 'required';
+
+            const anonymous = await invoke(name);
+            assert.equal(anonymous.status, 401);
+
+            const identified = await invoke(name, { headers: { 'x-api-key': CALLER_KEY } });
+            assert.notEqual(identified.status, 401);
+            assert.notEqual(identified.status, 403);
+        });
+
+        test(`${name} rejects origins outside ALLOWED_ORIGINS`, async () => {
+            process.env.ALLOWED_ORIGINS = 'https://app.example.com';
+
+            const other = await invoke(name, { headers: { origin: 'https://evil.example' } });
+            assert.equal(other.status, 403);
+            assert.equal(other.headers['Access-Control-Allow-Origin'], undefined);
+
+            const allowed = await invoke(name, { headers: { origin: 'https://app.example.com' } });
+            assert.notEqual(allowed.status, 403);
+            assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+        });
+    }
+
+    test('credentials are off unless AUTH_MODE turns them on', () => {
+        assert.equal(getAuthSettings().mode, 'off');
+    });
+
+    test('anonymous callers are counted by the address the trusted proxy added', () => {
+        const req = { headers: { 'x-forwarded-for': '10.0.0.1, 198.51.100.4, 203.0.113.7:51234' } };
+
+        assert.equal(anonymousId(req), 'anonymous:203.0.113.7');
+        process.env.TRUSTED_PROXY_HOPS = '2';
+        assert.equal(anonymousId(req), 'anonymous:198.51.100.4');
+        process.env.TRUSTED_PROXY_HOPS = '0';
+        assert.equal(anonymousId(req), 'anonymous');
+        delete process.env.TRUSTED_PROXY_HOPS;
+    });
+});
+
+describe('server key endpoints', () => {
+    let configured;
+    let requested;
+
+    before(async () => {
+        configured = await startMockOpenAi({ recordings: [] });
+        requested = await startMockOpenAi({ recordings: [] });
+        process.env.OPENAI_ENDPOINT = configured.url;
+        process.env.AUTH_MODE = 'off';
+    });
+
+    after(async () => {
+        delete process.env.OPENAI_ENDPOINT;
+        delete process.env.AI_ALLOWED_ENDPOINTS;
+        await configured.close();
+        await requested.close();
+    });
+
+    beforeEach(() => {
+        configured.requests.length = 0;
+        requested.requests.length = 0;
+    });
+
+    const convert = (body) => invoke('ConvertBatch', { body: { Texts: { 'en|a': 'Hi [Sender name]' }, Mode: 'ai', Provider: 'openai', ...body } });
+
+    test('sends the server key to the configured endpoint', async () => {
+        await convert({});
+
+        assert.equal(configured.requests.length, 1);
+        assert.equal(configured.requests[0].headers.authorization, `Bearer ${SERVER_KEY}`);
+    });
+
+    test('refuses a request Endpoint that is not configured, whoever\'s key is used', async () => {
+        const withServerKey = await convert({ Endpoint: requested.url });
+        const withOwnKey = await convert({ Endpoint: requested.url, ApiKey: CALLER_OPENAI_KEY });
+
+        assert.equal(withServerKey.status, 400);
+        assert.equal(withOwnKey.status, 400);
+        assert.match(withOwnKey.body.error, /AI_ALLOWED_ENDPOINTS/);
+        assert.equal(requested.requests.length + configured.requests.length, 0);
+    });
+
+    test('refuses keyless providers a request names unless they are allowed', async () => {
+        const local = await convert({ Provider: 'local', Endpoint: requested.url });
+        const fake = await convert({ Provider: 'fake' });
+
+        assert.equal(local.status, 400);
+        assert.match(local.body.error, /AI provider 'local' is not enabled/);
+        assert.equal(fake.status, 400);
+        assert.equal(requested.requests.length, 0);
+    });
+
+    test('uses a request Endpoint listed in AI_ALLOWED_ENDPOINTS with the server key', async () => {
+        process.env.AI_ALLOWED_ENDPOINTS = requested.url;
+        await convert({ Endpoint: requested.url });
+        delete process.env.AI_ALLOWED_ENDPOINTS;
+
+        assert.equal(requested.requests.length, 1);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Daily per-caller AI quotas and the audit log
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-quota-test-'));
+const CALLER_KEY = 'quota-caller-key';
+
+fs.writeFileSync(path.join(TEMP_DIR, 'callers.json'), JSON.stringify({
+    version: '1',
+    callers: [{ id: 'small-team', keyHash: crypto.createHash('sha256').update(CALLER_KEY).digest('hex'), dailyAiCalls: 2 }]
+}));
+
+process.env.CALLERS_CONFIG_PATH = path.join(TEMP_DIR, 'callers.json');
+process.env.QUOTA_STORE_DIR = path.join(TEMP_DIR, 'quota');
+process.env.AUDIT_LOG_DIR = path.join(TEMP_DIR, 'audit');
+process.env.CONVERSION_CACHE_DISABLED = 'true';
+process.env.SECRET_PROVIDERS = 'request,env';
+process.env.OPENAI_API_KEY = `sk-server-${'3'.repeat(24)}`;
+process.env.AUTH_MODE = 'server-key';
+
+const { utcDay, secondsUntilReset, createFileQuotaStore, getQuotaStore, reserveQuota, settleQuota } = require('../shared/callerQuota');
+const convertBatch = require('../ConvertBatch');
+
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }), invocationId: 'test' };
+
+describe('callerQuota', () => {
+    after(() => {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    test('days and resets are UTC', () => {
+        const now = Date.parse('2025-09-26T23:59:00Z');
+        assert.equal(utcDay(now), '2025-09-26');
+        assert.equal(secondsUntilReset(now), 60);
+    });
+
+    test('concurrent updates to one counter are all kept', async () => {
+        const store = createFileQuotaStore({ directory: path.join(TEMP_DIR, 'counters') });
+
+        await Promise.all(Array.from({ length: 5 }, () => store.addUsage('crm-team', { aiCalls: 1, tokens: 10 })));
+
+        assert.deepEqual(await store.getUsage('crm-team'), { aiCalls: 5, tokens: 50 });
+        assert.deepEqual(await store.getUsage('other'), { aiCalls: 0, tokens: 0 });
+    });
+
+    test('a quota is exhausted when either limit is reached', async () => {
+        const store = createFileQuotaStore({ directory: path.join(TEMP_DIR, 'limits') });
+        const caller = { id: 'crm-team', limits: { aiCalls: 10, tokens: 100 } };
+
+        await store.addUsage('crm-team', { aiCalls: 1, tokens: 100 });
+        const quota = await reserveQuota(caller, 1, store);
+
+        assert.deepEqual(quota.used, { aiCalls: 1, tokens: 100 });
+        assert.deepEqual(quota.reserved, { aiCalls: 0, tokens: 0 });
+        assert.equal(quota.exhausted, true);
+        assert.deepEqual(await store.getUsage('crm-team'), { aiCalls: 1, tokens: 100 });
+    });
+
+    test('parallel requests reserve the budget up front and cannot overrun it', async () => {
+        const store = createFileQuotaStore({ directory: path.join(TEMP_DIR, 'reserve') });
+        const caller = { id: 'crm-team', limits: { aiCalls: 5, tokens: 1000000 } };
+
+        const quotas = await Promise.all(Array.from({ length: 4 }, () => reserveQuota(caller, 2, store)));
+
+        assert.deepEqual(quotas.map(quota => quota.reserved.aiCalls), [2, 2, 1, 0]);
+        assert.equal(quotas[3].exhausted, true);
+        assert.deepEqual(await store.getUsage('crm-team'), { aiCalls: 5, tokens: 24000 });
+
+        // Settling replaces each reservation with what the request used
+        await settleQuota('crm-team', quotas[0].reserved, { aiCalls: 1, totalTokens: 300 }, store);
+        assert.deepEqual(await store.getUsage('crm-team'), { aiCalls: 4, tokens: 16300 });
+    });
+
+    test('ConvertBatch refuses the server key once the caller\'s quota is used up', async () => {
+        await getQuotaStore().addUsage('small-team', { aiCalls: 2, tokens: 0 });
+
+        const invocation = { ...context };
+        await convertBatch(invocation, { method: 'POST', headers: { 'x-api-key': CALLER_KEY }, body: { Texts: { 'en|a': 'IF [Sender name] is online, say hi' }, Mode: 'ai' } });
+
+        assert.equal(invocation.res.status, 429);
+        assert.ok(Number(invocation.res.headers['Retry-After']) > 0 && Number(invocation.res.headers['Retry-After']) <= 24 * 60 * 60);
+        assert.deepEqual(invocation.res.body.quota.used, { aiCalls: 2, tokens: 0 });
+    });
+
+    test('audit records hold counts and outcome, never keys or texts', async () => {
+        const invocation = { ...context };
+        await convertBatch(invocation, {
+            method: 'POST',
+            headers: { origin: 'https://app.example.com', 'x-api-key': CALLER_KEY },
+            body: { Texts: { 'en|a': 'private [Sender name] text', 'en|b': null }, Mode: 'pattern', ApiKey: `sk-caller-${'4'.repeat(24)}` }
+        });
+
+        const line = fs.readFileSync(path.join(TEMP_DIR, 'audit', `audit-${utcDay()}.jsonl`), 'utf8').trim().split('\n').pop();
+        const record = JSON.parse(line);
+        assert.equal(record.function, 'ConvertBatch');
+        assert.equal(record.outcome, 'partial');
+        assert.equal(record.origin, 'https://app.example.com');
+        assert.equal(record.items.total, 2);
+        assert.ok(!line.includes('4444') && !line.includes(CALLER_KEY) && !line.includes('private'));
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Scoring of cli/compare-converters.js with stand-in converter versions
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { similarity, compareVersions } = require('../cli/compare-converters');
+
+const createVersion = (label, convert) => ({
+    label,
+    registry: {},
+    converter: {
+        isComplexText: (text) => text.includes('{{'),
+        repairMalformedPlaceholders: (text) => text,
+        convertWithPatterns: convert
+    }
+});
+
+describe('compare-converters', () => {
+    test('similarity is 1 for equal outputs and falls with the edit distance', () => {
+        assert.equal(similarity('abc', 'abc'), 1);
+        assert.equal(similarity('abcd', 'abce'), 0.75);
+        assert.equal(similarity('', 'abc'), 0);
+        assert.ok(similarity(true, false) < 1);
+    });
+
+    test('classifies changes against the corpus', () => {
+        const cases = [
+            { name: 'same', input: 'a', complex: false, repaired: 'a', patterns: 'A' },
+            { name: 'fixed', input: 'b', complex: false, repaired: 'b', patterns: 'B' },
+            { name: 'regressed', input: 'c', complex: false, repaired: 'c', patterns: 'C' },
+            { name: 'changed', input: 'd', complex: false, repaired: 'd', patterns: 'D' }
+        ];
+        const base = createVersion('base', (text) => ({ a: 'A', b: 'b', c: 'C', d: 'x' })[text]);
+        const head = createVersion('head', (text) => ({ a: 'A', b: 'B', c: 'c', d: 'y' })[text]);
+
+        const { summary, cases: results } = compareVersions(base, head, cases);
+
+        assert.deepEqual(results.map(result => result.status), ['unchanged', 'fixed', 'regressed', 'changed']);
+        assert.deepEqual(summary.aspects.patterns, { unchanged: 1, changed: 1, fixed: 1, regressed: 1 });
+        assert.deepEqual(summary.matchesCorpus, { base: 2, head: 2 });
+        assert.equal(summary.regressed, 1);
+        assert.ok(summary.score < 100 && summary.score > 0);
+    });
+
+    test('reports a thrown error as output instead of failing', () => {
+        const broken = createVersion('broken', () => {
+            throw new Error('boom');
+        });
+        const { cases } = compareVersions(broken, broken, [{ name: 'x', input: 'x' }]);
+
+        assert.deepEqual(cases[0].aspects.patterns.head, { error: 'boom' });
+        assert.equal(cases[0].status, 'unchanged');
+    });
+});
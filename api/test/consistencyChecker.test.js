@@ -0,0 +1,61 @@
+/**
+ * Cross-language checks of placeholders, conditions and untranslated text
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { checkConsistency } = require('../shared/consistencyChecker');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+const checkConsistencyFunction = require('../CheckConsistency');
+
+const registry = getPlaceholderRegistry();
+const SITE_43 = '{{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}Hola{{else}}Adiós{{/if}}';
+
+const CONTENTS = {
+    en: { like: '[Sender name] likes you', promo: 'IF sender site code == 43 Hi ELSE Bye', welcome: 'Welcome', footer: 'Thanks' },
+    de: { like: 'Gefällt dir', promo: 'IF sender site code == 43 Hallo', welcome: 'Welcome', footer: '' },
+    es: { like: '{{String.Concat LoadedData.SenderProfile.Handle " te quiere"}}', promo: SITE_43, welcome: 'Bienvenido', footer: 'Gracias' }
+};
+
+const codes = (result, language) => result.issues.filter(issue => issue.language === language).map(issue => `${issue.code}:${issue.key}`);
+
+describe('consistencyChecker', () => {
+    test('finds missing placeholders, different conditions, empty and untranslated values', () => {
+        const result = checkConsistency(CONTENTS, { registry });
+
+        assert.equal(result.passed, false);
+        assert.deepEqual(codes(result, 'de').sort(), ['conditional-structure:promo', 'empty-value:footer', 'missing-placeholder:like', 'untranslated:welcome']);
+        assert.equal(result.summary.byCode['missing-placeholder'], 1);
+    });
+
+    test('compares converted Handlebars with source pseudocode and placeholder text', () => {
+        assert.deepEqual(codes(checkConsistency(CONTENTS, { registry }), 'es'), []);
+    });
+
+    test('severities can be changed or turned off', () => {
+        const result = checkConsistency(CONTENTS, { registry, severities: { 'untranslated': 'off', 'empty-value': 'warning' } });
+
+        assert.ok(!codes(result, 'de').includes('untranslated:welcome'));
+        assert.equal(result.issues.find(issue => issue.code === 'empty-value').severity, 'warning');
+    });
+
+    test('CheckConsistency lints spreadsheet rows with language names', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        await checkConsistencyFunction(context, {
+            method: 'POST',
+            headers: {},
+            body: {
+                Rows: [
+                    { LanguageCode: 'English', TranslationKey: 'like', Value: '[Sender name] likes you' },
+                    { LanguageCode: 'Deutsch', TranslationKey: 'like', Value: 'Gefällt dir' }
+                ]
+            }
+        });
+
+        assert.equal(context.res.status, 200);
+        assert.deepEqual(context.res.body.issues.map(issue => [issue.code, issue.language]), [['missing-placeholder', 'de']]);
+    });
+});
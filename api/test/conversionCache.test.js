@@ -0,0 +1,56 @@
+/**
+ * Content-addressed cache of AI conversions
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildCacheKey, createFileCache } = require('../shared/conversionCache');
+const { convertTexts } = require('../shared/converter');
+const { createFakeProvider } = require('../shared/llmProviders');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-cache-test-'));
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+
+describe('conversionCache', () => {
+    after(() => {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    test('keys ignore line endings and surrounding whitespace but not the model or glossary', () => {
+        const key = buildCacheKey({ text: 'Hi\r\n[Sender name] ', model: 'gpt-4o' });
+
+        assert.equal(buildCacheKey({ text: 'Hi\n[Sender name]', model: 'gpt-4o' }), key);
+        assert.notEqual(buildCacheKey({ text: 'Hi\n[Sender name]', model: 'gpt-4o-mini' }), key);
+        assert.notEqual(buildCacheKey({ text: 'Hi\n[Sender name]', model: 'gpt-4o', glossary: 'TalkMatch' }), key);
+    });
+
+    test('returns stored values until they expire', async () => {
+        const cache = createFileCache({ directory: path.join(TEMP_DIR, 'expiry'), ttlMs: 60000 });
+        const expired = createFileCache({ directory: cache.directory, ttlMs: -1 });
+
+        await cache.set('aa11', { output: 'kept' });
+        await expired.set('bb22', { output: 'gone' });
+
+        assert.deepEqual(await cache.get('aa11'), { output: 'kept' });
+        assert.equal(await cache.get('cc33'), null);
+        assert.equal(await cache.prune(), 1);
+        assert.equal(await cache.get('bb22'), null);
+    });
+
+    test('a cached conversion is reused without calling the AI', async () => {
+        const cache = createFileCache({ directory: path.join(TEMP_DIR, 'convert'), ttlMs: 60000 });
+        const provider = createFakeProvider({ respond: () => '{{LoadedData.SenderProfile.Handle}} wrote' });
+        const convert = () => convertTexts({ 'en|a': 'IF [Sender name] wrote, say hi' }, { mode: 'ai', provider, cache, glossary: null }, context);
+
+        const first = await convert();
+        const second = await convert();
+
+        assert.equal(provider.calls.length, 1);
+        assert.equal(first.items['en|a'].method, 'ai');
+        assert.equal(second.items['en|a'].method, 'cache');
+        assert.equal(second.results['en|a'], first.results['en|a']);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Batch behavior of convertTexts: per-key failures, item metadata and when the AI is called
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+process.env.CONVERSION_CACHE_DISABLED = 'true';
+
+const { convertTexts } = require('../shared/converter');
+const convertBatch = require('../ConvertBatch');
+
+// Provider that records every call instead of reaching a backend
+const createRecordingProvider = (content = 'Hi') => {
+    const calls = [];
+    return {
+        calls,
+        name: 'fake',
+        modelId: 'recording',
+        requiresApiKey: false,
+        async send(payload) {
+            calls.push(payload);
+            const body = { choices: [{ message: { content } }], usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } };
+            return { statusCode: 200, headers: {}, body: JSON.stringify(body) };
+        }
+    };
+};
+
+// A template that loads only the sender's profile
+const SENDER_DOCUMENT = JSON.stringify({
+    contentDoc: {
+        header: {},
+        content: {
+            configuration: { dataLoadParameters: [{ type: 'Profile', contextVarName: 'SenderProfile' }] },
+            localizedContents: { en: {} }
+        }
+    }
+});
+
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+const convert = (texts, options = {}) => convertTexts(texts, { mode: 'pattern', cache: null, glossary: null, ...options }, context);
+
+describe('convertTexts', () => {
+    test('converts numeric values as text', async () => {
+        const { results, items } = await convert({ 'en|count': 42, 'en|name': '[Sender name] likes you.' });
+
+        assert.equal(results['en|count'], '42');
+        assert.equal(items['en|count'].status, 'converted');
+        assert.equal(items['en|name'].status, 'converted');
+    });
+
+    test('fails only the key whose value is not text', async () => {
+        const { results, errors, items } = await convert({ 'en|empty': null, 'en|list': ['a'], 'en|name': '[Sender name] likes you.' });
+
+        assert.equal(items['en|empty'].status, 'failed');
+        assert.equal(items['en|empty'].errors[0].code, 'invalid_text');
+        assert.match(errors['en|list'], /must be a string, got object/);
+        assert.equal(results['en|name'], '{{String.Concat LoadedData.SenderProfile.Handle " likes you."}}');
+    });
+
+    test('reports repairs, unknown placeholders and a summary per item', async () => {
+        const { items, summary } = await convert({ 'en|a': '[Sender name likes you', 'en|b': 'Hi [Favorite color]', 'en|c': 'Hello' });
+
+        assert.equal(items['en|a'].method, 'pattern');
+        assert.deepEqual(items['en|a'].repairs, ["Added ']' after [Sender name]"]);
+        assert.equal(items['en|c'].method, 'passthrough');
+        assert.deepEqual(items['en|b'].unknownPlaceholders, ['[Favorite color]']);
+        assert.equal(summary.total, 3);
+        assert.equal(summary.converted, 3);
+        assert.equal(summary.repaired, 1);
+        assert.equal(summary.withUnknownPlaceholders, 1);
+        assert.equal(summary.methods.passthrough, 1);
+    });
+
+    test('ConvertBatch returns key → text by default and items with ResponseVersion 2', async () => {
+        const invoke = async (body) => {
+            const invocation = { ...context, invocationId: 'test' };
+            await convertBatch(invocation, { method: 'POST', headers: {}, body: { Texts: { 'en|a': 'Hello', 'en|b': null }, Mode: 'pattern', ...body } });
+            return invocation.res;
+        };
+
+        const v1 = await invoke({});
+        assert.deepEqual(v1.body, { 'en|a': 'Hello', 'en|b': null });
+        assert.equal(v1.headers['X-Conversion-Failed'], '1');
+
+        const v2 = await invoke({ ResponseVersion: 2 });
+        assert.equal(v2.body.version, 2);
+        assert.equal(v2.body.items['en|b'].status, 'failed');
+        assert.equal(v2.body.summary.failed, 1);
+    });
+
+    test('pattern mode never calls the AI, even for pseudocode it cannot compile', async () => {
+        const provider = createRecordingProvider();
+        const { items } = await convert({
+            'en|promo': 'IF unknown thing == 43 Hi ELSE Bye',
+            'en|complex': '{{#if x}}[Sender name]{{/if}} wants to chat'
+        }, { provider });
+
+        assert.equal(provider.calls.length, 0);
+        assert.equal(items['en|promo'].status, 'failed');
+        assert.equal(items['en|promo'].errors[0].code, 'pseudocode_syntax');
+        assert.notEqual(items['en|complex'].method, 'ai');
+    });
+
+    test('hybrid mode falls back to a keyless provider for pseudocode it cannot compile', async () => {
+        const provider = createRecordingProvider();
+        const { items } = await convert({ 'en|promo': 'IF unknown thing == 43 Hi ELSE Bye' }, { mode: 'hybrid', provider });
+
+        assert.equal(provider.calls.length, 1);
+        assert.equal(items['en|promo'].method, 'ai');
+        assert.equal(items['en|promo'].warnings[0].code, 'pseudocode-fallback');
+    });
+
+    test('prompts and the validator allow only the variables the document declares', async () => {
+        const provider = createRecordingProvider('{{String.Concat "Seen " LoadedData.TimeAgo}}');
+        const { items } = await convert({ 'en|seen': 'IF unknown thing == 1 Seen [Time ago]' }, { mode: 'hybrid', provider, jsonContext: SENDER_DOCUMENT });
+
+        const [system, user] = provider.calls[0].messages.map(message => message.content);
+        for (const prompt of [system, user]) {
+            assert.match(prompt, /LoadedData\.SenderProfile\.Handle/);
+            assert.doesNotMatch(prompt, /LoadedData\.TimeAgo|LoadedData\.RecipientProfile/);
+        }
+        assert.equal(items['en|seen'].status, 'failed');
+        assert.equal(items['en|seen'].errors[0].code, 'unknown-variable');
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Reading CRM documents and merging translation rows into localizedContents
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { parseCrmDocument, getLocalizedContents, collectRowTexts, applyTranslations } = require('../shared/crmDocument');
+const merge = require('../Merge');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', '..', 'sample-data', 'CRM_Email_Content_message.received__0__0__1'), 'utf8');
+
+const invokeMerge = async (body) => {
+    const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+    await merge(context, { method: 'POST', headers: {}, body: { Document: SAMPLE, Mode: 'pattern', ...body } });
+    return context.res;
+};
+
+describe('crmDocument', () => {
+    test('parses a private copy and requires contentDoc.content', () => {
+        const original = { contentDoc: { content: {} } };
+        const doc = parseCrmDocument(original);
+
+        assert.deepEqual(getLocalizedContents(doc), {});
+        assert.equal(original.contentDoc.content.localizedContents, undefined);
+        assert.throws(() => parseCrmDocument('{"contentDoc":{}}'), /must contain contentDoc\.content/);
+        assert.throws(() => parseCrmDocument('{'), /not valid JSON/);
+    });
+
+    test('collects rows into batch texts and skips incomplete ones', () => {
+        const { texts, skipped } = collectRowTexts([
+            { LanguageCode: 'es', TranslationKey: 'subject', Value: 'Hola' },
+            { LanguageCode: ' de ', TranslationKey: 'count', Value: 3 },
+            { LanguageCode: 'fr', TranslationKey: 'subject', Value: '  ' },
+            null
+        ]);
+
+        assert.deepEqual(texts, { 'es|subject': 'Hola', 'de|count': '3' });
+        assert.deepEqual(skipped.map(entry => entry.row), [2, 3]);
+    });
+
+    test('applies converted texts and keeps the existing value of failed keys', () => {
+        const doc = parseCrmDocument({ contentDoc: { content: { localizedContents: { es: { subject: 'Hola', body: 'Adiós' } } } } });
+        const report = applyTranslations(doc,
+            { 'es|subject': 'Hola', 'es|body': 'Chao', 'es|title': 'Título', 'fr|subject': 'Salut' },
+            { 'fr|subject': 'AI conversion failed' });
+
+        assert.deepEqual(getLocalizedContents(doc), { es: { subject: 'Hola', body: 'Chao', title: 'Título' } });
+        assert.deepEqual(report.totals, { added: 1, updated: 1, unchanged: 1, failed: 1 });
+        assert.deepEqual(report.languages.fr.failed, [{ key: 'subject', error: 'AI conversion failed' }]);
+    });
+
+    test('Merge converts rows and leaves the configuration untouched', async () => {
+        const res = await invokeMerge({ Rows: [{ LanguageCode: 'es', TranslationKey: 'messageReceived', Value: '[Sender name] te escribió' }] });
+        const sample = JSON.parse(SAMPLE);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.document.contentDoc.content.localizedContents.es.messageReceived,
+            '{{String.Concat LoadedData.SenderProfile.Handle " te escribió"}}');
+        assert.deepEqual(res.body.document.contentDoc.content.configuration, sample.contentDoc.content.configuration);
+        assert.deepEqual(res.body.document.contentDoc.content.localizedContents.de, sample.contentDoc.content.localizedContents.de);
+    });
+
+    test('Merge requires a document and a Rows array', async () => {
+        assert.equal((await invokeMerge({ Rows: undefined })).status, 400);
+        assert.equal((await invokeMerge({ Document: '', Rows: [] })).status, 400);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * crm-translate: offline merge of spreadsheet rows into a folder of CRM documents
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONVERSION_CACHE_DISABLED = 'true';
+
+const { run } = require('../cli/crm-translate');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-translate-test-'));
+const SAMPLE = path.join(__dirname, '..', '..', 'sample-data', 'CRM_Email_Content_message.received__0__0__1');
+
+const setup = (name, csv) => {
+    const folder = path.join(TEMP_DIR, name);
+    fs.mkdirSync(path.join(folder, 'docs'), { recursive: true });
+    fs.copyFileSync(SAMPLE, path.join(folder, 'docs', 'message.received.json'));
+    fs.writeFileSync(path.join(folder, 'rows.csv'), csv);
+    return folder;
+};
+
+const translate = async (folder, args = []) => {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    };
+    const code = await run(['--docs', path.join(folder, 'docs'), '--translations', path.join(folder, 'rows.csv'),
+        '--out', path.join(folder, 'out'), '--report', path.join(folder, 'report.json'), ...args], io);
+    return { code, ...output };
+};
+
+describe('crm-translate', () => {
+    after(() => {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    test('converts the rows, writes the merged document and its changelog', async () => {
+        const folder = setup('merge', 'LanguageCode,TranslationKey,Value\nEspañol,messageReceived,[Sender name] te escribió\n');
+
+        const { code } = await translate(folder, ['--ticket', 'CRM-1']);
+        const doc = JSON.parse(fs.readFileSync(path.join(folder, 'out', 'message.received.json'), 'utf8'));
+        const changelog = JSON.parse(fs.readFileSync(path.join(folder, 'out', 'message.received.json.changelog.json'), 'utf8'));
+
+        assert.equal(code, 0);
+        assert.equal(doc.contentDoc.content.localizedContents.es.messageReceived, '{{String.Concat LoadedData.SenderProfile.Handle " te escribió"}}');
+        assert.equal(doc.contentDoc.header.version, 13);
+        assert.equal(doc.contentDoc.header.ticket, 'CRM-1');
+        assert.deepEqual(changelog.entries.map(entry => entry.version), [13]);
+    });
+
+    test('--dry-run writes nothing and --check fails on a missing placeholder', async () => {
+        const folder = setup('check', 'LanguageCode,TranslationKey,Value\nes,messageReceived,Te escribió\n');
+
+        const { code, stderr } = await translate(folder, ['--dry-run', '--check', '--source-language', 'de']);
+        const report = JSON.parse(fs.readFileSync(path.join(folder, 'report.json'), 'utf8'));
+
+        assert.equal(code, 1);
+        assert.ok(!fs.existsSync(path.join(folder, 'out')));
+        assert.deepEqual(report.failures.map(failure => failure.code), ['missing-placeholder']);
+        assert.match(stderr, /messageReceived in es is missing \[Sender name\]/);
+    });
+
+    test('exits with 2 on usage errors', async () => {
+        const { code, stderr } = await translate(path.join(TEMP_DIR, 'missing'));
+
+        assert.equal(code, 2);
+        assert.match(stderr, /is not a folder/);
+    });
+});
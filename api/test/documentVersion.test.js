@@ -0,0 +1,115 @@
+/**
+ * Header versioning and changelog of merged documents, and the Merge function's use of them
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { findVersionConflict, summarizeChanges, formatTimestamp, stampHeader, appendChangelog } = require('../shared/documentVersion');
+const { diffLocalizedContents } = require('../shared/mergeDiff');
+const merge = require('../Merge');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', '..', 'sample-data', 'CRM_Email_Content_message.received__0__0__1'), 'utf8');
+
+const createDoc = (header) => ({ contentDoc: { header: { ...header }, content: { localizedContents: {} } } });
+const changes = { es: { added: ['subject'], modified: [] } };
+
+const invokeMerge = async (body) => {
+    const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+    await merge(context, { method: 'POST', headers: {}, body: { Document: SAMPLE, Mode: 'pattern', ...body } });
+    return context.res;
+};
+
+describe('documentVersion', () => {
+    test('refuses documents newer than the base version', () => {
+        assert.equal(findVersionConflict({ version: 12 }, 12), null);
+        assert.equal(findVersionConflict({ version: 12 }, undefined), null);
+        assert.deepEqual(
+            { ...findVersionConflict({ version: '13' }, '12'), message: undefined },
+            { version: 13, baseVersion: 12, message: undefined }
+        );
+        assert.throws(() => findVersionConflict({ version: 12 }, 'v12'), /whole number/);
+    });
+
+    test('lists changed keys per language', () => {
+        const diff = diffLocalizedContents({ en: { a: 'A', b: 'B' } }, { en: { a: 'A', b: 'b' }, es: { a: 'a' } });
+        assert.deepEqual(summarizeChanges(diff), {
+            en: { added: [], modified: ['b'] },
+            es: { added: ['a'], modified: [] }
+        });
+    });
+
+    test('formats timestamps with the local offset', () => {
+        assert.match(formatTimestamp(new Date()), /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}[+-]\d\d:\d\d$/);
+    });
+
+    test('bumps the version and stamps the header', () => {
+        const doc = createDoc({ version: 12, ticket: 'CRM-1', comment: 'old' });
+        const entry = stampHeader(doc, changes, { modifiedBy: 'ana', ticket: 'CRM-2' });
+        const header = doc.contentDoc.header;
+
+        assert.equal(header.version, 13);
+        assert.equal(header.modifiedBy, 'ana');
+        assert.equal(header.ticket, 'CRM-2');
+        assert.equal(header.comment, null);
+        assert.equal(header.modifiedDt, entry.modifiedDt);
+        assert.deepEqual({ ...entry, modifiedDt: undefined }, {
+            version: 13, previousVersion: 12, modifiedBy: 'ana', modifiedDt: undefined, ticket: 'CRM-2', comment: null, changes
+        });
+    });
+
+    test('a new version without a ticket does not inherit the previous one', () => {
+        const doc = createDoc({ version: 12, ticket: 'CRM-17853', comment: 'Message Received (Mutual)' });
+        const entry = stampHeader(doc, changes);
+
+        assert.equal(doc.contentDoc.header.ticket, null);
+        assert.equal(doc.contentDoc.header.comment, null);
+        assert.equal(entry.ticket, null);
+        assert.equal(entry.comment, null);
+    });
+
+    test('keeps string versions as strings and leaves unchanged documents alone', () => {
+        const doc = createDoc({ version: '4' });
+        stampHeader(doc, changes);
+        assert.equal(doc.contentDoc.header.version, '5');
+
+        const unchanged = createDoc({ version: 4 });
+        assert.equal(stampHeader(unchanged, {}), null);
+        assert.deepEqual(unchanged.contentDoc.header, { version: 4 });
+    });
+
+    test('appends to an existing changelog', () => {
+        const first = appendChangelog(null, { version: 1 }, { key: { stringKey: 'a::1' } });
+        const second = appendChangelog(first, { version: 2 });
+        assert.deepEqual(second, { stringKey: 'a::1', entries: [{ version: 1 }, { version: 2 }] });
+        assert.throws(() => appendChangelog({}, { version: 3 }), /entries array/);
+    });
+});
+
+describe('Merge versioning', () => {
+    const Rows = [{ LanguageCode: 'es', TranslationKey: 'subject', Value: 'Hola' }];
+
+    test('stamps the merged document and returns the changelog', async () => {
+        const res = await invokeMerge({ Rows, BaseVersion: 12, Ticket: 'CRM-9', Comment: 'Spanish', ModifiedBy: 'ana' });
+        const header = res.body.document.contentDoc.header;
+
+        assert.equal(res.status, 200);
+        assert.equal(header.version, 13);
+        assert.equal(header.ticket, 'CRM-9');
+        assert.equal(header.modifiedBy, 'ana');
+        assert.deepEqual(res.body.changelog.entries.map(entry => [entry.version, entry.changes]), [
+            [13, { es: { added: ['subject'], modified: [] } }]
+        ]);
+    });
+
+    test('refuses a document newer than BaseVersion', async () => {
+        const res = await invokeMerge({ Rows, BaseVersion: 11 });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.version, 12);
+        assert.equal(res.body.baseVersion, 11);
+    });
+});
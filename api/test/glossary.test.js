@@ -0,0 +1,49 @@
+/**
+ * Protected glossary terms: masking in AI prompts and checks on the output
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getGlossary, parseGlossaryRows, maskTerms, restoreTerms, findGlossaryViolations } = require('../shared/glossary');
+const { convertTexts } = require('../shared/converter');
+const { createFakeProvider } = require('../shared/llmProviders');
+
+const CONFIG = { version: '1', terms: [{ term: 'TalkMatch' }] };
+const glossary = getGlossary(parseGlossaryRows([
+    { Term: 'Super Like', Language: 'es, fr', Note: 'Feature name' },
+    { Term: '' }
+]), CONFIG);
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+
+describe('glossary', () => {
+    test('sheet terms apply to their languages and their regional variants', () => {
+        assert.deepEqual(glossary.termsFor('es-MX').map(entry => entry.term), ['Super Like', 'TalkMatch']);
+        assert.deepEqual(glossary.termsFor('de').map(entry => entry.term), ['TalkMatch']);
+    });
+
+    test('masks whole terms outside placeholders and restores them', () => {
+        const terms = glossary.termsFor('es');
+        const masked = maskTerms('Send a Super Like on TalkMatch to [Sender name], not TalkMatchers', terms);
+
+        assert.equal(masked.text, 'Send a ⟦T1⟧ on ⟦T2⟧ to [Sender name], not TalkMatchers');
+        assert.equal(restoreTerms('Envía un ⟦T1⟧ en ⟦T2⟧', masked.tokens), 'Envía un Super Like en TalkMatch');
+    });
+
+    test('reports altered terms and invented tokens', () => {
+        const violations = findGlossaryViolations('Super Like on TalkMatch', 'Súper Me gusta en TalkMatch ⟦T9⟧', glossary.termsFor('es'));
+        assert.deepEqual(violations.map(violation => violation.type), ['altered-term', 'token-mismatch']);
+    });
+
+    test('the AI sees masked terms, and output that drops one fails', async () => {
+        const convert = (provider) => convertTexts({ 'es|a': 'IF [Sender name] is online, send a Super Like' }, { mode: 'ai', provider, cache: null, glossary }, context);
+
+        const keeps = createFakeProvider({ respond: () => '{{String.Concat "Envía un ⟦T1⟧ a " LoadedData.SenderProfile.Handle}}' });
+        const kept = await convert(keeps);
+        assert.equal(keeps.calls[0].input, 'IF [Sender name] is online, send a ⟦T1⟧');
+        assert.equal(kept.results['es|a'], '{{String.Concat "Envía un Super Like a " LoadedData.SenderProfile.Handle}}');
+
+        const drops = await convert(createFakeProvider({ respond: () => 'Envía un Súper Me gusta' }));
+        assert.equal(drops.items['es|a'].status, 'failed');
+        assert.equal(drops.items['es|a'].errors[0].code, 'glossary_violation');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Golden-file tests: the corpus in test/golden/corpus.json pins isComplexText routing,
+ * repairMalformedPlaceholders, convertWithPatterns and compilePseudocode output for each input,
+ * and the validator diagnostics on the result
+ * After an intended change, regenerate it with `node cli/compare-converters.js --update`
+ * and review the diff
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const converter = require('../shared/converter');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+const pseudocode = require('../shared/pseudocodeCompiler');
+const validator = require('../shared/handlebarsValidator');
+const { loadCorpus, runCase } = require('../cli/compare-converters');
+
+const { cases } = loadCorpus();
+const version = { converter, registry: getPlaceholderRegistry(), pseudocode, validator };
+const results = new Map(cases.map(testCase => [testCase.name, runCase(version, testCase)]));
+
+describe('isComplexText routing', () => {
+    for (const testCase of cases) {
+        test(testCase.name, () => {
+            assert.deepEqual(results.get(testCase.name).complex, testCase.complex);
+        });
+    }
+});
+
+describe('repairMalformedPlaceholders', () => {
+    for (const testCase of cases) {
+        test(testCase.name, () => {
+            const actual = results.get(testCase.name);
+            assert.deepEqual(actual.repaired, testCase.repaired);
+            assert.deepEqual(actual.repairs, testCase.repairs);
+        });
+    }
+});
+
+describe('convertWithPatterns', () => {
+    for (const testCase of cases) {
+        test(testCase.name, () => {
+            assert.deepEqual(results.get(testCase.name).patterns, testCase.patterns);
+        });
+    }
+});
+
+describe('compilePseudocode', () => {
+    for (const testCase of cases) {
+        test(testCase.name, () => {
+            assert.deepEqual(results.get(testCase.name).compiled, testCase.compiled);
+        });
+    }
+});
+
+describe('validator diagnostics', () => {
+    for (const testCase of cases) {
+        test(testCase.name, () => {
+            assert.deepEqual(results.get(testCase.name).diagnostics, testCase.diagnostics);
+        });
+    }
+});
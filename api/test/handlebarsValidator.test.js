@@ -0,0 +1,24 @@
+/**
+ * Output validation of converted templates
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateHandlebars } = require('../shared/handlebarsValidator');
+
+const errorCodes = (source) => validateHandlebars(source, { variables: ['LoadedData.SenderProfile.Handle'] })
+    .diagnostics.filter(diagnostic => diagnostic.severity === 'error')
+    .map(diagnostic => diagnostic.code);
+
+describe('handlebarsValidator', () => {
+    test('accepts uppercase ELSE in ordinary copy', () => {
+        assert.deepEqual(errorCodes('Reply now OR ELSE miss out!'), []);
+        assert.deepEqual(errorCodes('{{String.Concat LoadedData.SenderProfile.Handle " says: WHAT ELSE?"}}'), []);
+    });
+
+    test('flags IF comparisons left in the output', () => {
+        assert.deepEqual(errorCodes('IF sender site code == 43 Hi ELSE Bye'), ['unconverted-pseudocode']);
+        assert.deepEqual(errorCodes('Hello! IF paying status != \'NOPAY\' Hi'), ['unconverted-pseudocode']);
+        assert.deepEqual(errorCodes('{{String.Concat "IF site == 43 " LoadedData.SenderProfile.Handle}}'), ['unconverted-pseudocode']);
+    });
+});
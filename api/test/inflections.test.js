@@ -0,0 +1,52 @@
+/**
+ * Gender and plural alternations in the pattern converter
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { convertWithPatterns } = require('../shared/converter');
+const { getInflectionTable, isPluralPair } = require('../shared/inflections');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+
+const registry = getPlaceholderRegistry();
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+const convert = (text, language = 'en') => convertWithPatterns(text, registry, context, language, []);
+
+describe('inflections', () => {
+    test('collapses noun plurals after a literal number', () => {
+        assert.equal(convert('1 message/messages'), '1 message');
+        assert.equal(convert('3 reply/replies'), '3 replies');
+        assert.equal(convert('1 Nachricht/Nachrichten', 'de'), '1 Nachricht');
+        assert.equal(convert('0 message/messages', 'fr'), '0 message');
+    });
+
+    test('leaves other slash pairs after a number alone', () => {
+        assert.equal(convert('Drive at 1 km/h please'), 'Drive at 1 km/h please');
+        assert.equal(convert('We are open 24 hours/day'), 'We are open 24 hours/day');
+    });
+
+    test('only plural pairs follow a placeholder count', () => {
+        assert.match(convert('[Sender age] message/messages'), /\{\{#if \(String\.Equal \(Object\.ToString LoadedData\.SenderProfile\.Age\) "1"\)\}\}message\{\{else\}\}messages\{\{\/if\}\}/);
+        assert.equal(convert('[Sender age] km/h'), '{{String.Concat LoadedData.SenderProfile.Age " km/h"}}');
+    });
+
+    test('matches listed nouns and plural suffixes per language', () => {
+        assert.ok(isPluralPair('person', 'people', getInflectionTable('en')));
+        assert.ok(isPluralPair('messaggio', 'messaggi', getInflectionTable('it-IT')));
+        assert.ok(!isPluralPair('hours', 'day', getInflectionTable('en')));
+        assert.ok(!isPluralPair('message', 'messages', getInflectionTable('it')));
+    });
+
+    test('gender forms take the casing of the first word', () => {
+        const condition = '{{#if (String.Equal (Object.ToString localVars.gender) "Female")}}';
+        assert.equal(convert('His/her name'), `${condition}Her{{else}}His{{/if}} name`);
+        assert.equal(convert('Message HIM/her'), `Message ${condition}HER{{else}}HIM{{/if}}`);
+        assert.equal(convert('Message her/Him'), `Message ${condition}her{{else}}him{{/if}}`);
+    });
+
+    test('languages without gender pairs get no gender conversion', () => {
+        assert.deepEqual(getInflectionTable('xx').genderPairs, []);
+        assert.equal(convert('Il/elle a aimé', 'xx'), 'Il/elle a aimé');
+        assert.equal(convert('Message him/her', null), 'Message him/her');
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Job store, runner and the Jobs function in pattern mode
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-jobs-test-'));
+process.env.JOB_STORE_DIR = path.join(TEMP_DIR, 'jobs');
+process.env.AUDIT_LOG_DISABLED = 'true';
+process.env.CONVERSION_CACHE_DISABLED = 'true';
+
+const { createFileJobStore } = require('../shared/jobStore');
+const { runJob } = require('../shared/jobRunner');
+const jobs = require('../Jobs');
+
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+const TEXTS = { 'en|a': '[Sender name] likes you.', 'en|b': 'Hello', 'en|c': '[Sender age] years' };
+const HOUR = 60 * 60 * 1000;
+
+const invoke = async (method, params, body, query = {}) => {
+    const invocation = { ...context, invocationId: 'test' };
+    await jobs(invocation, { method, headers: {}, params, query, body });
+    return invocation.res;
+};
+
+describe('jobs', () => {
+    after(() => {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    test('runs a job in chunks and records every key', async () => {
+        const store = createFileJobStore({ directory: path.join(TEMP_DIR, 'runner'), ttlMs: HOUR });
+        const job = await store.create({ options: { mode: 'pattern' }, caller: null }, { texts: TEXTS });
+
+        const result = await runJob(job.id, { settings: { sliceMs: 60000, chunkSize: 2 } }, context, store);
+
+        assert.equal(result.job.status, 'completed');
+        assert.equal(result.processed, 3);
+        assert.deepEqual((await store.readResults(job.id)).map(record => record.seq), [1, 2, 3]);
+    });
+
+    test('prune keeps a job folder that is still being created', async () => {
+        const directory = path.join(TEMP_DIR, 'prune');
+        const store = createFileJobStore({ directory, ttlMs: HOUR });
+        const job = await store.create({ options: { mode: 'pattern' }, caller: null }, { texts: TEXTS });
+
+        // A create in progress: folder and input.json, no job.json yet
+        const creating = '00000000-0000-4000-8000-000000000000';
+        fs.mkdirSync(path.join(directory, creating));
+        fs.writeFileSync(path.join(directory, creating, 'input.json'), '{}');
+
+        assert.equal(await store.prune(), 0);
+        assert.ok(fs.existsSync(path.join(directory, creating)));
+
+        // Left behind for longer than the TTL
+        const old = new Date(Date.now() - 2 * HOUR);
+        fs.utimesSync(path.join(directory, creating), old, old);
+        assert.equal(await store.prune(), 1);
+        assert.ok(!fs.existsSync(path.join(directory, creating)));
+        assert.ok(await store.get(job.id));
+    });
+
+    test('a slice that ends with keys left pauses the job', async () => {
+        const store = createFileJobStore({ directory: path.join(TEMP_DIR, 'paused'), ttlMs: HOUR });
+        const job = await store.create({ options: { mode: 'pattern' }, caller: null }, { texts: TEXTS });
+
+        const result = await runJob(job.id, { settings: { sliceMs: 0, chunkSize: 2 } }, context, store);
+
+        assert.equal(result.job.status, 'paused');
+        assert.equal((await store.get(job.id)).status, 'paused');
+    });
+
+    test('a cancel that lands as a slice starts is not overwritten', async () => {
+        const store = createFileJobStore({ directory: path.join(TEMP_DIR, 'cancel'), ttlMs: HOUR });
+        const job = await store.create({ options: { mode: 'pattern' }, caller: null }, { texts: TEXTS });
+
+        // The cancel request arrives after the job was read, while the lease is taken
+        const racing = Object.create(store);
+        racing.acquireLease = async (...args) => {
+            await store.update(job.id, { status: 'cancelled' });
+            return store.acquireLease(...args);
+        };
+
+        const result = await runJob(job.id, { settings: { sliceMs: 60000, chunkSize: 2 } }, context, racing);
+
+        assert.equal(result.job.status, 'cancelled');
+        assert.equal(result.processed, 0);
+    });
+
+    test('streams finished keys as Server-Sent Events with the read token', async () => {
+        const submitted = await invoke('POST', {}, { Texts: TEXTS, Mode: 'pattern' });
+        assert.equal(submitted.status, 200);
+        const id = submitted.body.job.id;
+        assert.equal(submitted.body.streamUrl, `/api/jobs/${id}/stream?token=${submitted.body.readToken}`);
+
+        const stream = await invoke('GET', { id, action: 'stream' }, undefined, { after: '1', token: submitted.body.readToken });
+        const events = [...stream.body.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+
+        assert.equal(stream.headers['Content-Type'], 'text/event-stream');
+        assert.deepEqual(events, ['item', 'progress', 'item', 'progress', 'done']);
+        assert.match(stream.body, /^id: 3$/m);
+        assert.ok(!JSON.stringify((await invoke('GET', { id })).body).includes('readToken'));
+    });
+
+    test('a stream never converts and waits at most JOB_STREAM_WAIT_SECONDS', async () => {
+        const store = createFileJobStore({ directory: process.env.JOB_STORE_DIR, ttlMs: HOUR });
+        const job = await store.create({ options: { mode: 'pattern' }, caller: { id: 'anonymous', via: 'anonymous' } }, { texts: TEXTS });
+
+        process.env.JOB_STREAM_WAIT_SECONDS = '0.3';
+        const started = Date.now();
+        const stream = await invoke('GET', { id: job.id, action: 'stream' }, undefined, { format: 'ndjson' });
+        delete process.env.JOB_STREAM_WAIT_SECONDS;
+
+        assert.ok(Date.now() - started >= 300);
+        assert.deepEqual(stream.body.trim().split('\n').map(line => JSON.parse(line).type), ['progress']);
+        assert.equal((await store.get(job.id)).status, 'queued');
+        assert.equal((await invoke('POST', { id: job.id, action: 'stream' }, {})).status, 405);
+    });
+});
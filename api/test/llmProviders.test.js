@@ -0,0 +1,107 @@
+/**
+ * Provider selection and the requests each provider sends
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getLlmProvider, getRequestLlmProvider, resolveProviderName, isEndpointAllowed } = require('../shared/llmProviders');
+
+const PAYLOAD = { messages: [{ role: 'user', content: 'Hi' }], temperature: 0.1, maxTokens: 10, input: 'Hi' };
+
+describe('llmProviders', () => {
+    let server;
+    let base;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ choices: [{ message: { content: 'Hi' } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received.length = 0;
+        delete process.env.AI_PROVIDER;
+        delete process.env.AI_ALLOWED_ENDPOINTS;
+        delete process.env.AI_ALLOWED_PROVIDERS;
+        delete process.env.AI_FAKE_ENABLED;
+    });
+
+    test('picks the named provider, then AI_PROVIDER, then the endpoint host', () => {
+        assert.equal(resolveProviderName('Local'), 'local');
+        assert.equal(resolveProviderName(undefined, 'https://contoso.openai.azure.com'), 'azure');
+        assert.equal(resolveProviderName(undefined, 'https://api.example.com/v1'), 'openai');
+
+        process.env.AI_PROVIDER = 'fake';
+        assert.equal(resolveProviderName(), 'fake');
+        assert.throws(() => resolveProviderName('claude'), /Unknown AI provider 'claude'/);
+    });
+
+    test('OpenAI sends a Bearer key and the model to /v1/chat/completions', async () => {
+        const provider = getLlmProvider({ provider: 'openai', endpoint: `${base}/v1`, model: 'gpt-4o' });
+        await provider.send(PAYLOAD, 'sk-test', 1000);
+
+        assert.equal(received[0].url, '/v1/chat/completions');
+        assert.equal(received[0].headers.authorization, 'Bearer sk-test');
+        assert.equal(received[0].body.model, 'gpt-4o');
+        assert.equal(received[0].body.max_tokens, 10);
+    });
+
+    test('Azure puts the deployment in the URL and sends an api-key header', async () => {
+        const provider = getLlmProvider({ provider: 'azure', endpoint: base, model: 'gpt4o-prod' });
+        await provider.send(PAYLOAD, 'azure-key', 1000);
+
+        assert.equal(provider.modelId, 'azure/gpt4o-prod');
+        assert.equal(received[0].url, '/openai/deployments/gpt4o-prod/chat/completions?api-version=2024-06-01');
+        assert.equal(received[0].headers['api-key'], 'azure-key');
+        assert.equal(received[0].headers.authorization, undefined);
+        assert.equal(received[0].body.model, undefined);
+        assert.throws(() => getLlmProvider({ provider: 'azure', endpoint: base }), /needs a deployment/);
+    });
+
+    test('a local server needs no key', async () => {
+        const provider = getLlmProvider({ provider: 'local', endpoint: `${base}/v1`, model: 'llama3' });
+        await provider.send(PAYLOAD, undefined, 1000);
+
+        assert.equal(provider.requiresApiKey, false);
+        assert.equal(received[0].headers.authorization, undefined);
+        assert.equal(received[0].body.model, 'llama3');
+    });
+
+    test('requests only name allowed providers, and fake needs the test flag', () => {
+        assert.equal(getRequestLlmProvider({ provider: 'openai' }).name, 'openai');
+        assert.throws(() => getRequestLlmProvider({ provider: 'local' }), /AI provider 'local' is not enabled on this server/);
+        assert.throws(() => getLlmProvider({ provider: 'fake' }), /AI_FAKE_ENABLED=true/);
+
+        process.env.AI_ALLOWED_PROVIDERS = 'local, fake';
+        process.env.AI_FAKE_ENABLED = 'true';
+        assert.equal(getRequestLlmProvider({ provider: 'local' }).name, 'local');
+        assert.equal(getRequestLlmProvider({ provider: 'fake' }).name, 'fake');
+        assert.throws(() => getRequestLlmProvider({ provider: 'openai' }), /Use one of: local, fake/);
+    });
+
+    test('requests only name configured endpoints', () => {
+        assert.ok(isEndpointAllowed('https://api.openai.com/v1/chat/completions'));
+        assert.ok(!isEndpointAllowed(`${base}/v1`));
+        assert.ok(!isEndpointAllowed('not a url'));
+
+        assert.throws(() => getRequestLlmProvider({ endpoint: `${base}/v1` }), /Endpoint is not allowed/);
+
+        process.env.AI_ALLOWED_ENDPOINTS = `https://proxy.example.com, ${base}`;
+        assert.ok(isEndpointAllowed(`${base}/v1/chat/completions`));
+        assert.equal(getRequestLlmProvider({ endpoint: `${base}/v1` }).name, 'openai');
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Spreadsheet language labels → the codes a CRM document declares
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { normalizeTag, resolveLanguage, resolveLanguages, normalizeRowLanguages } = require('../shared/locales');
+const locales = require('../Locales');
+
+describe('locales', () => {
+    test('canonicalizes BCP-47 casing and separators', () => {
+        assert.equal(normalizeTag('PT_br'), 'pt-BR');
+        assert.equal(normalizeTag('zh-hant-tw'), 'zh-Hant-TW');
+    });
+
+    test('reads names, legacy codes and tags', () => {
+        const { mapping } = resolveLanguages(['Español', 'UK', 'uk', 'pt_br'], ['en', 'es-ES', 'pt', 'uk']);
+        assert.deepEqual(mapping, { 'Español': 'es-ES', 'UK': 'en', 'uk': 'uk', 'pt_br': 'pt' });
+    });
+
+    test('Norwegian resolves to nb, or to the variant the document declares', () => {
+        assert.equal(resolveLanguage('Norwegian').code, 'nb');
+        assert.equal(resolveLanguage('Norsk', ['nb']).code, 'nb');
+        assert.equal(resolveLanguage('Norwegian', ['en', 'nb-NO']).code, 'nb-NO');
+    });
+
+    test('warns about fallbacks and unknown labels', () => {
+        const { mapping, warnings } = resolveLanguages(['es-MX', 'Klingon'], ['es-ES']);
+
+        assert.equal(mapping['es-MX'], 'es-ES');
+        assert.deepEqual(warnings.map(warning => warning.type), ['language-fallback', 'unknown-language']);
+    });
+
+    test('rewrites row languages without changing the input rows', () => {
+        const rows = [{ LanguageCode: 'Deutsch', TranslationKey: 'a', Value: 'Hallo' }];
+        const result = normalizeRowLanguages(rows, ['de-DE']);
+
+        assert.equal(result.rows[0].LanguageCode, 'de-DE');
+        assert.equal(rows[0].LanguageCode, 'Deutsch');
+    });
+
+    test('Locales answers the Blazor page with the same mapping', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        await locales(context, { method: 'POST', headers: {}, body: { Languages: ['Norwegian', 'German'], Declared: ['de', 'nb'] } });
+
+        assert.equal(context.res.status, 200);
+        assert.deepEqual(context.res.body.mapping, { Norwegian: 'nb', German: 'de' });
+    });
+});
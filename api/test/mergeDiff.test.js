@@ -0,0 +1,77 @@
+/**
+ * Dry-run diff of localizedContents and its Markdown and HTML reports
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { diffLocalizedContents, diffText, renderMarkdown, renderHtml } = require('../shared/mergeDiff');
+const merge = require('../Merge');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', '..', 'sample-data', 'CRM_Email_Content_message.received__0__0__1'), 'utf8');
+
+const BEFORE = { es: { subject: 'Hola amigo', body: 'Adiós', footer: 'Gracias' } };
+const AFTER = { es: { subject: 'Hola amiga', body: 'Adiós', title: 'Nuevo | <b>' }, fr: { subject: 'Salut' } };
+
+describe('mergeDiff', () => {
+    test('sorts the merged keys into added, modified and unchanged per language', () => {
+        const { languages, totals } = diffLocalizedContents(BEFORE, AFTER);
+
+        assert.deepEqual(totals, { added: 2, modified: 1, unchanged: 1 });
+        assert.deepEqual(languages.es.added, [{ key: 'title', new: 'Nuevo | <b>' }]);
+        assert.deepEqual(languages.es.unchanged, ['body']);
+        assert.equal(languages.es.removed, undefined);
+        assert.deepEqual(Object.keys(languages), ['es', 'fr']);
+    });
+
+    test('diffs words and keeps Handlebars mustaches whole', () => {
+        assert.deepEqual(diffText('Hola amigo', 'Hola amiga'), [
+            { op: 'equal', text: 'Hola ' },
+            { op: 'delete', text: 'amigo' },
+            { op: 'insert', text: 'amiga' }
+        ]);
+        assert.deepEqual(diffText('{{a}} hi', '{{b}} hi'), [
+            { op: 'delete', text: '{{a}}' },
+            { op: 'insert', text: '{{b}}' },
+            { op: 'equal', text: ' hi' }
+        ]);
+    });
+
+    test('escapes values in the Markdown and HTML reports', () => {
+        const diff = diffLocalizedContents(BEFORE, AFTER);
+        const header = { key: { stringKey: 'message.received::0::0::1' }, ticket: 'CRM-1', version: 3 };
+
+        const markdown = renderMarkdown(diff, header);
+        assert.match(markdown, /^# Translation changes for message\.received::0::0::1 \(CRM-1\) - version 3$/m);
+        assert.match(markdown, /\| `title` \| added \| <ins>Nuevo \\\| &lt;b&gt;<\/ins> \|/);
+        assert.match(markdown, /\| `subject` \| modified \| Hola <del>amigo<\/del><ins>amiga<\/ins> \|/);
+
+        const html = renderHtml(diff, header);
+        assert.match(html, /<td class="value"><ins>Nuevo \| &lt;b&gt;<\/ins><\/td>/);
+        assert.ok(!html.includes('<b>'));
+    });
+
+    test('Merge DryRun returns the diff and report instead of the document', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        await merge(context, {
+            method: 'POST',
+            headers: {},
+            body: {
+                Document: SAMPLE,
+                Mode: 'pattern',
+                Rows: [{ LanguageCode: 'de', TranslationKey: 'YouMightRemember', Value: 'Vielleicht' }],
+                DryRun: true,
+                ReportFormat: 'markdown'
+            }
+        });
+
+        assert.equal(context.res.status, 200);
+        assert.equal(context.res.body.document, undefined);
+        assert.equal(context.res.body.diff.totals.modified, 1);
+        assert.match(context.res.body.markdown, /\| `YouMightRemember` \| modified \|/);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Placeholder mappings from configuration, with per-workspace overrides
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPlaceholderRegistry, getWorkspaceIdFromJson } = require('../shared/placeholderRegistry');
+
+const CONFIG = {
+    version: '3',
+    placeholders: [
+        { variable: 'LoadedData.SenderProfile.Handle', aliases: ['Sender name'] },
+        { variable: 'LoadedData.SenderProfile.SiteCode', aliases: ['Sender site code', 'Site code'] }
+    ],
+    workspaces: {
+        '42': {
+            version: '2',
+            placeholders: [
+                { variable: 'LoadedData.SenderProfile.Handle', aliases: ['Member name'] },
+                { variable: 'LoadedData.Brand', aliases: ['Brand'], brackets: ['[]'] }
+            ]
+        }
+    }
+};
+
+describe('placeholderRegistry', () => {
+    test('resolves bracketed aliases and bare names regardless of case and spacing', () => {
+        const registry = getPlaceholderRegistry(null, CONFIG);
+
+        assert.equal(registry.version, '3');
+        assert.equal(registry.resolve('[Sender name]'), 'LoadedData.SenderProfile.Handle');
+        assert.equal(registry.resolve('<SENDER   NAME>'), 'LoadedData.SenderProfile.Handle');
+        assert.equal(registry.resolveName('site code'), 'LoadedData.SenderProfile.SiteCode');
+        assert.equal(registry.resolve('[Favorite color]'), null);
+        assert.equal(registry.placeholderFor('LoadedData.SenderProfile.SiteCode'), '[Sender site code]');
+    });
+
+    test('workspace entries replace base entries with the same variable or are appended', () => {
+        const registry = getPlaceholderRegistry(42, CONFIG);
+
+        assert.equal(registry.version, '3+42.2');
+        assert.equal(registry.resolve('[Member name]'), 'LoadedData.SenderProfile.Handle');
+        assert.equal(registry.resolve('[Sender name]'), null);
+        assert.equal(registry.resolve('[Brand]'), 'LoadedData.Brand');
+        assert.equal(registry.resolve('<brand>'), null);
+        assert.deepEqual(registry.variables(), ['LoadedData.SenderProfile.Handle', 'LoadedData.SenderProfile.SiteCode', 'LoadedData.Brand']);
+    });
+
+    test('reads the workspace from a CRM document', () => {
+        assert.equal(getWorkspaceIdFromJson('{"contentDoc":{"header":{"workspaceId":42}}}'), 42);
+        assert.equal(getWorkspaceIdFromJson('{"contentDoc":{}}'), null);
+        assert.equal(getWorkspaceIdFromJson('not json'), null);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Selection of existing conversions and declared variables for AI prompts
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDocumentContext, rankExamples, buildPromptContext, isDeclaredVariable } = require('../shared/promptContext');
+
+const DOCUMENT = JSON.stringify({
+    contentDoc: {
+        header: {},
+        content: {
+            configuration: {
+                dataLoadParameters: [{ type: 'Profile', contextVarName: 'SenderProfile', lookupInfo: { userLookupMode: 'Sender' } }]
+            },
+            localizedContents: {
+                en: {
+                    subject: '{{String.Concat LoadedData.SenderProfile.Handle " sent you a message"}}',
+                    footer: 'Unsubscribe at any time'
+                },
+                de: {
+                    subject: '{{String.Concat LoadedData.SenderProfile.Handle " hat Ihnen geschrieben"}}',
+                    footer: 'Jederzeit abmelden',
+                    promo: '{{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}Hallo{{/if}}'
+                }
+            }
+        }
+    }
+});
+
+describe('promptContext', () => {
+    test('reads the declared context variables', () => {
+        const { contextVariables } = getDocumentContext(DOCUMENT);
+
+        assert.deepEqual(contextVariables.map(variable => variable.name), ['SenderProfile']);
+        assert.ok(isDeclaredVariable('LoadedData.SenderProfile.Handle', contextVariables));
+        assert.ok(!isDeclaredVariable('LoadedData.RecipientProfile.Handle', contextVariables));
+        assert.ok(isDeclaredVariable('localVars.gender', contextVariables));
+    });
+
+    test('ranks the same key in other languages first and leaves out the key being replaced', () => {
+        const ranked = rankExamples(getDocumentContext(DOCUMENT), { key: 'subject', language: 'de', text: '[Sender name] hat geschrieben' });
+
+        assert.deepEqual(ranked[0], { ...ranked[0], language: 'en', key: 'subject', reason: 'same key' });
+        assert.ok(!ranked.some(example => example.language === 'de' && example.key === 'subject'));
+    });
+
+    test('prefers conditionals for pseudocode', () => {
+        const ranked = rankExamples(getDocumentContext(DOCUMENT), { key: 'other', language: 'en', text: 'IF sender site code == 43 Hi' });
+        assert.equal(ranked[0].key, 'promo');
+    });
+
+    test('stays within the token budget', () => {
+        const full = buildPromptContext(DOCUMENT, { key: 'subject', language: 'de', text: 'Hallo' });
+        const small = buildPromptContext(DOCUMENT, { key: 'subject', language: 'de', text: 'Hallo', tokenBudget: 80 });
+
+        // Plain text values teach the model nothing and are not examples
+        assert.deepEqual(full.examples.map(example => `${example.language}|${example.key}`), ['en|subject', 'de|promo']);
+        assert.ok(small.examples.length < full.examples.length);
+        assert.ok(small.tokens <= 80);
+        assert.match(small.prompt, /- LoadedData\.SenderProfile \(Profile, Sender\)/);
+        assert.equal(buildPromptContext('{"not":"crm"}').prompt, '');
+    });
+});
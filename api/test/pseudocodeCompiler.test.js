@@ -0,0 +1,29 @@
+/**
+ * Translator pseudocode → Handlebars compilation
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPseudocode, compilePseudocode } = require('../shared/pseudocodeCompiler');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+
+const registry = getPlaceholderRegistry();
+const SITE_43 = '{{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}';
+
+describe('pseudocodeCompiler', () => {
+    test('compiles a statement at the start of the text', () => {
+        assert.equal(compilePseudocode('IF sender site code == 43 Hi ELSE Bye', registry), `${SITE_43}Hi{{else}}Bye{{/if}}`);
+    });
+
+    test('compiles an IF that starts mid-line', () => {
+        const text = 'Hello! IF sender site code == 43 Hi ELSE Bye';
+        assert.ok(isPseudocode(text));
+        assert.equal(compilePseudocode(text, registry), `Hello! ${SITE_43}Hi{{else}}Bye{{/if}}`);
+    });
+
+    test('throws when the text only looks like pseudocode', () => {
+        const text = 'Hello! (IF sender site code == 43) Hi';
+        assert.ok(isPseudocode(text));
+        assert.throws(() => compilePseudocode(text, registry), { code: 'pseudocode_syntax' });
+    });
+});
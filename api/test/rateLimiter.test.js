@@ -0,0 +1,91 @@
+/**
+ * Rate limiting, bounded concurrency, request timeouts and Retry-After for AI calls
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.AI_RATE_LIMIT_PER_MINUTE = '6000';
+process.env.AI_MAX_RETRIES = '1';
+
+const { createTokenBucket, getRateLimiter, pruneRateLimiters } = require('../shared/rateLimiter');
+const { runPool } = require('../shared/workerPool');
+const { postJson, createFakeProvider } = require('../shared/llmProviders');
+const { convertTexts } = require('../shared/converter');
+
+const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+
+describe('rateLimiter', () => {
+    test('serves the burst at once and then waits for the refill', async () => {
+        // 600 per minute: one token every 100ms
+        const bucket = createTokenBucket({ ratePerMinute: 600, burst: 2 });
+        const started = Date.now();
+
+        await Promise.all([bucket.acquire(), bucket.acquire()]);
+        assert.ok(Date.now() - started < 80);
+
+        await bucket.acquire();
+        assert.ok(Date.now() - started >= 80);
+    });
+
+    test('drops a bucket once it is idle and full again', async () => {
+        const options = { ratePerMinute: 600, burst: 2 };
+        const limiter = getRateLimiter('key-prune', options);
+        await limiter.acquire();
+
+        pruneRateLimiters();
+        assert.equal(getRateLimiter('key-prune', options), limiter);
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        assert.ok(limiter.isIdle());
+        assert.ok(pruneRateLimiters() >= 1);
+        assert.notEqual(getRateLimiter('key-prune', options), limiter);
+    });
+
+    test('runs at most `concurrency` workers at a time and visits every item', async () => {
+        let running = 0;
+        let peak = 0;
+        const seen = [];
+
+        await runPool([1, 2, 3, 4, 5], 2, async (item) => {
+            peak = Math.max(peak, ++running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            seen.push(item);
+            running--;
+        });
+
+        assert.equal(peak, 2);
+        assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5]);
+    });
+
+    test('aborts a request that takes longer than the timeout', async () => {
+        const server = http.createServer(() => {});
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await assert.rejects(postJson(`http://127.0.0.1:${server.address().port}/`, {}, '{}', 50), { code: 'timeout' });
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('waits for Retry-After before retrying a 429', async () => {
+        let first = true;
+        const provider = createFakeProvider({
+            respond: () => {
+                if (!first) return 'Hi {{LoadedData.SenderProfile.Handle}}';
+                first = false;
+                return { statusCode: 429, headers: { 'retry-after-ms': '120' }, body: '{}' };
+            }
+        });
+        const started = Date.now();
+
+        const { items } = await convertTexts({ 'en|a': 'IF [Sender name] is online, say hi' }, { mode: 'ai', provider, cache: null, glossary: null }, context);
+
+        assert.equal(items['en|a'].status, 'converted');
+        assert.equal(provider.calls.length, 2);
+        assert.ok(Date.now() - started >= 100);
+    });
+});
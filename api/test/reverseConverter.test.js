@@ -0,0 +1,50 @@
+/**
+ * Handlebars → placeholder text for translator hand-off, checked by converting it forward again
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { reverseConvert, isEquivalentTemplate } = require('../shared/reverseConverter');
+const { compilePseudocode } = require('../shared/pseudocodeCompiler');
+const { getPlaceholderRegistry } = require('../shared/placeholderRegistry');
+const reverse = require('../ReverseConvert');
+
+const registry = getPlaceholderRegistry();
+const GENDER = '{{#if (String.Equal (Object.ToString localVars.gender) "Female")}}her{{else}}his{{/if}}';
+const SITE_43 = '{{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}Hi{{else}}Bye{{/if}}';
+
+describe('reverseConverter', () => {
+    test('turns variables and String.Concat back into placeholders', () => {
+        const { text, reversible } = reverseConvert('{{String.Concat "Hi " LoadedData.SenderProfile.Handle ", welcome!"}}', registry, 'en');
+
+        assert.equal(reversible, true);
+        assert.equal(text, 'Hi [Sender name], welcome!');
+    });
+
+    test('uses slash forms for gender and pseudocode for other conditions', () => {
+        assert.equal(reverseConvert(`See ${GENDER} profile`, registry, 'en').text, 'See his/her profile');
+
+        const { text } = reverseConvert(SITE_43, registry, 'en');
+        assert.equal(text, 'IF Sender site code == 43 Hi ELSE Bye');
+        assert.ok(isEquivalentTemplate(compilePseudocode(text, registry), SITE_43));
+    });
+
+    test('keeps templates it cannot reverse, with the reason', () => {
+        assert.deepEqual(reverseConvert('{{#each items}}x{{/each}}', registry, 'en'),
+            { text: '{{#each items}}x{{/each}}', reversible: false, reason: 'Cannot reverse {{#each}} condition' });
+        assert.equal(reverseConvert('{{Foo.Bar}} hi', registry, 'en').reason, 'Foo.Bar has no placeholder alias');
+        assert.equal(reverseConvert('{{#if x}}broken', registry, 'en').reason, 'Template is not valid Handlebars');
+    });
+
+    test('ReverseConvert lists irreversible keys separately', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        await reverse(context, { method: 'POST', headers: {}, body: { Texts: { 'en|a': SITE_43, 'en|b': '{{Foo.Bar}}' } } });
+
+        assert.equal(context.res.status, 200);
+        assert.deepEqual(context.res.body.texts, { 'en|a': 'IF Sender site code == 43 Hi ELSE Bye', 'en|b': '{{Foo.Bar}}' });
+        assert.deepEqual(Object.keys(context.res.body.irreversible), ['en|b']);
+    });
+});
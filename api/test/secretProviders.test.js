@@ -0,0 +1,133 @@
+/**
+ * The API key chain: provider order, caching, Key Vault and rotation
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+    createEnvSecretProvider, createFileSecretProvider, createKeyVaultSecretProvider,
+    createSecretChain, createSecretProviders
+} = require('../shared/secretProviders');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-secrets-test-'));
+const KEY = (digit) => `sk-test-${String(digit).repeat(24)}`;
+
+// A provider whose value can be changed, counting how often it is asked
+const createMutableProvider = (name, value) => ({
+    name,
+    cacheable: true,
+    value,
+    calls: 0,
+    async getSecret() {
+        this.calls++;
+        return this.value;
+    }
+});
+
+describe('secretProviders', () => {
+    let server;
+    let vaultUrl;
+    let vaultValue = KEY(1);
+    const tokenRequests = [];
+
+    before(async () => {
+        // Stands in for both the managed identity endpoint and Key Vault
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            res.setHeader('Content-Type', 'application/json');
+
+            if (url.pathname === '/identity') {
+                tokenRequests.push(req.headers['x-identity-header']);
+                res.end(JSON.stringify({ access_token: 'token', expires_on: String(Math.floor(Date.now() / 1000) + 3600) }));
+            } else if (url.pathname === '/secrets/OPENAI-API-KEY' && req.headers.authorization === 'Bearer token') {
+                res.end(JSON.stringify({ value: vaultValue, attributes: { enabled: true } }));
+            } else {
+                res.statusCode = 404;
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+            }
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        vaultUrl = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    });
+
+    test('the first provider with a valid key wins, in the configured order', async () => {
+        const env = { OPENAI_API_KEY: KEY(2) };
+        const chain = createSecretChain({ providers: createSecretProviders(['request', 'env'], env) });
+
+        assert.deepEqual(await chain.resolve(['OPENAI_API_KEY'], { request: { apiKey: KEY(3) } }), { value: KEY(3), provider: 'request', name: 'OPENAI_API_KEY' });
+        assert.equal((await chain.resolve(['OPENAI_API_KEY'], { request: { apiKey: 'not-a-key' } })).provider, 'env');
+
+        const reversed = createSecretChain({ providers: createSecretProviders(['env', 'request'], env) });
+        assert.equal((await reversed.resolve(['OPENAI_API_KEY'], { request: { apiKey: KEY(3) } })).provider, 'env');
+        assert.throws(() => createSecretProviders(['vault']), /Unknown secret provider 'vault'/);
+    });
+
+    test('reads a secrets file, and a missing file has none', async () => {
+        const filePath = path.join(TEMP_DIR, 'secrets.json');
+        fs.writeFileSync(filePath, JSON.stringify({ OPENAI_API_KEY: KEY(4) }));
+
+        assert.equal(await createFileSecretProvider({ filePath }).getSecret('OPENAI_API_KEY'), KEY(4));
+        assert.equal(await createFileSecretProvider({ filePath: path.join(TEMP_DIR, 'missing.json') }).getSecret('OPENAI_API_KEY'), null);
+        assert.equal(await createEnvSecretProvider({}).getSecret('OPENAI_API_KEY'), null);
+    });
+
+    test('reads Key Vault with a managed identity token', async () => {
+        const keyvault = createKeyVaultSecretProvider({ vaultUrl, identityEndpoint: `${vaultUrl}/identity`, identityHeader: 'identity', env: {} });
+
+        assert.equal(await keyvault.getSecret('OPENAI_API_KEY'), KEY(1));
+        assert.equal(await keyvault.getSecret('AZURE_OPENAI_API_KEY'), null);
+        assert.deepEqual(tokenRequests, ['identity']);
+        assert.equal(createKeyVaultSecretProvider({ env: { OPENAI_SECRET_NAME: 'crm-openai' } }).getSecretName('OPENAI_API_KEY'), 'crm-openai');
+        assert.equal(await createKeyVaultSecretProvider({}).getSecret('OPENAI_API_KEY'), null);
+    });
+
+    test('caches keys for the TTL and shares lookups in flight', async () => {
+        const provider = createMutableProvider('env', KEY(5));
+        const chain = createSecretChain({ providers: [provider] });
+
+        await Promise.all([chain.resolve(['OPENAI_API_KEY']), chain.resolve(['OPENAI_API_KEY'])]);
+        await chain.resolve(['OPENAI_API_KEY']);
+        assert.equal(provider.calls, 1);
+
+        const expiring = createSecretChain({ providers: [provider], ttlMs: 0 });
+        await expiring.resolve(['OPENAI_API_KEY']);
+        await expiring.resolve(['OPENAI_API_KEY']);
+        assert.equal(provider.calls, 3);
+    });
+
+    test('a rejected key is looked up again and a rotated key replaces it', async () => {
+        const chain = createSecretChain({
+            providers: [createKeyVaultSecretProvider({ vaultUrl, identityEndpoint: `${vaultUrl}/identity`, identityHeader: 'identity', env: {} })]
+        });
+        const first = await chain.resolve(['OPENAI_API_KEY']);
+
+        vaultValue = KEY(6);
+        const [refreshed, concurrent] = await Promise.all([
+            chain.refresh(first.value, ['OPENAI_API_KEY']),
+            chain.refresh(first.value, ['OPENAI_API_KEY'])
+        ]);
+
+        assert.equal(refreshed.value, KEY(6));
+        assert.equal(concurrent, refreshed);
+        assert.equal((await chain.resolve(['OPENAI_API_KEY'])).value, KEY(6));
+        assert.equal(await chain.refresh(KEY(3), ['OPENAI_API_KEY']), null);
+        chain.clear();
+    });
+
+    test('a rejected key with no replacement resolves to null', async () => {
+        const chain = createSecretChain({ providers: [createMutableProvider('env', KEY(7))] });
+        const first = await chain.resolve(['OPENAI_API_KEY']);
+
+        assert.equal(await chain.refresh(first.value, ['OPENAI_API_KEY']), null);
+        chain.clear();
+    });
+});
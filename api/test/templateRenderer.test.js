@@ -0,0 +1,42 @@
+/**
+ * Preview rendering against sample profiles and branch coverage
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { renderTemplate, previewTemplate } = require('../shared/templateRenderer');
+const preview = require('../Preview');
+
+const ALEX = { name: 'Alex', data: { LoadedData: { SenderProfile: { Handle: 'Alex', SiteCode: 43 } } } };
+const SITE_43 = '{{#if (String.Equal (Object.ToString LoadedData.SenderProfile.SiteCode) "43")}}Hi {{LoadedData.SenderProfile.Handle}}{{else}}Bye{{/if}}';
+
+describe('templateRenderer', () => {
+    test('renders the branch a profile takes', () => {
+        assert.deepEqual(renderTemplate(SITE_43, ALEX.data), { text: 'Hi Alex', branches: ['#if@0:then'] });
+        assert.equal(renderTemplate('{{String.Concat "<b>" LoadedData.SenderProfile.Handle}}', ALEX.data).text, '<b>Alex');
+    });
+
+    test('String.Equal does not coerce numbers, like the CRM renderer', () => {
+        assert.equal(renderTemplate('{{#if (String.Equal LoadedData.SenderProfile.SiteCode "43")}}y{{else}}n{{/if}}', ALEX.data).text, 'n');
+    });
+
+    test('builds a scenario for each branch, including ones no profile reaches', () => {
+        const { profiles, branches, coverage } = previewTemplate(SITE_43, [ALEX]);
+
+        assert.deepEqual(profiles, [{ name: 'Alex', text: 'Hi Alex' }]);
+        assert.deepEqual(branches.map(branch => branch.text), ['Hi Alex', 'Bye']);
+        assert.deepEqual(coverage, { total: 2, covered: 2, uncovered: [] });
+    });
+
+    test('Preview reports keys that fail validation instead of rendering them', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        await preview(context, { method: 'POST', headers: {}, body: { Texts: { 'en|a': SITE_43, 'en|b': '{{#if x}}open' }, Profiles: [ALEX] } });
+
+        assert.equal(context.res.status, 200);
+        assert.deepEqual(context.res.body.results['en|a'].profiles, [{ name: 'Alex', text: 'Hi Alex' }]);
+        assert.ok(context.res.body.results['en|b'].errors.length > 0);
+    });
+});
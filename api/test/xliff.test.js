@@ -0,0 +1,79 @@
+/**
+ * XLIFF export with protected Handlebars and import of vendor files
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUDIT_LOG_DISABLED = 'true';
+
+const { exportXliff, importXliff } = require('../shared/xliff');
+const xliff = require('../Xliff');
+
+const CONTENTS = {
+    en: {
+        greeting: '{{String.Concat LoadedData.SenderProfile.Handle " likes you"}}',
+        plain: 'Hello & <bye>',
+        branch: '{{#if x}}Hi{{/if}}'
+    },
+    es: {
+        greeting: '{{String.Concat LoadedData.SenderProfile.Handle " te quiere"}}',
+        plain: 'Hola & <adiós>'
+    }
+};
+
+describe('xliff', () => {
+    for (const version of ['1.2', '2.0']) {
+        test(`XLIFF ${version} round-trips targets and skips units without one`, () => {
+            const [file] = exportXliff(CONTENTS, { version, sourceLanguage: 'en' });
+            const { texts, warnings } = importXliff(file.content);
+
+            assert.equal(file.fileName, 'translations.es.xlf');
+            assert.deepEqual(texts, { 'es|greeting': CONTENTS.es.greeting, 'es|plain': CONTENTS.es.plain });
+            assert.deepEqual(warnings.map(warning => [warning.type, warning.key]), [['missing-target', 'branch']]);
+        });
+    }
+
+    test('keeps Handlebars out of the translatable text', () => {
+        const [file] = exportXliff(CONTENTS, { version: '1.2', sourceLanguage: 'en' });
+
+        assert.match(file.content, /<source><bpt id="1">\{\{String\.Concat<\/bpt><ph id="2">\{\{LoadedData\.SenderProfile\.Handle\}\}<\/ph> likes you<ept id="1">\}\}<\/ept><\/source>/);
+        assert.match(file.content, /<source><ph id="1">\{\{#if x\}\}<\/ph>Hi<ph id="2">\{\{\/if\}\}<\/ph><\/source>/);
+    });
+
+    test('rebuilds a vendor translation around the codes', () => {
+        const vendor = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file original="translations" source-language="en" target-language="fr" datatype="plaintext">
+    <body>
+      <trans-unit id="greeting" resname="greeting">
+        <target><bpt id="1">{{String.Concat</bpt>Voici <ph id="2">{{LoadedData.SenderProfile.Handle}}</ph> !<ept id="1">}}</ept></target>
+      </trans-unit>
+      <trans-unit id="branch" resname="branch">
+        <target><ph id="1">{{#if x}}</ph>Salut<ph id="2">{{/if}}</ph></target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>`;
+
+        assert.deepEqual(importXliff(vendor).texts, {
+            'fr|greeting': '{{String.Concat "Voici " LoadedData.SenderProfile.Handle " !"}}',
+            'fr|branch': '{{#if x}}Salut{{/if}}'
+        });
+    });
+
+    test('refuses documents that are not XLIFF', () => {
+        assert.throws(() => importXliff('<html></html>'), /missing <xliff> root/);
+        assert.throws(() => exportXliff(CONTENTS, { version: '3.0' }), /must be one of: 1\.2, 2\.0/);
+    });
+
+    test('Xliff export returns one file per target language of a CRM document', async () => {
+        const context = { log: Object.assign(() => {}, { warn() {}, error() {} }) };
+        const Document = JSON.stringify({ contentDoc: { header: {}, content: { localizedContents: CONTENTS } } });
+        await xliff(context, { method: 'POST', headers: {}, params: { action: 'export' }, body: { Document, SourceLanguage: 'en', Version: '2.0' } });
+
+        assert.equal(context.res.status, 200);
+        assert.deepEqual(context.res.body.files.map(file => file.fileName), ['translations.es.xlf']);
+        assert.match(context.res.body.files[0].content, /<xliff version="2\.0"/);
+    });
+});
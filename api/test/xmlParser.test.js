@@ -0,0 +1,24 @@
+/**
+ * The XML reader shared by XLIFF import and XLSX reading
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseXml, localName, childElements, descendants, textContent } = require('../shared/xmlParser');
+
+describe('xmlParser', () => {
+    test('reads elements, attributes, entities and CDATA, keeping name prefixes', () => {
+        const document = parseXml('<?xml version="1.0"?><!-- sheet --><x:row r="1"><c t="s" note=\'a &amp; b\'><v>1 &lt; 2</v></c><c><v><![CDATA[<b>]]></v></c></x:row>');
+        const [row] = document.children;
+
+        assert.equal(row.name, 'x:row');
+        assert.equal(localName(row.name), 'row');
+        assert.equal(childElements(row, 'c')[0].attributes.note, 'a & b');
+        assert.deepEqual(descendants(document, 'v').map(textContent), ['1 < 2', '<b>']);
+    });
+
+    test('rejects malformed documents', () => {
+        assert.throws(() => parseXml('<a><b></a>'), /unexpected <\/a>/);
+        assert.throws(() => parseXml('<a>'), /<a> is never closed/);
+    });
+});